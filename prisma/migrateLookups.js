@@ -0,0 +1,44 @@
+// Map free-text platforms and categories of tasks and templates onto the lookup lists.
+// Usage: node prisma/migrateLookups.js [--apply] [PLATFORM|CATEGORY ...]
+// Without --apply nothing is changed and the planned mapping is printed.
+const lookupService = require('../services/lookupService');
+const auditService = require('../services/auditService');
+const { LOOKUP_TYPES } = require('../utils/constants');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = !args.includes('--apply');
+  const types = args.filter(arg => arg !== '--apply');
+
+  const unknown = types.filter(type => !Object.values(LOOKUP_TYPES).includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown lookup types: ${unknown.join(', ')}`);
+  }
+
+  console.log(dryRun ? '🔎 Dry run, nothing will be changed' : '🔧 Applying mapping');
+
+  const { results } = await lookupService.migrate(types.length > 0 ? types : undefined, { dryRun });
+
+  for (const { type, mapped, unmatched } of results) {
+    console.log(`\n${type}`);
+    mapped.forEach(m => console.log(`  "${m.from}" → "${m.to}" (${m.tasks} task(s), ${m.templates} template(s))`));
+    if (mapped.length === 0) console.log('  Nothing to map');
+    unmatched.forEach(u => console.log(`  ⚠️  No match for "${u.value}" (${u.tasks} task(s), ${u.templates} template(s))`));
+  }
+
+  if (!dryRun) {
+    const summary = results
+      .map(({ type, mapped }) => `${type}: ${mapped.length} value(s) mapped`)
+      .join('; ');
+    await auditService.logLookupValuesMigrated(summary, 'SYSTEM');
+  }
+
+  console.log('\n✅ Done');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Migration failed:', e);
+    process.exit(1);
+  });
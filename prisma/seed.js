@@ -1,6 +1,8 @@
  
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_WORKFLOW } = require('../utils/constants');
+const { applyWorkflowRules } = require('../utils/helpers');
 
 const prisma = new PrismaClient();
 
@@ -303,6 +305,222 @@ async function main() {
 
   console.log('✅ Sample absence record created');
 
+  // Create default task workflow; a stored one keeps its edits but picks up the
+  // guards and dedicated actions added to the built-in transitions since it was saved
+  const storedWorkflow = await prisma.workflowDefinition.findUnique({
+    where: { name: DEFAULT_WORKFLOW.name }
+  });
+
+  await prisma.workflowDefinition.upsert({
+    where: { name: DEFAULT_WORKFLOW.name },
+    update: {
+      transitions: (storedWorkflow ? storedWorkflow.transitions : DEFAULT_WORKFLOW.transitions).map(transition => {
+        const builtIn = DEFAULT_WORKFLOW.transitions.find(t => t.from === transition.from && t.to === transition.to);
+        return applyWorkflowRules({
+          ...transition,
+          guards: [...new Set([...(transition.guards || []), ...((builtIn && builtIn.guards) || [])])],
+          action: transition.action || (builtIn && builtIn.action) || null
+        });
+      })
+    },
+    create: {
+      name: DEFAULT_WORKFLOW.name,
+      description: DEFAULT_WORKFLOW.description,
+      transitions: DEFAULT_WORKFLOW.transitions,
+      updatedById: admin.id
+    }
+  });
+
+  console.log('✅ Default workflow created or refreshed');
+
+  // Create review reason codes
+  const reasonCodes = [
+    { code: 'MISLEADING_CLAIMS', label: 'Misleading or exaggerated claims', actions: ['REJECT', 'REQUEST_CHANGES'] },
+    { code: 'GUARANTEED_RETURNS', label: 'Assured or guaranteed returns', actions: ['REJECT', 'REQUEST_CHANGES'] },
+    { code: 'MISSING_DISCLAIMER', label: 'Mandatory disclaimer missing', actions: ['REJECT', 'REQUEST_CHANGES'] },
+    { code: 'MISSING_REGISTRATION_NUMBER', label: 'Registration number missing', actions: ['REJECT', 'REQUEST_CHANGES'] },
+    { code: 'CONTENT_CORRECTION', label: 'Content or formatting correction', actions: ['REQUEST_CHANGES'] },
+    { code: 'NOT_PERMITTED', label: 'Advertisement not permitted', actions: ['REJECT'] },
+    { code: 'COMPLIANT', label: 'Compliant', actions: ['APPROVE'] },
+    { code: 'COMPLIANT_WITH_CONDITIONS', label: 'Compliant with conditions', actions: ['APPROVE'] }
+  ];
+
+  for (const [index, reasonCode] of reasonCodes.entries()) {
+    await prisma.reasonCode.upsert({
+      where: { code: reasonCode.code },
+      update: {},
+      create: { ...reasonCode, displayOrder: index }
+    });
+  }
+
+  console.log('✅ Reason codes created');
+
+  // Create sample approval matrix rule
+  const existingRule = await prisma.approvalMatrixRule.findFirst({
+    where: { category: 'Mutual Funds', platform: 'TV' }
+  });
+
+  if (!existingRule) {
+    await prisma.approvalMatrixRule.create({
+      data: {
+        name: 'Mutual fund TV advertisements',
+        category: 'Mutual Funds',
+        platform: 'TV',
+        levels: [
+          { level: 1, role: 'COMPLIANCE_USER', label: 'Compliance review' },
+          { level: 2, role: 'COMPLIANCE_ADMIN', label: 'Compliance head' },
+          { level: 3, role: 'SENIOR_MANAGER', label: 'Senior management' }
+        ],
+        updatedById: admin.id
+      }
+    });
+  }
+
+  console.log('✅ Approval matrix rule created');
+
+  // Create the checklist every task gets
+  await prisma.checklistDefinition.upsert({
+    where: { category: 'DEFAULT' },
+    update: {},
+    create: {
+      category: 'DEFAULT',
+      items: [
+        { label: 'Risk disclaimer present', mandatory: true },
+        { label: 'Past performance caveat included where returns are shown', mandatory: true },
+        { label: 'SEBI registration number displayed', mandatory: true },
+        { label: 'No guaranteed or assured return wording', mandatory: true }
+      ],
+      updatedById: complianceAdmin.id
+    }
+  });
+
+  console.log('✅ Default checklist created');
+
+  // Create sample task template
+  await prisma.taskTemplate.upsert({
+    where: { name: 'Monthly MF factsheet' },
+    update: {},
+    create: {
+      name: 'Monthly MF factsheet',
+      description: 'Social media post of the monthly mutual fund factsheet',
+      titlePattern: 'MF Factsheet - {month} {year}',
+      taskType: 'INTERNAL',
+      category: 'Mutual Funds',
+      platform: 'Social Media',
+      publishOffsetDays: 5,
+      assignedProductIds: createdProductUsers.slice(0, 1).map(u => u.id),
+      checklist: [
+        { label: 'Mutual fund investments are subject to market risks disclaimer present', mandatory: true },
+        { label: 'Past performance caveat next to any returns shown', mandatory: true },
+        { label: 'Scheme riskometer included', mandatory: false }
+      ],
+      updatedById: admin.id
+    }
+  });
+
+  console.log('✅ Task template created');
+
+  // Create sample content rules for scanning uploaded versions
+  const contentRules = [
+    {
+      name: 'Assured returns',
+      description: 'Guaranteed or assured return claims',
+      ruleType: 'FORBIDDEN',
+      matchType: 'REGEX',
+      pattern: '\\b(assured|guaranteed)\\s+returns?\\b',
+      severity: 'CRITICAL'
+    },
+    {
+      name: 'Market risk disclaimer',
+      description: 'Investments in securities market are subject to market risks',
+      ruleType: 'REQUIRED',
+      matchType: 'KEYWORD',
+      pattern: 'Investments in securities market are subject to market risks',
+      severity: 'HIGH'
+    },
+    {
+      name: 'SEBI registration number',
+      description: 'SEBI registration number, e.g. INZ000123456',
+      ruleType: 'REQUIRED',
+      matchType: 'REGEX',
+      pattern: '\\bIN[AHZ]\\d{9}\\b',
+      severity: 'MEDIUM'
+    }
+  ];
+
+  for (const rule of contentRules) {
+    await prisma.contentRule.upsert({
+      where: { name: rule.name },
+      update: {},
+      create: { ...rule, updatedById: complianceAdmin.id }
+    });
+  }
+
+  console.log('✅ Content rules created');
+
+  // Create platform and category lists for the values used above
+  const lookupValues = [
+    { type: 'PLATFORM', label: 'Digital', aliases: ['Online', 'Web'] },
+    { type: 'PLATFORM', label: 'Social Media', aliases: ['Social', 'Instagram', 'IG', 'Insta', 'Facebook', 'FB'] },
+    { type: 'PLATFORM', label: 'Print & Digital', aliases: ['Print and Digital'] },
+    { type: 'PLATFORM', label: 'Newspaper', aliases: ['Print', 'Press'] },
+    { type: 'PLATFORM', label: 'TV', aliases: ['Television'] },
+    { type: 'CATEGORY', label: 'Campaign', aliases: [] },
+    { type: 'CATEGORY', label: 'Product Launch', aliases: ['Launch'] },
+    { type: 'CATEGORY', label: 'Corporate', aliases: [] },
+    { type: 'CATEGORY', label: 'Mutual Funds', aliases: ['MF', 'Mutual Fund'] }
+  ];
+
+  for (const [index, value] of lookupValues.entries()) {
+    await prisma.lookupValue.upsert({
+      where: { type_label: { type: value.type, label: value.label } },
+      update: {},
+      create: { ...value, displayOrder: index, updatedById: admin.id }
+    });
+  }
+
+  console.log('✅ Platforms and categories created');
+
+  // Create sample custom fields for task metadata
+  const customFields = [
+    {
+      key: 'product_line',
+      label: 'Product line',
+      fieldType: 'ENUM',
+      options: ['Equity', 'Mutual Funds', 'Commodities', 'Insurance'],
+      displayOrder: 1
+    },
+    {
+      key: 'language',
+      label: 'Language',
+      fieldType: 'MULTI_SELECT',
+      options: ['English', 'Hindi', 'Marathi', 'Tamil'],
+      displayOrder: 2
+    },
+    {
+      key: 'media_spend',
+      label: 'Media spend (INR)',
+      fieldType: 'NUMBER',
+      displayOrder: 3
+    },
+    {
+      key: 'agency_name',
+      label: 'Agency name',
+      fieldType: 'TEXT',
+      displayOrder: 4
+    }
+  ];
+
+  for (const field of customFields) {
+    await prisma.customField.upsert({
+      where: { key: field.key },
+      update: {},
+      create: { ...field, updatedById: admin.id }
+    });
+  }
+
+  console.log('✅ Custom fields created');
+
   console.log('🎉 Database seeding completed successfully!');
   console.log('\n📋 Login Credentials:');
   console.log('Admin: admin / admin123');
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const approvalMatrixService = require('../services/approvalMatrixService');
+const { APPROVAL_LEVEL_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+const ruleValidation = [
+  body('name').optional().trim().notEmpty(),
+  body('description').optional().isString().trim(),
+  body('category').optional({ nullable: true }).isString().trim(),
+  body('platform').optional({ nullable: true }).isString().trim(),
+  body('taskType').optional({ nullable: true }).isIn(['INTERNAL', 'EXCHANGE']),
+  body('levels').optional().isArray({ min: 1 }),
+  body('isActive').optional().isBoolean()
+];
+
+// Get approval matrix rules
+router.get('/', [
+  authorize('COMPLIANCE_ADMIN', 'SENIOR_MANAGER', 'ADMIN')
+], async (req, res) => {
+  try {
+    const rules = await prisma.approvalMatrixRule.findMany({
+      orderBy: [{ isActive: 'desc' }, { updatedAt: 'desc' }],
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    res.json({
+      rules,
+      options: {
+        roles: Object.keys(APPROVAL_LEVEL_ROLES),
+        eligibleRoles: APPROVAL_LEVEL_ROLES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get approval matrix error:', error);
+    res.status(500).json({ message: 'Failed to fetch approval matrix' });
+  }
+});
+
+// Create approval matrix rule
+router.post('/', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('levels').isArray({ min: 1 }).withMessage('At least one approval level is required'),
+  ...ruleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, category, platform, taskType, levels, isActive } = req.body;
+
+    const levelErrors = approvalMatrixService.validateLevels(levels);
+    if (levelErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid approval levels', errors: levelErrors });
+    }
+
+    const rule = await prisma.approvalMatrixRule.create({
+      data: {
+        name,
+        description,
+        category: category || null,
+        platform: platform || null,
+        taskType: taskType || null,
+        levels: approvalMatrixService.normalizeLevels(levels),
+        ...(isActive !== undefined && { isActive }),
+        updatedById: req.user.id
+      }
+    });
+
+    await auditService.logApprovalRuleCreated(rule.name, rule.levels.length, req.user.id);
+
+    res.status(201).json({
+      message: 'Approval rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Create approval rule error:', error);
+    res.status(500).json({ message: 'Failed to create approval rule' });
+  }
+});
+
+// Update approval matrix rule
+router.put('/:ruleId', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  ...ruleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ruleId } = req.params;
+    if (!isValidObjectId(ruleId)) {
+      return res.status(400).json({ message: 'Invalid rule ID' });
+    }
+
+    const existing = await prisma.approvalMatrixRule.findUnique({
+      where: { id: ruleId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Approval rule not found' });
+    }
+
+    const updateData = {};
+    ['name', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    ['category', 'platform', 'taskType'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field] || null;
+    });
+
+    if (req.body.levels) {
+      const levelErrors = approvalMatrixService.validateLevels(req.body.levels);
+      if (levelErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid approval levels', errors: levelErrors });
+      }
+      updateData.levels = approvalMatrixService.normalizeLevels(req.body.levels);
+    }
+
+    const rule = await prisma.approvalMatrixRule.update({
+      where: { id: ruleId },
+      data: { ...updateData, updatedById: req.user.id }
+    });
+
+    await auditService.logApprovalRuleUpdated(rule.name, Object.keys(updateData), req.user.id);
+
+    res.json({
+      message: 'Approval rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update approval rule error:', error);
+    res.status(500).json({ message: 'Failed to update approval rule' });
+  }
+});
+
+// Delete approval matrix rule
+router.delete('/:ruleId', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (!isValidObjectId(ruleId)) {
+      return res.status(400).json({ message: 'Invalid rule ID' });
+    }
+
+    const existing = await prisma.approvalMatrixRule.findUnique({
+      where: { id: ruleId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Approval rule not found' });
+    }
+
+    await prisma.approvalMatrixRule.delete({
+      where: { id: ruleId }
+    });
+
+    await auditService.logApprovalRuleDeleted(existing.name, req.user.id);
+
+    res.json({ message: 'Approval rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete approval rule error:', error);
+    res.status(500).json({ message: 'Failed to delete approval rule' });
+  }
+});
+
+module.exports = router;
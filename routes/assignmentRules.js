@@ -0,0 +1,118 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const {
+  ASSIGNMENT_STRATEGIES,
+  WORKLOAD_WEIGHTS,
+  DEFAULT_ASSIGNMENT_CATEGORY,
+  DEFAULT_ASSIGNMENT_RULE
+} = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get assignment rules per category
+router.get('/', [
+  authorize('COMPLIANCE_ADMIN', 'SENIOR_MANAGER', 'ADMIN')
+], async (req, res) => {
+  try {
+    const rules = await prisma.assignmentRule.findMany({
+      orderBy: { category: 'asc' },
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    res.json({
+      rules,
+      defaultRule: rules.find(rule => rule.category === DEFAULT_ASSIGNMENT_CATEGORY) || DEFAULT_ASSIGNMENT_RULE,
+      options: {
+        strategies: Object.values(ASSIGNMENT_STRATEGIES),
+        workloadWeights: WORKLOAD_WEIGHTS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get assignment rules error:', error);
+    res.status(500).json({ message: 'Failed to fetch assignment rules' });
+  }
+});
+
+// Create or replace the rule for a category
+router.put('/:category', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('strategies').isArray({ min: 1 }).withMessage('At least one strategy is required'),
+  body('strategies.*').isIn(Object.values(ASSIGNMENT_STRATEGIES)),
+  body('requiredSkills').optional().isArray(),
+  body('requiredSkills.*').optional().isString().trim().notEmpty(),
+  body('respectCapacity').optional().isBoolean(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = req.params.category.trim();
+    const { strategies, requiredSkills = [], respectCapacity, isActive } = req.body;
+
+    const data = {
+      strategies: [...new Set(strategies)],
+      requiredSkills: [...new Set(requiredSkills.map(skill => skill.toLowerCase()))],
+      ...(respectCapacity !== undefined && { respectCapacity }),
+      ...(isActive !== undefined && { isActive }),
+      updatedById: req.user.id
+    };
+
+    const rule = await prisma.assignmentRule.upsert({
+      where: { category },
+      update: data,
+      create: { category, ...data }
+    });
+
+    await auditService.logAssignmentRuleUpdated(category, rule.strategies, req.user.id);
+
+    res.json({
+      message: 'Assignment rule saved successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Save assignment rule error:', error);
+    res.status(500).json({ message: 'Failed to save assignment rule' });
+  }
+});
+
+// Delete the rule for a category
+router.delete('/:category', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const category = req.params.category.trim();
+
+    const existing = await prisma.assignmentRule.findUnique({
+      where: { category }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Assignment rule not found' });
+    }
+
+    await prisma.assignmentRule.delete({
+      where: { category }
+    });
+
+    await auditService.logAssignmentRuleDeleted(category, req.user.id);
+
+    res.json({ message: 'Assignment rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete assignment rule error:', error);
+    res.status(500).json({ message: 'Failed to delete assignment rule' });
+  }
+});
+
+module.exports = router;
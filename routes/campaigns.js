@@ -0,0 +1,471 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const campaignService = require('../services/campaignService');
+const { CAMPAIGN_STATUS, REASSIGN_ROLES, ASSIGNEE_TYPES, TASK_VISIBILITY } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+const ownerSelect = { select: { id: true, fullName: true, username: true } };
+
+// Load the campaign named in the URL onto req.campaign
+const loadCampaign = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+    if (!isValidObjectId(campaignId)) {
+      return res.status(400).json({ message: 'Invalid campaign ID' });
+    }
+
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      include: { owner: ownerSelect }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    console.error('Load campaign error:', error);
+    res.status(500).json({ message: 'Failed to fetch campaign' });
+  }
+};
+
+// Owners, product admins and admins can change a campaign
+const canManage = (campaign, user) =>
+  campaign.ownerId === user.id || ['PRODUCT_ADMIN', 'ADMIN'].includes(user.role);
+
+// Tasks a user may see, matching the rules of GET /api/tasks
+const taskAccessFilter = (user) => {
+  if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(user.role)) {
+    return { OR: [{ createdBy: user.id }, { assignedProductIds: { has: user.id } }] };
+  }
+  if (user.role === 'COMPLIANCE_USER') {
+    return { assignedComplianceId: user.id };
+  }
+  return {};
+};
+
+const campaignValidation = [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+  body('startDate').optional({ nullable: true }).isISO8601(),
+  body('endDate').optional({ nullable: true }).isISO8601(),
+  body('ownerId').optional().custom(isValidObjectId).withMessage('Invalid owner ID')
+];
+
+// Reject an end date before the start date
+const checkDates = (startDate, endDate) =>
+  !startDate || !endDate || new Date(startDate) <= new Date(endDate);
+
+// Get all campaigns with their status rollup
+router.get('/', [
+  query('search').optional().isString().trim(),
+  query('ownerId').optional().custom(isValidObjectId),
+  query('status').optional().isIn(Object.values(CAMPAIGN_STATUS))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, ownerId, status } = req.query;
+
+    const campaigns = await prisma.campaign.findMany({
+      where: {
+        ...(search && { name: { contains: search, mode: 'insensitive' } }),
+        ...(ownerId && { ownerId })
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        owner: ownerSelect,
+        tasks: { where: TASK_VISIBILITY.NOT_DELETED, select: { status: true } }
+      }
+    });
+
+    const result = campaigns
+      .map(({ tasks, ...campaign }) => campaignService.withRollup(campaign, tasks))
+      .filter(campaign => !status || campaign.status === status);
+
+    res.json({ campaigns: result });
+
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({ message: 'Failed to fetch campaigns' });
+  }
+});
+
+// Create campaign
+router.post('/', [
+  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'ADMIN'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required').isLength({ max: 200 }),
+  ...campaignValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, startDate, endDate, ownerId = req.user.id } = req.body;
+
+    if (!checkDates(startDate, endDate)) {
+      return res.status(400).json({ message: 'End date must not be before start date' });
+    }
+
+    const owner = await prisma.user.findUnique({
+      where: { id: ownerId },
+      select: { isActive: true }
+    });
+
+    if (!owner || !owner.isActive) {
+      return res.status(400).json({ message: 'Owner must be an active user' });
+    }
+
+    const campaign = await prisma.campaign.create({
+      data: {
+        name,
+        description,
+        startDate: startDate ? new Date(startDate) : null,
+        endDate: endDate ? new Date(endDate) : null,
+        ownerId
+      },
+      include: { owner: ownerSelect }
+    });
+
+    await auditService.logCampaignCreated(name, req.user.id);
+
+    res.status(201).json({
+      message: 'Campaign created successfully',
+      campaign: campaignService.withRollup(campaign, [])
+    });
+
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({ message: 'Failed to create campaign' });
+  }
+});
+
+// Get campaign with approval progress
+router.get('/:campaignId', loadCampaign, async (req, res) => {
+  try {
+    const tasks = await prisma.task.findMany({
+      where: { campaignId: req.campaign.id, ...TASK_VISIBILITY.NOT_DELETED },
+      select: { status: true }
+    });
+
+    res.json(campaignService.withRollup(req.campaign, tasks));
+
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ message: 'Failed to fetch campaign' });
+  }
+});
+
+// Update campaign
+router.put('/:campaignId', [
+  loadCampaign,
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  ...campaignValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { campaign } = req;
+    if (!canManage(campaign, req.user)) {
+      return res.status(403).json({ message: 'Only the campaign owner or an admin can update it' });
+    }
+
+    const updateData = {};
+    ['name', 'description', 'ownerId'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    ['startDate', 'endDate'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field] ? new Date(req.body[field]) : null;
+    });
+
+    const startDate = updateData.startDate !== undefined ? updateData.startDate : campaign.startDate;
+    const endDate = updateData.endDate !== undefined ? updateData.endDate : campaign.endDate;
+    if (!checkDates(startDate, endDate)) {
+      return res.status(400).json({ message: 'End date must not be before start date' });
+    }
+
+    if (updateData.ownerId) {
+      const owner = await prisma.user.findUnique({
+        where: { id: updateData.ownerId },
+        select: { isActive: true }
+      });
+
+      if (!owner || !owner.isActive) {
+        return res.status(400).json({ message: 'Owner must be an active user' });
+      }
+    }
+
+    const updatedCampaign = await prisma.campaign.update({
+      where: { id: campaign.id },
+      data: updateData,
+      include: {
+        owner: ownerSelect,
+        tasks: { where: TASK_VISIBILITY.NOT_DELETED, select: { status: true } }
+      }
+    });
+
+    await auditService.logCampaignUpdated(updatedCampaign.name, Object.keys(updateData), req.user.id);
+
+    const { tasks, ...rest } = updatedCampaign;
+    res.json({
+      message: 'Campaign updated successfully',
+      campaign: campaignService.withRollup(rest, tasks)
+    });
+
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(500).json({ message: 'Failed to update campaign' });
+  }
+});
+
+// Delete campaign; its tasks stay and are simply detached
+router.delete('/:campaignId', loadCampaign, async (req, res) => {
+  try {
+    const { campaign } = req;
+    if (!canManage(campaign, req.user)) {
+      return res.status(403).json({ message: 'Only the campaign owner or an admin can delete it' });
+    }
+
+    await prisma.task.updateMany({
+      where: { campaignId: campaign.id },
+      data: { campaignId: null }
+    });
+
+    await prisma.campaign.delete({
+      where: { id: campaign.id }
+    });
+
+    await auditService.logCampaignDeleted(campaign.name, req.user.id);
+
+    res.json({ message: 'Campaign deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({ message: 'Failed to delete campaign' });
+  }
+});
+
+// Get the tasks of a campaign visible to the user
+router.get('/:campaignId/tasks', loadCampaign, async (req, res) => {
+  try {
+    const tasks = await prisma.task.findMany({
+      where: { campaignId: req.campaign.id, ...taskAccessFilter(req.user), ...TASK_VISIBILITY.NOT_DELETED },
+      orderBy: [{ priorityRank: 'desc' }, { createdAt: 'asc' }],
+      include: {
+        creator: { select: { fullName: true, username: true } },
+        assignedCompliance: { select: { id: true, fullName: true, username: true } },
+        _count: { select: { versions: true, comments: true } }
+      }
+    });
+
+    res.json({
+      campaign: { id: req.campaign.id, name: req.campaign.name },
+      tasks
+    });
+
+  } catch (error) {
+    console.error('Get campaign tasks error:', error);
+    res.status(500).json({ message: 'Failed to fetch campaign tasks' });
+  }
+});
+
+// Get aggregate approval progress of a campaign
+router.get('/:campaignId/progress', loadCampaign, async (req, res) => {
+  try {
+    const tasks = await prisma.task.findMany({
+      where: { campaignId: req.campaign.id, ...TASK_VISIBILITY.NOT_DELETED },
+      select: { status: true, platform: true }
+    });
+
+    // Progress per platform, since a campaign usually spans several
+    const platforms = [...new Set(tasks.map(task => task.platform || 'Unspecified'))];
+
+    res.json({
+      campaign: { id: req.campaign.id, name: req.campaign.name },
+      status: campaignService.getStatus(tasks),
+      progress: campaignService.getProgress(tasks),
+      byPlatform: platforms.map(platform => ({
+        platform,
+        ...campaignService.getProgress(tasks.filter(task => (task.platform || 'Unspecified') === platform))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get campaign progress error:', error);
+    res.status(500).json({ message: 'Failed to fetch campaign progress' });
+  }
+});
+
+// Attach tasks to a campaign
+router.post('/:campaignId/tasks', [
+  loadCampaign,
+  body('taskIds').isArray({ min: 1 }).withMessage('taskIds must be a non-empty array'),
+  body('taskIds.*').custom(isValidObjectId).withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { campaign } = req;
+    if (!canManage(campaign, req.user)) {
+      return res.status(403).json({ message: 'Only the campaign owner or an admin can add tasks' });
+    }
+
+    const taskIds = [...new Set(req.body.taskIds)];
+    const tasks = await prisma.task.findMany({
+      where: { id: { in: taskIds }, ...taskAccessFilter(req.user), ...TASK_VISIBILITY.NOT_DELETED },
+      select: { id: true, title: true, campaignId: true }
+    });
+
+    if (tasks.length !== taskIds.length) {
+      const foundIds = tasks.map(task => task.id);
+      return res.status(400).json({
+        message: 'Some tasks were not found or are not accessible',
+        taskIds: taskIds.filter(id => !foundIds.includes(id))
+      });
+    }
+
+    await prisma.task.updateMany({
+      where: { id: { in: taskIds } },
+      data: { campaignId: campaign.id }
+    });
+
+    for (const task of tasks) {
+      await auditService.logTaskUpdated(task.id, task.title, ['campaignId'], req.user.id);
+    }
+
+    res.json({
+      message: `Added ${tasks.length} tasks to campaign "${campaign.name}"`,
+      moved: tasks.filter(task => task.campaignId && task.campaignId !== campaign.id).map(task => task.id)
+    });
+
+  } catch (error) {
+    console.error('Add campaign tasks error:', error);
+    res.status(500).json({ message: 'Failed to add tasks to campaign' });
+  }
+});
+
+// Detach a task from a campaign
+router.delete('/:campaignId/tasks/:taskId', loadCampaign, async (req, res) => {
+  try {
+    const { campaign } = req;
+    if (!canManage(campaign, req.user)) {
+      return res.status(403).json({ message: 'Only the campaign owner or an admin can remove tasks' });
+    }
+
+    const { taskId } = req.params;
+    if (!isValidObjectId(taskId)) {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+
+    const task = await prisma.task.findFirst({
+      where: { id: taskId, campaignId: campaign.id },
+      select: { id: true, title: true }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task is not part of this campaign' });
+    }
+
+    await prisma.task.update({
+      where: { id: task.id },
+      data: { campaignId: null }
+    });
+
+    await auditService.logTaskUpdated(task.id, task.title, ['campaignId'], req.user.id);
+
+    res.json({ message: 'Task removed from campaign' });
+
+  } catch (error) {
+    console.error('Remove campaign task error:', error);
+    res.status(500).json({ message: 'Failed to remove task from campaign' });
+  }
+});
+
+// Give every active task in the campaign the same compliance reviewer
+router.post('/:campaignId/bulk/assign-compliance', [
+  authorize(...REASSIGN_ROLES[ASSIGNEE_TYPES.COMPLIANCE]),
+  loadCampaign,
+  body('userId').custom(isValidObjectId).withMessage('Valid userId is required'),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await campaignService.assignCompliance(req.campaign, {
+      userId: req.body.userId,
+      reason: req.body.reason,
+      performedBy: req.user.id
+    });
+
+    res.json({
+      message: `Assigned ${result.tasks.length} tasks to ${result.toUser.fullName}`,
+      tasks: result.tasks,
+      skipped: result.skipped
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Campaign assign compliance error:', error);
+    res.status(500).json({ message: 'Failed to assign campaign reviewer' });
+  }
+});
+
+// Set a common expiry date on the campaign's live tasks
+router.post('/:campaignId/bulk/expiry', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  loadCampaign,
+  body('expiryDate').isISO8601().withMessage('Valid expiry date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tasks = await campaignService.setExpiry(req.campaign, {
+      expiryDate: req.body.expiryDate,
+      performedBy: req.user.id
+    });
+
+    res.json({
+      message: `Expiry date set on ${tasks.length} tasks`,
+      tasks
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Campaign expiry error:', error);
+    res.status(500).json({ message: 'Failed to set campaign expiry' });
+  }
+});
+
+module.exports = router;
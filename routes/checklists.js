@@ -0,0 +1,131 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const checklistService = require('../services/checklistService');
+const { DEFAULT_CHECKLIST_CATEGORY, CHECKLIST_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get checklist definitions per category
+router.get('/', async (req, res) => {
+  try {
+    const definitions = await prisma.checklistDefinition.findMany({
+      orderBy: { category: 'asc' },
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    res.json({
+      definitions,
+      defaultCategory: DEFAULT_CHECKLIST_CATEGORY,
+      options: {
+        statuses: Object.values(CHECKLIST_STATUS)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get checklist definitions error:', error);
+    res.status(500).json({ message: 'Failed to fetch checklist definitions' });
+  }
+});
+
+// Preview the checklist a new task in a category would get
+router.get('/:category/preview', async (req, res) => {
+  try {
+    const items = await checklistService.getDefinitionItems(req.params.category.trim());
+    res.json({ category: req.params.category.trim(), items });
+
+  } catch (error) {
+    console.error('Preview checklist error:', error);
+    res.status(500).json({ message: 'Failed to preview checklist' });
+  }
+});
+
+// Create or replace the checklist for a category
+router.put('/:category', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('items').isArray({ min: 1 }).withMessage('At least one checklist item is required'),
+  body('items.*.label').isString().trim().notEmpty().withMessage('Checklist item label is required'),
+  body('items.*.mandatory').optional().isBoolean(),
+  body('items.*.guidance').optional({ nullable: true }).isString().trim(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = req.params.category.trim();
+    const { isActive } = req.body;
+
+    const labels = req.body.items.map(item => item.label.toLowerCase());
+    const duplicates = labels.filter((label, index) => labels.indexOf(label) !== index);
+    if (duplicates.length > 0) {
+      return res.status(400).json({ message: `Duplicate checklist items: ${[...new Set(duplicates)].join(', ')}` });
+    }
+
+    // Existing tasks keep the checklist they were created with
+    const data = {
+      items: req.body.items.map(item => ({
+        label: item.label,
+        mandatory: item.mandatory !== false,
+        guidance: item.guidance || null
+      })),
+      ...(isActive !== undefined && { isActive }),
+      updatedById: req.user.id
+    };
+
+    const definition = await prisma.checklistDefinition.upsert({
+      where: { category },
+      update: data,
+      create: { category, ...data }
+    });
+
+    await auditService.logChecklistDefinitionUpdated(category, definition.items.length, req.user.id);
+
+    res.json({
+      message: 'Checklist saved successfully',
+      definition
+    });
+
+  } catch (error) {
+    console.error('Save checklist definition error:', error);
+    res.status(500).json({ message: 'Failed to save checklist' });
+  }
+});
+
+// Delete the checklist for a category
+router.delete('/:category', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const category = req.params.category.trim();
+
+    const existing = await prisma.checklistDefinition.findUnique({
+      where: { category }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Checklist not found' });
+    }
+
+    await prisma.checklistDefinition.delete({
+      where: { category }
+    });
+
+    await auditService.logChecklistDefinitionDeleted(category, req.user.id);
+
+    res.json({ message: 'Checklist deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete checklist definition error:', error);
+    res.status(500).json({ message: 'Failed to delete checklist' });
+  }
+});
+
+module.exports = router;
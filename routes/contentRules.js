@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const scanService = require('../services/scanService');
+const {
+  CONTENT_RULE_TYPES,
+  CONTENT_MATCH_TYPES,
+  FINDING_SEVERITY
+} = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+const RULE_FIELDS = ['name', 'description', 'ruleType', 'matchType', 'pattern', 'severity', 'categories', 'isActive'];
+
+const ruleValidation = [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('categories').optional().isArray(),
+  body('categories.*').isString().trim().notEmpty(),
+  body('isActive').optional().isBoolean()
+];
+
+// Regex rules must compile before they are saved
+const patternError = (matchType, pattern) => {
+  if (matchType !== CONTENT_MATCH_TYPES.REGEX) return null;
+  try {
+    new RegExp(pattern, 'gi');
+    return null;
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+};
+
+// Get content rules
+router.get('/', [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rules = await prisma.contentRule.findMany({
+      where: req.query.includeInactive === 'true' ? {} : { isActive: true },
+      orderBy: { name: 'asc' },
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    res.json({
+      rules,
+      options: {
+        ruleTypes: Object.values(CONTENT_RULE_TYPES),
+        matchTypes: Object.values(CONTENT_MATCH_TYPES),
+        severities: Object.values(FINDING_SEVERITY)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get content rules error:', error);
+    res.status(500).json({ message: 'Failed to fetch content rules' });
+  }
+});
+
+// Try the active rules against sample text without storing anything
+router.post('/preview', [
+  body('text').isString().notEmpty().withMessage('Text is required'),
+  body('category').optional({ nullable: true }).isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rules = await scanService.getRules(req.body.category);
+    const findings = scanService.evaluate(rules, [{ fileUrl: null, text: req.body.text }]);
+
+    res.json({ ruleCount: rules.length, findings });
+
+  } catch (error) {
+    console.error('Preview content rules error:', error);
+    res.status(500).json({ message: 'Failed to preview content rules' });
+  }
+});
+
+// Create content rule
+router.post('/', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+  body('ruleType').isIn(Object.values(CONTENT_RULE_TYPES)).withMessage('Invalid rule type'),
+  body('matchType').isIn(Object.values(CONTENT_MATCH_TYPES)).withMessage('Invalid match type'),
+  body('pattern').isString().trim().notEmpty().withMessage('Pattern is required').isLength({ max: 500 }),
+  body('severity').isIn(Object.values(FINDING_SEVERITY)).withMessage('Invalid severity'),
+  ...ruleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = {};
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const invalidPattern = patternError(data.matchType, data.pattern);
+    if (invalidPattern) {
+      return res.status(400).json({ message: invalidPattern });
+    }
+
+    const existing = await prisma.contentRule.findUnique({
+      where: { name: data.name }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: `Content rule "${data.name}" already exists` });
+    }
+
+    const rule = await prisma.contentRule.create({
+      data: { ...data, updatedById: req.user.id }
+    });
+
+    await auditService.logContentRuleCreated(rule.name, req.user.id);
+
+    res.status(201).json({
+      message: 'Content rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Create content rule error:', error);
+    res.status(500).json({ message: 'Failed to create content rule' });
+  }
+});
+
+// Update content rule; versions already scanned keep their findings until rescanned
+router.put('/:ruleId', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('ruleType').optional().isIn(Object.values(CONTENT_RULE_TYPES)).withMessage('Invalid rule type'),
+  body('matchType').optional().isIn(Object.values(CONTENT_MATCH_TYPES)).withMessage('Invalid match type'),
+  body('pattern').optional().isString().trim().notEmpty().isLength({ max: 500 }),
+  body('severity').optional().isIn(Object.values(FINDING_SEVERITY)).withMessage('Invalid severity'),
+  ...ruleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ruleId } = req.params;
+    if (!isValidObjectId(ruleId)) {
+      return res.status(400).json({ message: 'Invalid rule ID' });
+    }
+
+    const existing = await prisma.contentRule.findUnique({
+      where: { id: ruleId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Content rule not found' });
+    }
+
+    const updateData = {};
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const invalidPattern = patternError(
+      updateData.matchType || existing.matchType,
+      updateData.pattern || existing.pattern
+    );
+    if (invalidPattern) {
+      return res.status(400).json({ message: invalidPattern });
+    }
+
+    if (updateData.name && updateData.name !== existing.name) {
+      const duplicate = await prisma.contentRule.findUnique({
+        where: { name: updateData.name }
+      });
+      if (duplicate) {
+        return res.status(409).json({ message: `Content rule "${updateData.name}" already exists` });
+      }
+    }
+
+    const rule = await prisma.contentRule.update({
+      where: { id: ruleId },
+      data: { ...updateData, updatedById: req.user.id }
+    });
+
+    await auditService.logContentRuleUpdated(rule.name, Object.keys(updateData), req.user.id);
+
+    res.json({
+      message: 'Content rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update content rule error:', error);
+    res.status(500).json({ message: 'Failed to update content rule' });
+  }
+});
+
+// Delete content rule
+router.delete('/:ruleId', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (!isValidObjectId(ruleId)) {
+      return res.status(400).json({ message: 'Invalid rule ID' });
+    }
+
+    const existing = await prisma.contentRule.findUnique({
+      where: { id: ruleId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Content rule not found' });
+    }
+
+    await prisma.contentRule.delete({
+      where: { id: ruleId }
+    });
+
+    await auditService.logContentRuleDeleted(existing.name, req.user.id);
+
+    res.json({ message: 'Content rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete content rule error:', error);
+    res.status(500).json({ message: 'Failed to delete content rule' });
+  }
+});
+
+module.exports = router;
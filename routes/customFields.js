@@ -0,0 +1,242 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const customFieldService = require('../services/customFieldService');
+const { CUSTOM_FIELD_TYPES, TASK_METADATA } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+const FIELD_FIELDS = ['label', 'description', 'fieldType', 'options', 'required', 'categories', 'isActive', 'displayOrder'];
+
+const OPTION_TYPES = [CUSTOM_FIELD_TYPES.ENUM, CUSTOM_FIELD_TYPES.MULTI_SELECT];
+
+const fieldValidation = [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('options').optional().isArray(),
+  body('options.*').isString().trim().notEmpty(),
+  body('required').optional().isBoolean(),
+  body('categories').optional().isArray(),
+  body('categories.*').isString().trim().notEmpty(),
+  body('isActive').optional().isBoolean(),
+  body('displayOrder').optional().isInt()
+];
+
+// Enum and multi-select fields need distinct options; other types take none
+const optionsError = (fieldType, options = []) => {
+  if (!OPTION_TYPES.includes(fieldType)) {
+    return options.length > 0 ? `${fieldType} fields do not take options` : null;
+  }
+  if (options.length === 0) {
+    return `${fieldType} fields need at least one option`;
+  }
+  const lower = options.map(option => option.toLowerCase());
+  const duplicates = lower.filter((option, index) => lower.indexOf(option) !== index);
+  return duplicates.length > 0 ? `Duplicate options: ${[...new Set(duplicates)].join(', ')}` : null;
+};
+
+// Get custom field definitions
+router.get('/', [
+  query('includeInactive').optional().isBoolean(),
+  query('category').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { includeInactive, category } = req.query;
+
+    const fields = await prisma.customField.findMany({
+      where: includeInactive === 'true' ? {} : { isActive: true },
+      orderBy: [{ displayOrder: 'asc' }, { label: 'asc' }],
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    res.json({
+      fields: category ? fields.filter(field => customFieldService.appliesTo(field, category)) : fields,
+      options: {
+        fieldTypes: Object.values(CUSTOM_FIELD_TYPES)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({ message: 'Failed to fetch custom fields' });
+  }
+});
+
+// Create custom field
+router.post('/', [
+  authorize('ADMIN'),
+  body('key').isString().trim().matches(TASK_METADATA.KEY_PATTERN)
+    .withMessage('Key must start with a letter and use lowercase letters, digits and underscores'),
+  body('label').isString().trim().notEmpty().withMessage('Label is required').isLength({ max: 100 }),
+  body('fieldType').isIn(Object.values(CUSTOM_FIELD_TYPES)).withMessage('Invalid field type'),
+  ...fieldValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = { key: req.body.key };
+    FIELD_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const invalidOptions = optionsError(data.fieldType, data.options);
+    if (invalidOptions) {
+      return res.status(400).json({ message: invalidOptions });
+    }
+
+    const existing = await prisma.customField.findUnique({
+      where: { key: data.key }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: `Custom field "${data.key}" already exists` });
+    }
+
+    const field = await prisma.customField.create({
+      data: { ...data, updatedById: req.user.id }
+    });
+
+    await auditService.logCustomFieldCreated(field.key, req.user.id);
+
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field
+    });
+
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({ message: 'Failed to create custom field' });
+  }
+});
+
+// Update custom field; the key is fixed, and the type only changes while no task has a value
+router.put('/:fieldId', [
+  authorize('ADMIN'),
+  body('label').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('fieldType').optional().isIn(Object.values(CUSTOM_FIELD_TYPES)).withMessage('Invalid field type'),
+  ...fieldValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fieldId } = req.params;
+    if (!isValidObjectId(fieldId)) {
+      return res.status(400).json({ message: 'Invalid field ID' });
+    }
+
+    const existing = await prisma.customField.findUnique({
+      where: { id: fieldId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    if (req.body.key !== undefined && req.body.key !== existing.key) {
+      return res.status(400).json({ message: 'The key of a custom field cannot be changed' });
+    }
+
+    const updateData = {};
+    FIELD_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const fieldType = updateData.fieldType || existing.fieldType;
+    const invalidOptions = optionsError(
+      fieldType,
+      updateData.options || (OPTION_TYPES.includes(fieldType) ? existing.options : [])
+    );
+    if (invalidOptions) {
+      return res.status(400).json({ message: invalidOptions });
+    }
+
+    if (fieldType !== existing.fieldType) {
+      const inUse = await prisma.task.count({
+        where: { customFields: { some: { key: existing.key } } }
+      });
+      if (inUse > 0) {
+        return res.status(409).json({ message: `${inUse} task(s) have a value for "${existing.key}"; its type cannot be changed` });
+      }
+      if (!OPTION_TYPES.includes(fieldType)) updateData.options = [];
+    }
+
+    // Values already stored keep options that are later removed
+    const field = await prisma.customField.update({
+      where: { id: fieldId },
+      data: { ...updateData, updatedById: req.user.id }
+    });
+
+    await auditService.logCustomFieldUpdated(field.key, Object.keys(updateData), req.user.id);
+
+    res.json({
+      message: 'Custom field updated successfully',
+      field
+    });
+
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({ message: 'Failed to update custom field' });
+  }
+});
+
+// Delete custom field; fields with values on tasks can only be deactivated
+router.delete('/:fieldId', [
+  authorize('ADMIN')
+], async (req, res) => {
+  try {
+    const { fieldId } = req.params;
+    if (!isValidObjectId(fieldId)) {
+      return res.status(400).json({ message: 'Invalid field ID' });
+    }
+
+    const existing = await prisma.customField.findUnique({
+      where: { id: fieldId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    const inUse = await prisma.task.count({
+      where: { customFields: { some: { key: existing.key } } }
+    });
+
+    if (inUse > 0) {
+      return res.status(409).json({ message: `${inUse} task(s) have a value for "${existing.key}"; deactivate the field instead` });
+    }
+
+    await prisma.customField.delete({
+      where: { id: fieldId }
+    });
+
+    await auditService.logCustomFieldDeleted(existing.key, req.user.id);
+
+    res.json({ message: 'Custom field deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({ message: 'Failed to delete custom field' });
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,17 @@ const reportRoutes = require('./reports');
 const notificationRoutes = require('./notifications');
 const auditRoutes = require('./audit');
 const uploadRoutes = require('./upload');
+const workflowRoutes = require('./workflow');
+const reasonCodeRoutes = require('./reasonCodes');
+const approvalMatrixRoutes = require('./approvalMatrix');
+const assignmentRuleRoutes = require('./assignmentRules');
+const slaRoutes = require('./sla');
+const campaignRoutes = require('./campaigns');
+const taskTemplateRoutes = require('./taskTemplates');
+const checklistRoutes = require('./checklists');
+const contentRuleRoutes = require('./contentRules');
+const customFieldRoutes = require('./customFields');
+const lookupRoutes = require('./lookups');
 
 // Public routes (no authentication required)
 router.use('/auth', authRoutes);
@@ -23,6 +34,17 @@ router.use('/reports', authenticateToken, reportRoutes);
 router.use('/notifications', authenticateToken, notificationRoutes);
 router.use('/audit', authenticateToken, auditRoutes);
 router.use('/upload', authenticateToken, uploadRoutes);
+router.use('/workflow', authenticateToken, workflowRoutes);
+router.use('/reason-codes', authenticateToken, reasonCodeRoutes);
+router.use('/approval-matrix', authenticateToken, approvalMatrixRoutes);
+router.use('/assignment-rules', authenticateToken, assignmentRuleRoutes);
+router.use('/sla', authenticateToken, slaRoutes);
+router.use('/campaigns', authenticateToken, campaignRoutes);
+router.use('/task-templates', authenticateToken, taskTemplateRoutes);
+router.use('/checklists', authenticateToken, checklistRoutes);
+router.use('/content-rules', authenticateToken, contentRuleRoutes);
+router.use('/custom-fields', authenticateToken, customFieldRoutes);
+router.use('/lookups', authenticateToken, lookupRoutes);
 
 // API Info route
 router.get('/', (req, res) => {
@@ -37,7 +59,18 @@ router.get('/', (req, res) => {
       reports: '/api/reports',
       notifications: '/api/notifications',
       audit: '/api/audit',
-      upload: '/api/upload'
+      upload: '/api/upload',
+      workflow: '/api/workflow',
+      reasonCodes: '/api/reason-codes',
+      approvalMatrix: '/api/approval-matrix',
+      assignmentRules: '/api/assignment-rules',
+      sla: '/api/sla',
+      campaigns: '/api/campaigns',
+      taskTemplates: '/api/task-templates',
+      checklists: '/api/checklists',
+      contentRules: '/api/content-rules',
+      customFields: '/api/custom-fields',
+      lookups: '/api/lookups'
     },
     documentation: '/api/docs'
   });
@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const lookupService = require('../services/lookupService');
+const { LOOKUP_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+const LOOKUP_FIELDS = ['label', 'aliases', 'isActive', 'displayOrder'];
+
+const lookupValidation = [
+  body('aliases').optional().isArray(),
+  body('aliases.*').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('isActive').optional().isBoolean(),
+  body('displayOrder').optional().isInt()
+];
+
+// Label and aliases of an entry must not overlap each other
+const duplicateNames = (names) => {
+  const normalized = names.map(name => lookupService.normalize(name));
+  return names.filter((name, index) => normalized.indexOf(normalized[index]) !== index);
+};
+
+// Get platforms and categories
+router.get('/', [
+  query('type').optional().isIn(Object.values(LOOKUP_TYPES)).withMessage('Invalid lookup type'),
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = await lookupService.getValues(req.query.type, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      values,
+      options: {
+        types: Object.values(LOOKUP_TYPES)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get lookup values error:', error);
+    res.status(500).json({ message: 'Failed to fetch lookup values' });
+  }
+});
+
+// Map free-text platforms and categories of existing tasks and templates onto the lists
+router.post('/migrate', [
+  authorize('ADMIN'),
+  body('types').optional().isArray({ min: 1 }),
+  body('types.*').isIn(Object.values(LOOKUP_TYPES)).withMessage('Invalid lookup type'),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await lookupService.migrate(req.body.types, {
+      dryRun: req.body.dryRun !== false
+    });
+
+    if (!result.dryRun) {
+      const summary = result.results
+        .map(({ type, mapped }) => `${type}: ${mapped.map(m => `"${m.from}" → "${m.to}"`).join(', ') || 'no changes'}`)
+        .join('; ');
+      await auditService.logLookupValuesMigrated(summary, req.user.id);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Migrate lookup values error:', error);
+    res.status(500).json({ message: 'Failed to migrate lookup values' });
+  }
+});
+
+// Create platform or category
+router.post('/', [
+  authorize('ADMIN'),
+  body('type').isIn(Object.values(LOOKUP_TYPES)).withMessage('Invalid lookup type'),
+  body('label').isString().trim().notEmpty().withMessage('Label is required').isLength({ max: 100 }),
+  ...lookupValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = { type: req.body.type };
+    LOOKUP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const names = [data.label, ...(data.aliases || [])];
+    const duplicates = duplicateNames(names);
+    if (duplicates.length > 0) {
+      return res.status(400).json({ message: `Duplicate names: ${duplicates.join(', ')}` });
+    }
+
+    const conflicts = await lookupService.findConflicts(data.type, names);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ message: `Already used by another ${data.type.toLowerCase()}: ${conflicts.join(', ')}` });
+    }
+
+    const value = await prisma.lookupValue.create({
+      data: { ...data, updatedById: req.user.id }
+    });
+
+    await auditService.logLookupValueCreated(value.type, value.label, req.user.id);
+
+    res.status(201).json({
+      message: 'Lookup value created successfully',
+      value
+    });
+
+  } catch (error) {
+    console.error('Create lookup value error:', error);
+    res.status(500).json({ message: 'Failed to create lookup value' });
+  }
+});
+
+// Update platform or category; renaming moves tasks and templates to the new label
+router.put('/:lookupId', [
+  authorize('ADMIN'),
+  body('label').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  ...lookupValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lookupId } = req.params;
+    if (!isValidObjectId(lookupId)) {
+      return res.status(400).json({ message: 'Invalid lookup ID' });
+    }
+
+    const existing = await prisma.lookupValue.findUnique({
+      where: { id: lookupId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Lookup value not found' });
+    }
+
+    if (req.body.type !== undefined && req.body.type !== existing.type) {
+      return res.status(400).json({ message: 'The type of a lookup value cannot be changed' });
+    }
+
+    const updateData = {};
+    LOOKUP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const names = [updateData.label || existing.label, ...(updateData.aliases || existing.aliases)];
+    const duplicates = duplicateNames(names);
+    if (duplicates.length > 0) {
+      return res.status(400).json({ message: `Duplicate names: ${duplicates.join(', ')}` });
+    }
+
+    const conflicts = await lookupService.findConflicts(existing.type, names, existing.id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ message: `Already used by another ${existing.type.toLowerCase()}: ${conflicts.join(', ')}` });
+    }
+
+    const value = await prisma.lookupValue.update({
+      where: { id: lookupId },
+      data: { ...updateData, updatedById: req.user.id }
+    });
+
+    const relabeled = value.label !== existing.label
+      ? await lookupService.relabel(existing.type, existing.label, value.label)
+      : null;
+
+    await auditService.logLookupValueUpdated(value.type, value.label, Object.keys(updateData), req.user.id);
+
+    res.json({
+      message: 'Lookup value updated successfully',
+      value,
+      ...(relabeled && { relabeled })
+    });
+
+  } catch (error) {
+    console.error('Update lookup value error:', error);
+    res.status(500).json({ message: 'Failed to update lookup value' });
+  }
+});
+
+// Delete platform or category; values still in use can only be deactivated
+router.delete('/:lookupId', [
+  authorize('ADMIN')
+], async (req, res) => {
+  try {
+    const { lookupId } = req.params;
+    if (!isValidObjectId(lookupId)) {
+      return res.status(400).json({ message: 'Invalid lookup ID' });
+    }
+
+    const existing = await prisma.lookupValue.findUnique({
+      where: { id: lookupId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Lookup value not found' });
+    }
+
+    const usage = await lookupService.countUsage(existing.type, existing.label);
+    if (usage.tasks > 0 || usage.templates > 0) {
+      return res.status(409).json({
+        message: `"${existing.label}" is used by ${usage.tasks} task(s) and ${usage.templates} template(s); deactivate it instead`
+      });
+    }
+
+    await prisma.lookupValue.delete({
+      where: { id: lookupId }
+    });
+
+    await auditService.logLookupValueDeleted(existing.type, existing.label, req.user.id);
+
+    res.json({ message: 'Lookup value deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete lookup value error:', error);
+    res.status(500).json({ message: 'Failed to delete lookup value' });
+  }
+});
+
+module.exports = router;
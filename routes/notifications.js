@@ -11,7 +11,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('isRead').optional().isBoolean().toBoolean(),
-  query('type').optional().isIn(['TASK_ASSIGNED', 'COMMENT_ADDED', 'VERSION_UPLOADED', 'TASK_APPROVED', 'TASK_REJECTED', 'TASK_PUBLISHED', 'EXPIRY_WARNING', 'FOLLOW_UP'])
+  query('type').optional().isIn(['TASK_ASSIGNED', 'COMMENT_ADDED', 'VERSION_UPLOADED', 'TASK_APPROVED', 'TASK_REJECTED', 'TASK_PUBLISHED', 'EXPIRY_WARNING', 'FOLLOW_UP', 'SLA_WARNING', 'SLA_BREACHED', 'TASK_URGENT', 'TASK_STATUS_CHANGED'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
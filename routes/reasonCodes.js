@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const { DECISION_ACTIONS } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+// Get reason codes, optionally only those valid for one decision
+router.get('/', [
+  query('action').optional().isIn(Object.values(DECISION_ACTIONS)),
+  query('includeInactive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, includeInactive } = req.query;
+    const whereClause = {};
+
+    if (action) whereClause.actions = { has: action };
+    if (!includeInactive) whereClause.isActive = true;
+
+    const reasonCodes = await prisma.reasonCode.findMany({
+      where: whereClause,
+      orderBy: [{ displayOrder: 'asc' }, { label: 'asc' }]
+    });
+
+    res.json({ reasonCodes });
+
+  } catch (error) {
+    console.error('Get reason codes error:', error);
+    res.status(500).json({ message: 'Failed to fetch reason codes' });
+  }
+});
+
+// Create reason code
+router.post('/', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('code').matches(/^[A-Z0-9_]+$/).withMessage('Code must be upper-case letters, digits and underscores'),
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('description').optional().isString().trim(),
+  body('actions').isArray({ min: 1 }).withMessage('At least one action is required'),
+  body('actions.*').isIn(Object.values(DECISION_ACTIONS)),
+  body('displayOrder').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, label, description, actions, displayOrder } = req.body;
+
+    const existing = await prisma.reasonCode.findUnique({
+      where: { code }
+    });
+
+    if (existing) {
+      return res.status(400).json({ message: 'Reason code already exists' });
+    }
+
+    const reasonCode = await prisma.reasonCode.create({
+      data: {
+        code,
+        label,
+        description,
+        actions: [...new Set(actions)],
+        ...(displayOrder !== undefined && { displayOrder })
+      }
+    });
+
+    await auditService.logReasonCodeCreated(code, req.user.id);
+
+    res.status(201).json({
+      message: 'Reason code created successfully',
+      reasonCode
+    });
+
+  } catch (error) {
+    console.error('Create reason code error:', error);
+    res.status(500).json({ message: 'Failed to create reason code' });
+  }
+});
+
+// Update reason code; codes are kept once used so they are deactivated rather than deleted
+router.put('/:reasonCodeId', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('label').optional().trim().notEmpty(),
+  body('description').optional().isString().trim(),
+  body('actions').optional().isArray({ min: 1 }),
+  body('actions.*').optional().isIn(Object.values(DECISION_ACTIONS)),
+  body('isActive').optional().isBoolean(),
+  body('displayOrder').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reasonCodeId } = req.params;
+    if (!isValidObjectId(reasonCodeId)) {
+      return res.status(400).json({ message: 'Invalid reason code ID' });
+    }
+
+    const existing = await prisma.reasonCode.findUnique({
+      where: { id: reasonCodeId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Reason code not found' });
+    }
+
+    const updateData = {};
+    ['label', 'description', 'isActive', 'displayOrder'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    if (req.body.actions) updateData.actions = [...new Set(req.body.actions)];
+
+    const reasonCode = await prisma.reasonCode.update({
+      where: { id: reasonCodeId },
+      data: updateData
+    });
+
+    await auditService.logReasonCodeUpdated(existing.code, Object.keys(updateData), req.user.id);
+
+    res.json({
+      message: 'Reason code updated successfully',
+      reasonCode
+    });
+
+  } catch (error) {
+    console.error('Update reason code error:', error);
+    res.status(500).json({ message: 'Failed to update reason code' });
+  }
+});
+
+module.exports = router;
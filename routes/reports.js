@@ -2,10 +2,101 @@ const express = require('express');
 const { query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authorize } = require('../middleware/auth');
+const customFieldService = require('../services/customFieldService');
+const { createHttpError } = require('../utils/helpers');
+const { TASK_METADATA, TASK_VISIBILITY } = require('../utils/constants');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Names of the assigned product users of a set of tasks, looked up once
+const getProductNames = async (tasks) => {
+  const productIds = [...new Set(tasks.flatMap(task => task.assignedProductIds))];
+  const productUsers = productIds.length > 0 ? await prisma.user.findMany({
+    where: { id: { in: productIds } },
+    select: { id: true, fullName: true }
+  }) : [];
+  return new Map(productUsers.map(user => [user.id, user.fullName]));
+};
+
+// Group report rows by campaign, with rows outside any campaign last
+const groupByCampaign = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row.campaignId || 'NONE';
+    if (!groups.has(key)) {
+      groups.set(key, { campaignId: row.campaignId, campaign: row.campaign || 'No campaign', count: 0, data: [] });
+    }
+    const group = groups.get(key);
+    group.count++;
+    group.data.push(row);
+  });
+  return [...groups.values()].sort((a, b) => (a.campaignId ? 0 : 1) - (b.campaignId ? 0 : 1) || b.count - a.count);
+};
+
+// Task attributes reports can be grouped by, besides custom fields given as "field:<key>"
+const GROUP_DIMENSIONS = ['campaign', 'platform', 'category', 'tag', 'language'];
+
+const isGroupDimension = (...extra) => (value) =>
+  [...extra, ...GROUP_DIMENSIONS].includes(value) ||
+  (value.startsWith('field:') && TASK_METADATA.KEY_PATTERN.test(value.slice('field:'.length)));
+
+// Tags, custom field values and the attributes they can be grouped by. Variants are
+// reported as rows of their own, marked with their language and parent.
+const metadataColumns = (task) => ({
+  platform: task.platform,
+  category: task.category,
+  tags: task.tags,
+  customFields: customFieldService.toObject(task.customFields),
+  languageCode: task.languageCode,
+  isVariant: Boolean(task.parentTaskId),
+  parentUin: task.parentTask?.uin || null
+});
+
+// Group report rows by campaign, platform, category, tag, language or custom field. A row with
+// several tags or options is counted in each of them; rows without a value come last.
+const groupRows = async (rows, dimension) => {
+  if (dimension === 'campaign') return groupByCampaign(rows);
+
+  let valuesOf = (row) => (row[dimension] ? [row[dimension]] : []);
+  let label = dimension;
+
+  if (dimension === 'tag') {
+    valuesOf = (row) => row.tags;
+  } else if (dimension === 'language') {
+    valuesOf = (row) => (row.languageCode ? [row.languageCode] : []);
+  } else if (dimension.startsWith('field:')) {
+    const key = dimension.slice('field:'.length);
+    const field = await prisma.customField.findUnique({ where: { key } });
+    if (!field) {
+      throw createHttpError(400, `Unknown custom field "${key}"`);
+    }
+
+    label = field.label;
+    valuesOf = (row) => {
+      const value = row.customFields[key];
+      if (value === null || value === undefined) return [];
+      // Dates group by month
+      if (value instanceof Date) return [value.toISOString().slice(0, 7)];
+      return [].concat(value);
+    };
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const values = valuesOf(row);
+    (values.length > 0 ? values : [null]).forEach(value => {
+      if (!groups.has(value)) {
+        groups.set(value, { dimension: label, value, count: 0, data: [] });
+      }
+      const group = groups.get(value);
+      group.count++;
+      group.data.push(row);
+    });
+  });
+  return [...groups.values()].sort((a, b) => (a.value === null ? 1 : 0) - (b.value === null ? 1 : 0) || b.count - a.count);
+};
+
 // Internal Tasks Report
 router.get('/internal-tasks', [
   authorize('PRODUCT_ADMIN', 'COMPLIANCE_ADMIN', 'SENIOR_MANAGER', 'ADMIN'),
@@ -13,7 +104,9 @@ router.get('/internal-tasks', [
   query('dateTo').optional().isISO8601(),
   query('status').optional().isIn(['OPEN', 'COMPLIANCE_REVIEW', 'PRODUCT_REVIEW', 'APPROVED', 'PUBLISHED', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE', 'EXPIRED']),
   query('createdBy').optional().isString(),
-  query('assignedTo').optional().isString()
+  query('assignedTo').optional().isString(),
+  query('campaignId').optional().isString(),
+  query('groupBy').optional().custom(isGroupDimension()).withMessage('Invalid group dimension')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -26,14 +119,17 @@ router.get('/internal-tasks', [
       dateTo,
       status,
       createdBy,
-      assignedTo
+      assignedTo,
+      campaignId,
+      groupBy
     } = req.query;
 
     let whereClause = {
       OR: [
         { taskType: 'INTERNAL' },
         { taskType: null } // Include tasks where type hasn't been set yet
-      ]
+      ],
+      ...TASK_VISIBILITY.NOT_DELETED
     };
 
     // Apply filters
@@ -46,18 +142,22 @@ router.get('/internal-tasks', [
     if (status) whereClause.status = status;
     if (createdBy) whereClause.createdBy = createdBy;
     if (assignedTo) whereClause.assignedProductIds = { has: assignedTo };
+    if (campaignId) whereClause.campaignId = campaignId;
 
     const tasks = await prisma.task.findMany({
       where: whereClause,
       orderBy: { createdAt: 'desc' },
       include: {
         creator: { select: { fullName: true, username: true } },
-        assignedProducts: { select: { fullName: true, username: true } },
         assignedCompliance: { select: { fullName: true, username: true } },
+        campaign: { select: { name: true } },
+        parentTask: { select: { uin: true } },
         _count: { select: { versions: true, comments: true } }
       }
     });
 
+    const productNames = await getProductNames(tasks);
+
     // Calculate durations and metrics
     const reportData = tasks.map(task => {
       const createdDate = new Date(task.createdAt);
@@ -75,8 +175,11 @@ router.get('/internal-tasks', [
         uin: task.uin,
         title: task.title,
         createdBy: task.creator.fullName,
-        assignedProducts: task.assignedProducts.map(p => p.fullName).join(', '),
+        assignedProducts: task.assignedProductIds.map(id => productNames.get(id)).filter(Boolean).join(', '),
         assignedCompliance: task.assignedCompliance?.fullName || 'Not assigned',
+        campaignId: task.campaignId,
+        campaign: task.campaign?.name || null,
+        ...metadataColumns(task),
         status: task.status,
         createdAt: task.createdAt,
         approvalDate: task.approvalDate,
@@ -94,6 +197,7 @@ router.get('/internal-tasks', [
     // Summary metrics
     const summary = {
       totalTasks: reportData.length,
+      totalVariants: reportData.filter(t => t.isVariant).length,
       tasksByStatus: {},
       avgDaysToApproval: 0,
       avgDaysToPublish: 0,
@@ -121,12 +225,19 @@ router.get('/internal-tasks', [
       );
     }
 
+    if (groupBy) {
+      return res.json({ summary, groups: await groupRows(reportData, groupBy) });
+    }
+
     res.json({
       summary,
       data: reportData
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Internal tasks report error:', error);
     res.status(500).json({ message: 'Failed to generate internal tasks report' });
   }
@@ -138,7 +249,9 @@ router.get('/exchange-tasks', [
   query('dateFrom').optional().isISO8601(),
   query('dateTo').optional().isISO8601(),
   query('exchangeName').optional().isIn(['NSE', 'BSE', 'MCX', 'NCDEX']),
-  query('approvalStatus').optional().isIn(['APPROVED', 'PENDING', 'REJECTED', 'NOT_SENT'])
+  query('approvalStatus').optional().isIn(['APPROVED', 'PENDING', 'REJECTED', 'NOT_SENT']),
+  query('campaignId').optional().isString(),
+  query('groupBy').optional().custom(isGroupDimension()).withMessage('Invalid group dimension')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -150,10 +263,13 @@ router.get('/exchange-tasks', [
       dateFrom,
       dateTo,
       exchangeName,
-      approvalStatus
+      approvalStatus,
+      campaignId,
+      groupBy
     } = req.query;
 
-    let whereClause = { taskType: 'EXCHANGE' };
+    let whereClause = { taskType: 'EXCHANGE', ...TASK_VISIBILITY.NOT_DELETED };
+    if (campaignId) whereClause.campaignId = campaignId;
 
     // Apply date filters
     if (dateFrom || dateTo) {
@@ -167,8 +283,9 @@ router.get('/exchange-tasks', [
       orderBy: { createdAt: 'desc' },
       include: {
         creator: { select: { fullName: true, username: true } },
-        assignedProducts: { select: { fullName: true, username: true } },
         assignedCompliance: { select: { fullName: true, username: true } },
+        campaign: { select: { name: true } },
+        parentTask: { select: { uin: true } },
         exchangeApprovals: {
           where: {
             ...(exchangeName && { exchangeName }),
@@ -181,6 +298,8 @@ router.get('/exchange-tasks', [
       }
     });
 
+    const productNames = await getProductNames(tasks);
+
     // Flatten exchange approvals for report
     const reportData = [];
     
@@ -191,8 +310,11 @@ router.get('/exchange-tasks', [
           uin: task.uin,
           title: task.title,
           createdBy: task.creator.fullName,
-          assignedProducts: task.assignedProducts.map(p => p.fullName).join(', '),
+          assignedProducts: task.assignedProductIds.map(id => productNames.get(id)).filter(Boolean).join(', '),
           assignedCompliance: task.assignedCompliance?.fullName || 'Not assigned',
+          campaignId: task.campaignId,
+          campaign: task.campaign?.name || null,
+          ...metadataColumns(task),
           taskStatus: task.status,
           createdAt: task.createdAt,
           exchangeName: 'Not added',
@@ -209,8 +331,11 @@ router.get('/exchange-tasks', [
             uin: task.uin,
             title: task.title,
             createdBy: task.creator.fullName,
-            assignedProducts: task.assignedProducts.map(p => p.fullName).join(', '),
+            assignedProducts: task.assignedProductIds.map(id => productNames.get(id)).filter(Boolean).join(', '),
             assignedCompliance: task.assignedCompliance?.fullName || 'Not assigned',
+            campaignId: task.campaignId,
+            campaign: task.campaign?.name || null,
+            ...metadataColumns(task),
             taskStatus: task.status,
             createdAt: task.createdAt,
             exchangeName: approval.exchangeName,
@@ -230,6 +355,7 @@ router.get('/exchange-tasks', [
     // Summary metrics
     const summary = {
       totalTasks: tasks.length,
+      totalVariants: tasks.filter(t => t.parentTaskId).length,
       totalExchangeEntries: reportData.length,
       approvalStatusDistribution: {},
       exchangeDistribution: {},
@@ -247,12 +373,19 @@ router.get('/exchange-tasks', [
         (summary.exchangeDistribution[entry.exchangeName] || 0) + 1;
     });
 
+    if (groupBy) {
+      return res.json({ summary, groups: await groupRows(reportData, groupBy) });
+    }
+
     res.json({
       summary,
       data: reportData
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Exchange tasks report error:', error);
     res.status(500).json({ message: 'Failed to generate exchange tasks report' });
   }
@@ -289,7 +422,7 @@ router.get('/compliance-users', [
     const reportData = [];
 
     for (const user of complianceUsers) {
-      let taskFilter = { assignedComplianceId: user.id };
+      let taskFilter = { assignedComplianceId: user.id, ...TASK_VISIBILITY.NOT_DELETED };
       
       // Apply date filter if provided
       if (dateFrom || dateTo) {
@@ -466,6 +599,7 @@ router.get('/product-users', [
         prisma.task.count({
           where: {
             createdBy: user.id,
+            ...TASK_VISIBILITY.NOT_DELETED,
             ...(dateFrom && { createdAt: { gte: new Date(dateFrom) } }),
             ...(dateTo && { createdAt: { lte: new Date(dateTo) } })
           }
@@ -473,6 +607,7 @@ router.get('/product-users', [
         prisma.task.count({
           where: {
             assignedProductIds: { has: user.id },
+            ...TASK_VISIBILITY.NOT_DELETED,
             ...(dateFrom && { createdAt: { gte: new Date(dateFrom) } }),
             ...(dateTo && { createdAt: { lte: new Date(dateTo) } })
           }
@@ -498,6 +633,7 @@ router.get('/product-users', [
               { assignedProductIds: { has: user.id } }
             ],
             status: 'PUBLISHED',
+            ...TASK_VISIBILITY.NOT_DELETED,
             ...(dateFrom && { publishDate: { gte: new Date(dateFrom) } }),
             ...(dateTo && { publishDate: { lte: new Date(dateTo) } })
           }
@@ -566,7 +702,8 @@ router.get('/expiring-soon', [
           lte: cutoffDate,
           gte: new Date() // Not already expired
         },
-        status: { in: ['APPROVED', 'PUBLISHED'] }
+        status: { in: ['APPROVED', 'PUBLISHED'] },
+        ...TASK_VISIBILITY.NOT_DELETED
       },
       orderBy: { expiryDate: 'asc' },
       include: {
@@ -712,7 +849,9 @@ router.get('/daily-movement', [
 router.get('/rejected-tasks', [
   authorize('COMPLIANCE_ADMIN', 'SENIOR_MANAGER', 'ADMIN'),
   query('dateFrom').optional().isISO8601(),
-  query('dateTo').optional().isISO8601()
+  query('dateTo').optional().isISO8601(),
+  query('reasonCode').optional().isString().trim(),
+  query('groupBy').optional().custom(isGroupDimension('reason')).withMessage('Invalid group dimension')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -720,10 +859,11 @@ router.get('/rejected-tasks', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { dateFrom, dateTo } = req.query;
+    const { dateFrom, dateTo, reasonCode, groupBy } = req.query;
 
     let whereClause = {
-      status: { in: ['CLOSED_INTERNAL', 'CLOSED_EXCHANGE'] }
+      status: { in: ['CLOSED_INTERNAL', 'CLOSED_EXCHANGE'] },
+      ...TASK_VISIBILITY.NOT_DELETED
     };
 
     // Apply date filter
@@ -733,42 +873,98 @@ router.get('/rejected-tasks', [
       if (dateTo) whereClause.closureDate.lte = new Date(dateTo);
     }
 
+    // Apply reason filter
+    if (reasonCode) {
+      whereClause.decisions = { some: { action: 'REJECT', reasonCode } };
+    }
+
     const rejectedTasks = await prisma.task.findMany({
       where: whereClause,
       orderBy: { closureDate: 'desc' },
       include: {
         creator: { select: { fullName: true, username: true } },
-        assignedProducts: { select: { fullName: true, username: true } },
-        assignedCompliance: { select: { fullName: true, username: true } }
+        assignedCompliance: { select: { fullName: true, username: true } },
+        campaign: { select: { name: true } },
+        parentTask: { select: { uin: true } },
+        decisions: {
+          where: { action: 'REJECT' },
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: {
+            decidedBy: { select: { fullName: true } }
+          }
+        }
       }
     });
 
-    const reportData = rejectedTasks.map(task => ({
-      uin: task.uin,
-      title: task.title,
-      createdBy: task.creator.fullName,
-      assignedProducts: task.assignedProducts.map(p => p.fullName).join(', '),
-      assignedCompliance: task.assignedCompliance?.fullName || 'Not assigned',
-      status: task.status,
-      createdAt: task.createdAt,
-      closureDate: task.closureDate,
-      closureComments: task.closureComments,
-      daysActive: task.closureDate ? 
-        Math.ceil((new Date(task.closureDate) - new Date(task.createdAt)) / (1000 * 60 * 60 * 24)) : null
-    }));
+    const productNames = await getProductNames(rejectedTasks);
+
+    const reportData = rejectedTasks.map(task => {
+      const rejection = task.decisions[0];
+
+      return {
+        uin: task.uin,
+        title: task.title,
+        createdBy: task.creator.fullName,
+        assignedProducts: task.assignedProductIds.map(id => productNames.get(id)).filter(Boolean).join(', '),
+        assignedCompliance: task.assignedCompliance?.fullName || 'Not assigned',
+        campaignId: task.campaignId,
+        campaign: task.campaign?.name || null,
+        ...metadataColumns(task),
+        status: task.status,
+        createdAt: task.createdAt,
+        closureDate: task.closureDate,
+        closureComments: task.closureComments,
+        reasonCode: rejection?.reasonCode || 'UNSPECIFIED',
+        reasonLabel: rejection?.reasonLabel || 'Unspecified',
+        rejectionComments: rejection?.comments || null,
+        rejectedBy: rejection?.decidedBy.fullName || null,
+        rejectedVersion: rejection?.versionNumber || null,
+        daysActive: task.closureDate ? 
+          Math.ceil((new Date(task.closureDate) - new Date(task.createdAt)) / (1000 * 60 * 60 * 24)) : null
+      };
+    });
+
+    // Count rejections per reason
+    const byReason = {};
+    reportData.forEach(task => {
+      if (!byReason[task.reasonCode]) {
+        byReason[task.reasonCode] = { reasonCode: task.reasonCode, reasonLabel: task.reasonLabel, count: 0 };
+      }
+      byReason[task.reasonCode].count++;
+    });
 
     const summary = {
       totalRejected: reportData.length,
+      totalVariants: reportData.filter(task => task.isVariant).length,
       avgDaysActive: reportData.length > 0 ? 
-        Math.round(reportData.reduce((sum, task) => sum + (task.daysActive || 0), 0) / reportData.length) : 0
+        Math.round(reportData.reduce((sum, task) => sum + (task.daysActive || 0), 0) / reportData.length) : 0,
+      byReason: Object.values(byReason).sort((a, b) => b.count - a.count)
     };
 
+    if (groupBy === 'reason') {
+      return res.json({
+        summary,
+        groups: summary.byReason.map(group => ({
+          ...group,
+          tasks: reportData.filter(task => task.reasonCode === group.reasonCode)
+        }))
+      });
+    }
+
+    if (groupBy) {
+      return res.json({ summary, groups: await groupRows(reportData, groupBy) });
+    }
+
     res.json({
       summary,
       data: reportData
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Rejected tasks report error:', error);
     res.status(500).json({ message: 'Failed to generate rejected tasks report' });
   }
@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const slaService = require('../services/slaService');
+const { TASK_STATUS, SLA_STATES, DEFAULT_SLA_POLICIES, SYSTEM_CONFIG, TASK_VISIBILITY } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get SLA policies, including built-in ones that have not been overridden
+router.get('/policies', [
+  authorize('COMPLIANCE_ADMIN', 'PRODUCT_ADMIN', 'SENIOR_MANAGER', 'ADMIN')
+], async (req, res) => {
+  try {
+    const saved = await prisma.slaPolicy.findMany({
+      orderBy: { status: 'asc' },
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    res.json({
+      policies: await slaService.getPolicies(),
+      saved,
+      defaults: DEFAULT_SLA_POLICIES,
+      timeZone: SYSTEM_CONFIG.DEFAULT_TIMEZONE
+    });
+
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({ message: 'Failed to fetch SLA policies' });
+  }
+});
+
+// Create or replace the SLA policy for a status
+router.put('/policies/:status', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  param('status').isIn(Object.values(TASK_STATUS)).withMessage('Invalid status'),
+  body('targetBusinessDays').isFloat({ gt: 0, max: 365 }).toFloat(),
+  body('warningPercent').optional().isInt({ min: 1, max: 99 }).toInt(),
+  body('seniorEscalationPercent').optional().isInt({ min: 100, max: 1000 }).toInt(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status } = req.params;
+    const { targetBusinessDays, warningPercent, seniorEscalationPercent, isActive } = req.body;
+
+    // Changes apply to clocks started from now on
+    const data = {
+      targetBusinessDays,
+      ...(warningPercent !== undefined && { warningPercent }),
+      ...(seniorEscalationPercent !== undefined && { seniorEscalationPercent }),
+      ...(isActive !== undefined && { isActive }),
+      updatedById: req.user.id
+    };
+
+    const policy = await prisma.slaPolicy.upsert({
+      where: { status },
+      update: data,
+      create: { status, ...data }
+    });
+
+    await auditService.logSlaPolicyUpdated(status, targetBusinessDays, req.user.id);
+
+    res.json({
+      message: 'SLA policy saved successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Save SLA policy error:', error);
+    res.status(500).json({ message: 'Failed to save SLA policy' });
+  }
+});
+
+// Get holidays, optionally for one year
+router.get('/holidays', [
+  query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { year } = req.query;
+
+    const holidays = await prisma.holiday.findMany({
+      where: year ? { date: { startsWith: `${year}-` } } : {},
+      orderBy: { date: 'asc' }
+    });
+
+    res.json({ holidays, timeZone: SYSTEM_CONFIG.DEFAULT_TIMEZONE });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({ message: 'Failed to fetch holidays' });
+  }
+});
+
+// Add a holiday
+router.post('/holidays', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .custom(value => !isNaN(Date.parse(value))).withMessage('Invalid date'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, name } = req.body;
+
+    const existing = await prisma.holiday.findUnique({
+      where: { date }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: `${date} is already a holiday (${existing.name})` });
+    }
+
+    const holiday = await prisma.holiday.create({
+      data: { date, name, createdById: req.user.id }
+    });
+
+    await auditService.logHolidayCreated(date, name, req.user.id);
+
+    res.status(201).json({
+      message: 'Holiday added successfully',
+      holiday
+    });
+
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({ message: 'Failed to add holiday' });
+  }
+});
+
+// Remove a holiday
+router.delete('/holidays/:date', [
+  authorize('COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const holiday = await prisma.holiday.findUnique({
+      where: { date: req.params.date }
+    });
+
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    await prisma.holiday.delete({
+      where: { date: holiday.date }
+    });
+
+    await auditService.logHolidayDeleted(holiday.date, holiday.name, req.user.id);
+
+    res.json({ message: 'Holiday removed successfully' });
+
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({ message: 'Failed to remove holiday' });
+  }
+});
+
+// Get tasks whose running SLA clock is at risk or breached
+router.get('/breaches', [
+  authorize('COMPLIANCE_ADMIN', 'PRODUCT_ADMIN', 'SENIOR_MANAGER', 'ADMIN'),
+  query('state').optional().isIn([SLA_STATES.AT_RISK, SLA_STATES.BREACHED])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const calendar = await slaService.getCalendar();
+    const tasks = await prisma.task.findMany({
+      where: { status: { in: Object.keys(calendar.policies) }, ...TASK_VISIBILITY.ON_DASHBOARDS },
+      select: {
+        id: true,
+        uin: true,
+        title: true,
+        status: true,
+        slaClocks: true,
+        slaDueAt: true,
+        assignedProductIds: true,
+        assignedCompliance: { select: { id: true, fullName: true } }
+      }
+    });
+
+    const states = req.query.state ? [req.query.state] : [SLA_STATES.AT_RISK, SLA_STATES.BREACHED];
+    const breaches = tasks
+      .map(({ slaClocks, ...task }) => ({ ...task, sla: slaService.describe({ ...task, slaClocks }, calendar) }))
+      .filter(task => task.sla && states.includes(task.sla.state))
+      .sort((a, b) => a.sla.remainingMinutes - b.sla.remainingMinutes);
+
+    res.json({ tasks: breaches, totalCount: breaches.length });
+
+  } catch (error) {
+    console.error('Get SLA breaches error:', error);
+    res.status(500).json({ message: 'Failed to fetch SLA breaches' });
+  }
+});
+
+module.exports = router;
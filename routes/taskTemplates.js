@@ -0,0 +1,295 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authorize } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const templateService = require('../services/templateService');
+const lookupService = require('../services/lookupService');
+const { EXCHANGE_NAMES, LOOKUP_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+const MANAGER_ROLES = ['PRODUCT_ADMIN', 'COMPLIANCE_ADMIN', 'ADMIN'];
+
+const templateValidation = [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+  body('taskDescription').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+  body('taskType').optional({ nullable: true }).isIn(['INTERNAL', 'EXCHANGE']),
+  body('category').optional({ nullable: true }).isString().trim(),
+  body('platform').optional({ nullable: true }).isString().trim(),
+  body('remarks').optional({ nullable: true }).isString().trim(),
+  body('publishOffsetDays').optional({ nullable: true }).isInt({ min: 0, max: 365 }).toInt(),
+  body('assignedProductIds').optional().isArray(),
+  body('assignedProductIds.*').optional().custom(isValidObjectId).withMessage('Invalid assigned product ID'),
+  body('exchanges').optional().isArray(),
+  body('exchanges.*.exchangeName').isIn(Object.values(EXCHANGE_NAMES)).withMessage('Invalid exchange name'),
+  body('exchanges.*.typeOfContent').isString().trim().notEmpty().withMessage('Type of content is required'),
+  body('checklist').optional().isArray(),
+  body('checklist.*.label').isString().trim().notEmpty().withMessage('Checklist item label is required'),
+  body('checklist.*.mandatory').optional().isBoolean(),
+  body('checklist.*.guidance').optional({ nullable: true }).isString().trim(),
+  body('isActive').optional().isBoolean()
+];
+
+// Normalize checklist and exchange entries to the stored shape
+const normalizeLists = (data) => {
+  if (data.checklist) {
+    data.checklist = data.checklist.map(item => ({
+      label: item.label,
+      mandatory: item.mandatory !== false,
+      guidance: item.guidance || null
+    }));
+  }
+  if (data.exchanges) {
+    data.exchanges = data.exchanges.map(exchange => ({
+      exchangeName: exchange.exchangeName,
+      typeOfContent: exchange.typeOfContent
+    }));
+  }
+  return data;
+};
+
+const TEMPLATE_FIELDS = [
+  'name', 'description', 'titlePattern', 'taskDescription', 'taskType', 'category', 'platform',
+  'remarks', 'publishOffsetDays', 'assignedProductIds', 'exchanges', 'checklist', 'isActive'
+];
+
+// Get task templates; managers can include inactive ones
+router.get('/', [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const includeInactive = req.query.includeInactive === 'true' && MANAGER_ROLES.includes(req.user.role);
+
+    const templates = await prisma.taskTemplate.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: { name: 'asc' },
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    res.json({
+      templates: templates.map(template => ({
+        ...template,
+        variables: templateService.tokensIn(`${template.titlePattern} ${template.taskDescription || ''}`)
+      })),
+      dateVariables: Object.keys(templateService.dateVariables())
+    });
+
+  } catch (error) {
+    console.error('Get task templates error:', error);
+    res.status(500).json({ message: 'Failed to fetch task templates' });
+  }
+});
+
+// Get task template by ID
+router.get('/:templateId', async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    if (!isValidObjectId(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const template = await prisma.taskTemplate.findUnique({
+      where: { id: templateId },
+      include: {
+        updatedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
+
+    // Default assignees, for display in the create form
+    const assignedProducts = await prisma.user.findMany({
+      where: { id: { in: template.assignedProductIds } },
+      select: { id: true, fullName: true, username: true, isActive: true }
+    });
+
+    res.json({
+      ...template,
+      assignedProducts,
+      variables: templateService.tokensIn(`${template.titlePattern} ${template.taskDescription || ''}`)
+    });
+
+  } catch (error) {
+    console.error('Get task template error:', error);
+    res.status(500).json({ message: 'Failed to fetch task template' });
+  }
+});
+
+// Create task template
+router.post('/', [
+  authorize(...MANAGER_ROLES),
+  body('name').isString().trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+  body('titlePattern').isString().trim().notEmpty().withMessage('Title pattern is required').isLength({ max: 200 }),
+  ...templateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    normalizeLists(data);
+
+    const existing = await prisma.taskTemplate.findUnique({
+      where: { name: data.name }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: `Template "${data.name}" already exists` });
+    }
+
+    await templateService.validateProductUsers(data.assignedProductIds || []);
+    data.platform = await lookupService.resolve(LOOKUP_TYPES.PLATFORM, data.platform);
+    data.category = await lookupService.resolve(LOOKUP_TYPES.CATEGORY, data.category);
+
+    const template = await prisma.taskTemplate.create({
+      data: { ...data, updatedById: req.user.id }
+    });
+
+    await auditService.logTemplateCreated(template.name, req.user.id);
+
+    res.status(201).json({
+      message: 'Task template created successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Create task template error:', error);
+    res.status(500).json({ message: 'Failed to create task template' });
+  }
+});
+
+// Update task template
+router.put('/:templateId', [
+  authorize(...MANAGER_ROLES),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('titlePattern').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  ...templateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { templateId } = req.params;
+    if (!isValidObjectId(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const existing = await prisma.taskTemplate.findUnique({
+      where: { id: templateId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
+
+    const updateData = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    normalizeLists(updateData);
+
+    if (updateData.name && updateData.name !== existing.name) {
+      const duplicate = await prisma.taskTemplate.findUnique({
+        where: { name: updateData.name }
+      });
+      if (duplicate) {
+        return res.status(409).json({ message: `Template "${updateData.name}" already exists` });
+      }
+    }
+
+    if (updateData.assignedProductIds) {
+      await templateService.validateProductUsers(updateData.assignedProductIds);
+    }
+
+    if (updateData.platform !== undefined && updateData.platform !== existing.platform) {
+      updateData.platform = await lookupService.resolve(LOOKUP_TYPES.PLATFORM, updateData.platform);
+    }
+    if (updateData.category !== undefined && updateData.category !== existing.category) {
+      updateData.category = await lookupService.resolve(LOOKUP_TYPES.CATEGORY, updateData.category);
+    }
+
+    const template = await prisma.taskTemplate.update({
+      where: { id: templateId },
+      data: { ...updateData, updatedById: req.user.id }
+    });
+
+    await auditService.logTemplateUpdated(template.name, Object.keys(updateData), req.user.id);
+
+    res.json({
+      message: 'Task template updated successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Update task template error:', error);
+    res.status(500).json({ message: 'Failed to update task template' });
+  }
+});
+
+// Delete task template; tasks created from it keep their fields
+router.delete('/:templateId', [
+  authorize(...MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    if (!isValidObjectId(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const existing = await prisma.taskTemplate.findUnique({
+      where: { id: templateId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
+
+    await prisma.task.updateMany({
+      where: { templateId },
+      data: { templateId: null }
+    });
+
+    await prisma.taskTemplate.delete({
+      where: { id: templateId }
+    });
+
+    await auditService.logTemplateDeleted(existing.name, req.user.id);
+
+    res.json({ message: 'Task template deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete task template error:', error);
+    res.status(500).json({ message: 'Failed to delete task template' });
+  }
+});
+
+module.exports = router;
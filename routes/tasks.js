@@ -2,9 +2,44 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authorize, checkTaskAccess } = require('../middleware/auth');
-const { generateUIN } = require('../utils/helpers');
+const { generateUIN, createHttpError } = require('../utils/helpers');
 const auditService = require('../services/auditService');
 const notificationService = require('../services/notificationService');
+const workflowService = require('../services/workflowService');
+const reviewService = require('../services/reviewService');
+const lifecycleService = require('../services/lifecycleService');
+const assignmentService = require('../services/assignmentService');
+const slaService = require('../services/slaService');
+const priorityService = require('../services/priorityService');
+const templateService = require('../services/templateService');
+const checklistService = require('../services/checklistService');
+const scanService = require('../services/scanService');
+const versionService = require('../services/versionService');
+const commentService = require('../services/commentService');
+const customFieldService = require('../services/customFieldService');
+const lookupService = require('../services/lookupService');
+const linkService = require('../services/linkService');
+const variantService = require('../services/variantService');
+const concurrencyService = require('../services/concurrencyService');
+const fieldPermissionService = require('../services/fieldPermissionService');
+const {
+  ASSIGNEE_TYPES,
+  REASSIGN_ROLES,
+  ACTIVE_TASK_STATUSES,
+  PRIORITY_LEVELS,
+  REVIEW_QUEUE_STATUSES,
+  EXCHANGE_NAMES,
+  CHECKLIST_STATUS,
+  VERSION_STATUS,
+  LOOKUP_TYPES,
+  TASK_LINK_TYPES,
+  LANGUAGE_CODE_PATTERN,
+  TASK_VISIBILITY,
+  REOPENABLE_STATUSES,
+  SCAN_STATUS,
+  WORKFLOW_ACTIONS,
+  WORKFLOW_HOOKS
+} = require('../utils/constants');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -47,6 +82,26 @@ const validateObjectId = (paramName) => {
   };
 };
 
+// Deleted and archived tasks stay as they are until restored
+const rejectInactiveTask = async (req, res, next) => {
+  try {
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId },
+      select: { isDeleted: true, isArchived: true }
+    });
+
+    if (task && (task.isDeleted || task.isArchived)) {
+      return res.status(409).json({
+        message: `Task is ${task.isDeleted ? 'deleted' : 'archived'}; restore it first`
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Helper function to get assigned products for a task
 const getAssignedProducts = async (assignedProductIds) => {
   if (!assignedProductIds || assignedProductIds.length === 0) return [];
@@ -64,6 +119,141 @@ const getAssignedProducts = async (assignedProductIds) => {
   });
 };
 
+// Create a task with an auto-assigned compliance reviewer, used by plain and template creation
+const createTask = async (fields, user) => {
+  const {
+    title,
+    description,
+    taskType,
+    assignedProductIds,
+    expectedPublishDate,
+    remarks,
+    relatedTaskId,
+    priority,
+    campaignId,
+    exchanges = [],
+    checklist = [],
+    templateId,
+    tags = [],
+    customFields,
+    inheritedCustomFields = [],
+    parentTaskId,
+    languageCode
+  } = fields;
+
+  // Platform and category are stored as their canonical labels, and custom fields
+  // are checked against that category before anything is stored
+  const platform = await lookupService.resolve(LOOKUP_TYPES.PLATFORM, fields.platform);
+  const category = await lookupService.resolve(LOOKUP_TYPES.CATEGORY, fields.category);
+  const normalizedTags = customFieldService.normalizeTags(tags);
+  const customFieldValues = await customFieldService.buildValues(customFields, {
+    category,
+    current: inheritedCustomFields
+  });
+
+  // Verify assigned users exist and are product users
+  if (assignedProductIds.length > 0) {
+    const assignedUsers = await prisma.user.findMany({
+      where: {
+        id: { in: assignedProductIds },
+        role: { in: ['PRODUCT_USER', 'PRODUCT_ADMIN'] },
+        isActive: true
+      }
+    });
+
+    if (assignedUsers.length !== assignedProductIds.length) {
+      throw createHttpError(400, 'Invalid assigned product users');
+    }
+  }
+
+  if (campaignId) {
+    const campaign = await prisma.campaign.findUnique({ where: { id: campaignId } });
+    if (!campaign) {
+      throw createHttpError(400, 'Campaign not found');
+    }
+  }
+
+  // Auto-assign a compliance user with the assignment rule for this category
+  const selection = await assignmentService.selectComplianceUser({ category, platform, taskType }, {
+    relatedTaskId,
+    exchangeNames: exchanges.map(exchange => exchange.exchangeName)
+  });
+
+  if (!selection) {
+    throw createHttpError(400, 'No available compliance users');
+  }
+
+  // Generate UIN
+  const uin = await generateUIN();
+
+  // Create task
+  const task = await prisma.task.create({
+    data: {
+      uin,
+      title,
+      description,
+      taskType,
+      expectedPublishDate: expectedPublishDate ? new Date(expectedPublishDate) : null,
+      platform,
+      category,
+      remarks,
+      tags: normalizedTags,
+      customFields: customFieldValues,
+      parentTaskId,
+      languageCode,
+      createdBy: user.id,
+      assignedProductIds,
+      assignedComplianceId: selection.user.id,
+      assignmentDecision: selection.decision,
+      campaignId,
+      templateId,
+      checklist: await checklistService.buildItems(category, checklist),
+      ...(priority
+        ? priorityService.manualFields(priority)
+        : priorityService.fieldsFor({ status: 'OPEN', expectedPublishDate })),
+      ...await slaService.transitionData({ slaClocks: [] }, 'OPEN')
+    },
+    include: {
+      creator: { select: { fullName: true, username: true } },
+      assignedCompliance: { select: { fullName: true, username: true } }
+    }
+  });
+
+  // Exchanges still have to be sent the advertisement
+  const exchangeApprovals = [];
+  for (const exchange of exchanges) {
+    exchangeApprovals.push(await prisma.exchangeApproval.create({
+      data: {
+        exchangeName: exchange.exchangeName,
+        typeOfContent: exchange.typeOfContent,
+        approvalStatus: 'NOT_SENT',
+        taskId: task.id,
+        updatedById: user.id
+      }
+    }));
+  }
+
+  // Add assigned products manually
+  const assignedProducts = await getAssignedProducts(task.assignedProductIds);
+
+  // Create audit log
+  await auditService.logTaskCreated(task.id, title, user.id);
+
+  // Send notification to assigned compliance user
+  await notificationService.sendTaskAssignedNotification(
+    selection.user.id,
+    task.id,
+    task.title
+  );
+  await priorityService.notifyIfUrgent(null, task);
+
+  return {
+    ...task,
+    assignedProducts,
+    ...(exchangeApprovals.length > 0 && { exchangeApprovals })
+  };
+};
+
 // Get dashboard data
 router.get('/dashboard', async (req, res) => {
   try {
@@ -86,6 +276,9 @@ router.get('/dashboard', async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Deleted and archived tasks stay off the dashboard
+    Object.assign(whereClause, TASK_VISIBILITY.ON_DASHBOARDS);
+
     // Get counts
     const [
       approvedNotPublished,
@@ -117,13 +310,15 @@ router.get('/dashboard', async (req, res) => {
       }
     });
 
-    // Add assigned products manually
+    // Add assigned products and unresolved comment threads
+    const unresolvedComments = await commentService.getUnresolvedCounts(recentTasks.map(task => task.id));
     const tasksWithProducts = await Promise.all(
       recentTasks.map(async (task) => {
         const assignedProducts = await getAssignedProducts(task.assignedProductIds);
         return {
           ...task,
-          assignedProducts
+          assignedProducts,
+          unresolvedComments: unresolvedComments[task.id] || 0
         };
       })
     );
@@ -150,7 +345,17 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('search').optional().isString().trim(),
   query('status').optional().isIn(['OPEN', 'COMPLIANCE_REVIEW', 'PRODUCT_REVIEW', 'APPROVED', 'PUBLISHED', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE', 'EXPIRED']),
-  query('taskType').optional().isIn(['INTERNAL', 'EXCHANGE'])
+  query('taskType').optional().isIn(['INTERNAL', 'EXCHANGE']),
+  query('priority').optional().isIn(Object.values(PRIORITY_LEVELS)),
+  query('sortBy').optional().isIn(['updatedAt', 'createdAt', 'priority', 'expectedPublishDate']),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('campaignId').optional().custom(isValidObjectId).withMessage('Invalid campaign ID'),
+  query('watching').optional().isBoolean(),
+  query('tags').optional().isString().trim(),
+  query('field').optional().isObject().withMessage('Custom field filters must be given as field[key]=value'),
+  query('parentTaskId').optional().custom(isValidObjectId).withMessage('Invalid parent task ID'),
+  query('archived').optional().isBoolean(),
+  query('includeDeleted').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -164,6 +369,16 @@ router.get('/', [
       search,
       status,
       taskType,
+      priority,
+      sortBy = 'updatedAt',
+      sortOrder = 'desc',
+      campaignId,
+      watching,
+      tags,
+      field,
+      parentTaskId,
+      archived,
+      includeDeleted,
       createdBy,
       assignedTo,
       dateFrom,
@@ -181,13 +396,25 @@ router.get('/', [
     if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
       whereClause.OR = [
         { createdBy: userId },
-        { assignedProductIds: { has: userId } }
+        { assignedProductIds: { has: userId } },
+        { watcherIds: { has: userId } }
       ];
     } else if (userRole === 'COMPLIANCE_USER') {
-      whereClause.assignedComplianceId = userId;
+      whereClause.AND = [{
+        OR: [
+          { assignedComplianceId: userId },
+          { watcherIds: { has: userId } }
+        ]
+      }];
     }
     // ADMIN, SENIOR_MANAGER, COMPLIANCE_ADMIN can see all tasks
 
+    // Deleted tasks are only listed for admins who ask for them; archived ones stay searchable
+    if (!(includeDeleted === 'true' && userRole === 'ADMIN')) {
+      Object.assign(whereClause, TASK_VISIBILITY.NOT_DELETED);
+    }
+    if (archived !== undefined) whereClause.isArchived = archived === 'true' ? true : { not: true };
+
     // Apply filters
     if (search) {
       whereClause.OR = [
@@ -199,6 +426,16 @@ router.get('/', [
 
     if (status) whereClause.status = status;
     if (taskType) whereClause.taskType = taskType;
+    if (priority) whereClause.priority = priority;
+    if (campaignId) whereClause.campaignId = campaignId;
+    if (watching === 'true') whereClause.watcherIds = { has: userId };
+    if (tags) whereClause.tags = { hasEvery: customFieldService.normalizeTags(tags.split(',')) };
+    if (parentTaskId) whereClause.parentTaskId = parentTaskId;
+
+    const fieldFilters = await customFieldService.buildFilters(field);
+    if (fieldFilters.length > 0) {
+      whereClause.AND = [...(whereClause.AND || []), ...fieldFilters];
+    }
     if (createdBy) whereClause.createdBy = createdBy;
     
     if (dateFrom || dateTo) {
@@ -216,7 +453,10 @@ router.get('/', [
     const [tasks, totalCount] = await Promise.all([
       prisma.task.findMany({
         where: whereClause,
-        orderBy: { updatedAt: 'desc' },
+        // Priority sorts by its rank, newest update first within a priority
+        orderBy: sortBy === 'priority'
+          ? [{ priorityRank: sortOrder }, { updatedAt: 'desc' }]
+          : { [sortBy]: sortOrder },
         skip: (page - 1) * limit,
         take: limit,
         include: {
@@ -225,19 +465,27 @@ router.get('/', [
           exchangeApprovals: {
             select: { exchangeName: true, referenceNumber: true, approvalStatus: true }
           },
+          campaign: { select: { id: true, name: true } },
+          parentTask: { select: { id: true, uin: true, title: true } },
           _count: { select: { versions: true, comments: true } }
         }
       }),
       prisma.task.count({ where: whereClause })
     ]);
 
-    // Add assigned products manually
+    // Add assigned products, SLA state, unresolved comment threads and variant roll-ups
+    const calendar = await slaService.getCalendar();
+    const unresolvedComments = await commentService.getUnresolvedCounts(tasks.map(task => task.id));
+    const variantRollups = await variantService.getRollups(tasks.filter(task => !task.parentTaskId).map(task => task.id));
     const tasksWithProducts = await Promise.all(
       tasks.map(async (task) => {
         const assignedProducts = await getAssignedProducts(task.assignedProductIds);
         return {
           ...task,
-          assignedProducts
+          assignedProducts,
+          sla: slaService.describe(task, calendar),
+          unresolvedComments: unresolvedComments[task.id] || 0,
+          variantRollup: variantRollups[task.id] || null
         };
       })
     );
@@ -255,11 +503,132 @@ router.get('/', [
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Get tasks error:', error);
     res.status(500).json({ message: 'Failed to fetch tasks' });
   }
 });
 
+// Get a compliance reviewer's open work in the order it should be picked up
+router.get('/my-queue', [
+  authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  query('userId').optional().custom(isValidObjectId).withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Admins can look at another reviewer's queue
+    const reviewerId = req.query.userId || req.user.id;
+    if (reviewerId !== req.user.id && req.user.role === 'COMPLIANCE_USER') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const tasks = await prisma.task.findMany({
+      where: {
+        assignedComplianceId: reviewerId,
+        status: { in: REVIEW_QUEUE_STATUSES },
+        ...TASK_VISIBILITY.ON_DASHBOARDS
+      },
+      include: {
+        creator: { select: { fullName: true, username: true } },
+        _count: { select: { versions: true, comments: true } }
+      }
+    });
+
+    // Highest priority first, then earliest SLA due time, publish date and creation
+    const byDate = (a, b) => (a ? new Date(a).getTime() : Infinity) - (b ? new Date(b).getTime() : Infinity) || 0;
+    const calendar = await slaService.getCalendar();
+    const unresolvedComments = await commentService.getUnresolvedCounts(tasks.map(task => task.id));
+    const queue = tasks
+      .sort((a, b) =>
+        b.priorityRank - a.priorityRank ||
+        byDate(a.slaDueAt, b.slaDueAt) ||
+        byDate(a.expectedPublishDate, b.expectedPublishDate) ||
+        byDate(a.createdAt, b.createdAt)
+      )
+      .map((task, index) => ({
+        position: index + 1,
+        ...task,
+        sla: slaService.describe(task, calendar),
+        unresolvedComments: unresolvedComments[task.id] || 0
+      }));
+
+    res.json({
+      reviewerId,
+      tasks: queue,
+      totalCount: queue.length
+    });
+
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ message: 'Failed to fetch review queue' });
+  }
+});
+
+// Move all of one user's active tasks to another user
+router.post('/bulk/reassign', [
+  authorize('PRODUCT_ADMIN', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  body('fromUserId').custom(isValidObjectId).withMessage('Valid fromUserId is required'),
+  body('toUserId').custom(isValidObjectId).withMessage('Valid toUserId is required'),
+  body('statuses').optional().isArray({ min: 1 }),
+  body('statuses.*').optional().isIn(ACTIVE_TASK_STATUSES),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromUserId, toUserId, statuses, reason } = req.body;
+
+    const fromUser = await prisma.user.findUnique({
+      where: { id: fromUserId },
+      select: { role: true }
+    });
+
+    if (!fromUser) {
+      return res.status(404).json({ message: 'User to reassign from not found' });
+    }
+
+    // Admins of one team can only move their own team's work
+    const assigneeType = ['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(fromUser.role)
+      ? ASSIGNEE_TYPES.PRODUCT
+      : ASSIGNEE_TYPES.COMPLIANCE;
+    if (!REASSIGN_ROLES[assigneeType].includes(req.user.role)) {
+      return res.status(403).json({
+        message: `Only ${REASSIGN_ROLES[assigneeType].join(', ')} can reassign ${assigneeType.toLowerCase()} tasks`
+      });
+    }
+
+    const result = await assignmentService.bulkReassign({
+      fromUserId,
+      toUserId,
+      ...(statuses && { statuses }),
+      reason,
+      performedBy: req.user.id
+    });
+
+    res.json({
+      message: `Reassigned ${result.tasks.length} tasks from ${result.fromUser.fullName} to ${result.toUser.fullName}`,
+      assigneeType: result.assigneeType,
+      tasks: result.tasks
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Bulk reassign error:', error);
+    res.status(500).json({ message: 'Failed to reassign tasks' });
+  }
+});
+
 // Get task by ID
 router.get('/:taskId', 
   validateObjectId('taskId'),
@@ -279,6 +648,7 @@ router.get('/:taskId',
             include: {
               uploadedBy: { select: { fullName: true, username: true } },
               comments: {
+                where: { isDeleted: { not: true } },
                 orderBy: { createdAt: 'desc' },
                 include: {
                   author: { select: { fullName: true, username: true, role: true } }
@@ -287,7 +657,7 @@ router.get('/:taskId',
             }
           },
           comments: {
-            where: { isGlobal: true },
+            where: { isGlobal: true, isDeleted: { not: true } },
             orderBy: { createdAt: 'desc' },
             include: {
               author: { select: { fullName: true, username: true, role: true } }
@@ -298,11 +668,30 @@ router.get('/:taskId',
             include: {
               updatedBy: { select: { fullName: true, username: true } }
             }
+          },
+          decisions: {
+            orderBy: { createdAt: 'desc' },
+            include: {
+              decidedBy: { select: { fullName: true, username: true, role: true } }
+            }
+          },
+          renewedFrom: { select: { id: true, uin: true, status: true, expiryDate: true } },
+          campaign: { select: { id: true, name: true, startDate: true, endDate: true } },
+          renewals: {
+            orderBy: { createdAt: 'desc' },
+            select: { id: true, uin: true, status: true, createdAt: true }
+          },
+          parentTask: { select: { id: true, uin: true, title: true, status: true, languageCode: true } },
+          variants: {
+            where: TASK_VISIBILITY.NOT_DELETED,
+            orderBy: { createdAt: 'asc' },
+            select: { id: true, uin: true, title: true, status: true, languageCode: true, expiryDate: true, assignedComplianceId: true }
           }
         }
       });
 
-      if (!task) {
+      // Only admins can still open a deleted task, to restore it
+      if (!task || (task.isDeleted && userRole !== 'ADMIN')) {
         return res.status(404).json({ message: 'Task not found' });
       }
 
@@ -316,6 +705,11 @@ router.get('/:taskId',
         hasAccess = task.assignedComplianceId === userId || userRole === 'COMPLIANCE_ADMIN';
       }
 
+      // Watchers can view the task they follow
+      if (task.watcherIds.includes(userId)) {
+        hasAccess = true;
+      }
+
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this task' });
       }
@@ -323,9 +717,25 @@ router.get('/:taskId',
       // Add assigned products manually
       const assignedProducts = await getAssignedProducts(task.assignedProductIds);
 
+      const unresolvedComments = await commentService.getUnresolvedCounts([task.id]);
+      const variantRollups = await variantService.getRollups(task.parentTaskId ? [] : [task.id]);
+
+      // The task's ETag goes in the header; comments and exchange approvals carry their own
+      concurrencyService.setTag(res, task);
+
       res.json({
         ...task,
-        assignedProducts
+        versions: task.versions.map(version => ({
+          ...version,
+          comments: version.comments.map(comment => concurrencyService.withTag(comment))
+        })),
+        comments: task.comments.map(comment => concurrencyService.withTag(comment)),
+        exchangeApprovals: task.exchangeApprovals.map(approval => concurrencyService.withTag(approval)),
+        assignedProducts,
+        sla: slaService.describe(task, await slaService.getCalendar()),
+        unresolvedComments: unresolvedComments[task.id] || 0,
+        variantRollup: variantRollups[task.id] || null,
+        links: await linkService.getLinks(task)
       });
 
     } catch (error) {
@@ -373,7 +783,34 @@ router.post('/', [
   body('remarks')
     .optional()
     .isString()
-    .trim()
+    .trim(),
+  body('relatedTaskId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid related task ID'),
+  body('priority')
+    .optional()
+    .isIn(Object.values(PRIORITY_LEVELS))
+    .withMessage('Invalid priority'),
+  body('campaignId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid campaign ID'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('tags.*')
+    .isString()
+    .withMessage('Tags must be strings'),
+  body('customFields')
+    .optional()
+    .isObject()
+    .withMessage('Custom fields must be an object keyed by field key'),
+  body('languageCode')
+    .optional()
+    .matches(LANGUAGE_CODE_PATTERN)
+    .withMessage('Language code must look like "hi" or "en-IN"')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -388,117 +825,138 @@ router.post('/', [
       expectedPublishDate,
       platform,
       category,
-      remarks
+      remarks,
+      relatedTaskId,
+      priority,
+      campaignId,
+      tags,
+      customFields,
+      languageCode
     } = req.body;
 
-    // Verify assigned users exist and are product users
-    if (assignedProductIds.length > 0) {
-      const assignedUsers = await prisma.user.findMany({
-        where: {
-          id: { in: assignedProductIds },
-          role: { in: ['PRODUCT_USER', 'PRODUCT_ADMIN'] },
-          isActive: true
-        }
-      });
-
-      if (assignedUsers.length !== assignedProductIds.length) {
-        return res.status(400).json({ message: 'Invalid assigned product users' });
-      }
+    if (priority && !['PRODUCT_ADMIN', 'ADMIN'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only PRODUCT_ADMIN can set a task priority' });
     }
 
-    // Auto-assign to a compliance user (round-robin)
-    const availableComplianceUsers = await prisma.user.findMany({
-      where: {
-        role: { in: ['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'] },
-        isActive: true,
-        NOT: {
-          absences: {
-            some: {
-              AND: [
-                { fromDate: { lte: new Date() } },
-                { toDate: { gte: new Date() } }
-              ]
-            }
-          }
-        }
-      },
-      include: {
-        complianceTasks: {
-          where: { status: { in: ['OPEN', 'COMPLIANCE_REVIEW'] } }
-        }
-      }
+    const task = await createTask({
+      title,
+      description,
+      assignedProductIds,
+      expectedPublishDate,
+      platform,
+      category,
+      remarks,
+      relatedTaskId,
+      priority,
+      campaignId,
+      tags,
+      customFields,
+      languageCode
+    }, req.user);
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task
     });
 
-    if (availableComplianceUsers.length === 0) {
-      return res.status(400).json({ message: 'No available compliance users' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Create task error:', error);
+    res.status(500).json({ message: 'Failed to create task' });
+  }
+});
+
+// Create a task from a template; request fields override the template defaults
+router.post('/from-template/:templateId', [
+  validateObjectId('templateId'),
+  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'ADMIN'),
+  body('title').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('description').optional().isLength({ max: 1000 }),
+  body('assignedProductIds').optional().isArray(),
+  body('assignedProductIds.*').optional().custom(isValidObjectId).withMessage('Invalid assigned product ID'),
+  body('expectedPublishDate').optional().isISO8601(),
+  body('platform').optional().isString().trim(),
+  body('category').optional().isString().trim(),
+  body('remarks').optional().isString().trim(),
+  body('variables').optional().isObject().withMessage('variables must be an object'),
+  body('exchanges').optional().isArray(),
+  body('exchanges.*.exchangeName').optional().isIn(Object.values(EXCHANGE_NAMES)),
+  body('exchanges.*.typeOfContent').optional().isString().trim().notEmpty(),
+  body('relatedTaskId').optional().custom(isValidObjectId).withMessage('Invalid related task ID'),
+  body('priority').optional().isIn(Object.values(PRIORITY_LEVELS)).withMessage('Invalid priority'),
+  body('campaignId').optional().custom(isValidObjectId).withMessage('Invalid campaign ID'),
+  body('tags').optional().isArray(),
+  body('tags.*').isString(),
+  body('customFields').optional().isObject().withMessage('Custom fields must be an object keyed by field key')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Select user with least pending tasks
-    const assignedCompliance = availableComplianceUsers.reduce((prev, current) =>
-      (prev.complianceTasks.length < current.complianceTasks.length) ? prev : current
-    );
+    const { relatedTaskId, priority, campaignId, tags, customFields } = req.body;
 
-    // Generate UIN
-    const uin = await generateUIN();
+    if (priority && !['PRODUCT_ADMIN', 'ADMIN'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only PRODUCT_ADMIN can set a task priority' });
+    }
 
-    // Create task
-    const task = await prisma.task.create({
-      data: {
-        uin,
-        title,
-        description,
-        expectedPublishDate: expectedPublishDate ? new Date(expectedPublishDate) : null,
-        platform,
-        category,
-        remarks,
-        createdBy: req.user.id,
-        assignedProductIds,
-        assignedComplianceId: assignedCompliance.id
-      },
-      include: {
-        creator: { select: { fullName: true, username: true } },
-        assignedCompliance: { select: { fullName: true, username: true } }
-      }
+    const template = await prisma.taskTemplate.findUnique({
+      where: { id: req.params.templateId }
     });
 
-    // Add assigned products manually
-    const assignedProducts = await getAssignedProducts(task.assignedProductIds);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
 
-    // Create audit log
-    await auditService.logTaskCreated(task.id, title, req.user.id);
+    const fields = templateService.buildTaskFields(template, req.body);
 
-    // Send notification to assigned compliance user
-    await notificationService.sendTaskAssignedNotification(
-      assignedCompliance.id,
-      task.id,
-      task.title
-    );
+    const task = await createTask({
+      ...fields,
+      relatedTaskId,
+      priority,
+      campaignId,
+      tags,
+      customFields
+    }, req.user);
 
     res.status(201).json({
-      message: 'Task created successfully',
-      task: {
-        ...task,
-        assignedProducts
-      }
+      message: `Task created from template "${template.name}"`,
+      task
     });
 
   } catch (error) {
-    console.error('Create task error:', error);
-    res.status(500).json({ message: 'Failed to create task' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Create task from template error:', error);
+    res.status(500).json({ message: 'Failed to create task from template' });
   }
 });
 
 // Update task
 router.put('/:taskId', [
   validateObjectId('taskId'),
-  body('title').optional().isLength({ max: 200 }),
-  body('description').optional().isLength({ max: 1000 }),
+  body('title').optional().isString().isLength({ max: 200 }),
+  body('description').optional().isString().isLength({ max: 1000 }),
   body('taskType').optional().isIn(['INTERNAL', 'EXCHANGE']),
   body('status').optional().isIn(['OPEN', 'COMPLIANCE_REVIEW', 'PRODUCT_REVIEW', 'APPROVED', 'PUBLISHED', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE']),
-  body('approvalDate').optional().isISO8601(),
-  body('expiryDate').optional().isISO8601(),
-  body('publishDate').optional().isISO8601(),
-  body('closureComments').optional().isString()
+  body('platform').optional().isString().trim(),
+  body('category').optional().isString().trim(),
+  body('expectedPublishDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expected publish date').toDate(),
+  body('remarks').optional({ nullable: true }).isString().trim(),
+  body('approvalDate').optional().isISO8601().toDate(),
+  body('expiryDate').optional().isISO8601().toDate(),
+  body('approvalProofUrl').optional().isString(),
+  body('publishDate').optional().isISO8601().toDate(),
+  body('publishedCopyUrl').optional().isString(),
+  body('closureComments').optional().isString(),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('tags.*').isString(),
+  body('customFields').optional().isObject().withMessage('Custom fields must be an object keyed by field key'),
+  body('languageCode').optional({ nullable: true }).isString().matches(LANGUAGE_CODE_PATTERN).withMessage('Language code must look like "hi" or "en-IN"')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -532,92 +990,66 @@ router.put('/:taskId', [
       return res.status(403).json({ message: 'Access denied to this task' });
     }
 
-    const updateData = { ...req.body };
-    
-    // Role-based update restrictions
-    if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
-      const allowedFields = ['description'];
-      const filteredData = {};
-      allowedFields.forEach(field => {
-        if (updateData[field] !== undefined) {
-          filteredData[field] = updateData[field];
-        }
+    concurrencyService.assertFresh(req, currentTask);
+
+    if (currentTask.isDeleted || currentTask.isArchived) {
+      return res.status(409).json({
+        message: `Task is ${currentTask.isDeleted ? 'deleted' : 'archived'}; restore it first`
       });
-      Object.assign(updateData, filteredData);
     }
 
-    // Handle status changes
-    if (req.body.status && req.body.status !== currentTask.status) {
-      const oldStatus = currentTask.status;
-      const newStatus = req.body.status;
-
-      // Validate status transitions
-      const validTransitions = {
-        'OPEN': ['COMPLIANCE_REVIEW', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-        'COMPLIANCE_REVIEW': ['PRODUCT_REVIEW', 'APPROVED', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-        'PRODUCT_REVIEW': ['COMPLIANCE_REVIEW', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-        'APPROVED': ['PUBLISHED', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-        'PUBLISHED': ['CLOSED_INTERNAL', 'CLOSED_EXCHANGE']
-      };
+    // A variant's language identifies it under its parent
+    if (currentTask.parentTaskId && req.body.languageCode !== undefined && req.body.languageCode !== currentTask.languageCode) {
+      return res.status(400).json({ message: 'The language of a variant cannot be changed; create a variant for the other language instead' });
+    }
 
-      if (!validTransitions[oldStatus]?.includes(newStatus)) {
-        return res.status(400).json({ 
-          message: `Invalid status transition from ${oldStatus} to ${newStatus}` 
-        });
-      }
+    // Only fields this role may write in the current status go through
+    const updateData = fieldPermissionService.pick('TASK', req.body, {
+      role: userRole,
+      status: currentTask.status,
+      statusChange: Boolean(req.body.status && req.body.status !== currentTask.status),
+      id: taskId
+    });
 
-      // Mandatory fields for certain statuses
-      if (newStatus === 'APPROVED') {
-        if (!req.body.approvalDate || !req.body.expiryDate) {
-          return res.status(400).json({ 
-            message: 'Approval date and expiry date are required when marking as approved' 
-          });
-        }
-      }
+    if (updateData.tags !== undefined) {
+      updateData.tags = customFieldService.normalizeTags(updateData.tags);
+    }
 
-      if (newStatus === 'PUBLISHED') {
-        if (!req.body.publishDate) {
-          return res.status(400).json({ 
-            message: 'Publish date is required when marking as published' 
-          });
-        }
-      }
+    if (updateData.platform !== undefined && updateData.platform !== currentTask.platform) {
+      updateData.platform = await lookupService.resolve(LOOKUP_TYPES.PLATFORM, updateData.platform);
+    }
+    if (updateData.category !== undefined && updateData.category !== currentTask.category) {
+      updateData.category = await lookupService.resolve(LOOKUP_TYPES.CATEGORY, updateData.category);
+    }
 
-      if (['CLOSED_INTERNAL', 'CLOSED_EXCHANGE'].includes(newStatus)) {
-        if (!req.body.closureComments) {
-          return res.status(400).json({ 
-            message: 'Closure comments are required when closing task' 
-          });
-        }
-        updateData.closureDate = new Date();
-      }
+    // Submitted custom fields merge into the current ones; a new category rechecks its required fields
+    const category = updateData.category !== undefined ? updateData.category : currentTask.category;
+    if (updateData.customFields !== undefined || category !== currentTask.category) {
+      updateData.customFields = await customFieldService.buildValues(updateData.customFields, {
+        category,
+        current: currentTask.customFields
+      });
+    }
 
-      // Send notifications on status change
-      if (newStatus === 'PRODUCT_REVIEW') {
-        for (const productId of currentTask.assignedProductIds) {
-          await notificationService.sendNotification({
-            userId: productId,
-            title: 'Task Review Required',
-            message: `Task "${currentTask.title}" requires your review`,
-            type: 'TASK_ASSIGNED',
-            taskId: currentTask.id
-          });
-        }
-      } else if (newStatus === 'COMPLIANCE_REVIEW') {
-        if (currentTask.assignedComplianceId) {
-          await notificationService.sendNotification({
-            userId: currentTask.assignedComplianceId,
-            title: 'New Version Uploaded',
-            message: `New version uploaded for task "${currentTask.title}"`,
-            type: 'VERSION_UPLOADED',
-            taskId: currentTask.id
-          });
-        }
-      }
+    // Handle status changes through the configured workflow
+    let transition = null;
+    if (req.body.status && req.body.status !== currentTask.status) {
+      const prepared = await workflowService.prepareTransition(currentTask, req.body.status, {
+        user: req.user,
+        payload: req.body
+      });
+      transition = prepared.transition;
+      Object.assign(updateData, prepared.data);
     }
 
-    // Update task
-    const updatedTask = await prisma.task.update({
+    // Dates and status drive the calculated priority
+    const priorityUpdate = priorityService.fieldsFor({ ...currentTask, ...updateData });
+    if (priorityUpdate.priority && priorityUpdate.priority !== currentTask.priority) {
+      Object.assign(updateData, priorityUpdate);
+    }
+
+    // Update task, unless someone else saved it since the client read it
+    const updatedTask = await concurrencyService.update(prisma.task, currentTask, req, {
       where: { id: taskId },
       data: updateData,
       include: {
@@ -632,6 +1064,12 @@ router.put('/:taskId', [
     // Create audit log
     await auditService.logTaskUpdated(taskId, updatedTask.title, Object.keys(updateData), userId);
 
+    if (transition) {
+      await workflowService.completeTransition(updatedTask, transition, { user: req.user });
+    }
+    await priorityService.notifyIfUrgent(currentTask.priority, updatedTask);
+
+    concurrencyService.setTag(res, updatedTask);
     res.json({
       message: 'Task updated successfully',
       task: {
@@ -641,58 +1079,1007 @@ router.put('/:taskId', [
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Update task error:', error);
     res.status(500).json({ message: 'Failed to update task' });
   }
 });
 
-// Upload new version
-router.post('/:taskId/versions', [
-  validateObjectId('taskId'),
-  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'ADMIN'),
-  body('fileUrls').isArray().withMessage('File URLs must be an array'),
-  body('remarks').optional().isString()
-], async (req, res) => {
+// Shared handler for the compliance review decisions
+const handleReviewDecision = (decide, successMessage, errorLabel) => async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const taskId = req.params.taskId;
-    const { fileUrls, remarks } = req.body;
-    const userId = req.user.id;
-
-    // Get current task
     const task = await prisma.task.findUnique({
-      where: { id: taskId },
-      include: { versions: { orderBy: { uploadedAt: 'desc' }, take: 1 } }
+      where: { id: req.params.taskId }
     });
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check access
-    const hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId) || req.user.role === 'ADMIN';
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Access denied' });
+    // Compliance users can only decide on tasks assigned to them
+    if (req.user.role === 'COMPLIANCE_USER' && task.assignedComplianceId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied to this task' });
     }
 
-    // Generate next version number
-    let versionNumber = '1.0';
-    if (task.versions.length > 0) {
-      const lastVersion = task.versions[0].versionNumber;
-      const [major, minor] = lastVersion.split('.').map(Number);
-      versionNumber = `${major}.${minor + 1}`;
-    }
+    const result = await decide(task, { ...req.body, user: req.user });
+    const assignedProducts = await getAssignedProducts(result.task.assignedProductIds);
 
-    // Create version
-    const version = await prisma.version.create({
-      data: {
-        versionNumber,
+    res.json({
+      message: result.message || successMessage,
+      task: {
+        ...result.task,
+        assignedProducts
+      },
+      ...(result.approval && { approval: result.approval }),
+      ...(result.pendingApprovals && { pendingApprovals: result.pendingApprovals }),
+      decision: result.decision || null
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error(`${errorLabel} error:`, error);
+    res.status(500).json({ message: `Failed to ${errorLabel.toLowerCase()}` });
+  }
+};
+
+// Approve task
+router.post('/:taskId/approve', [
+  validateObjectId('taskId'),
+  authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'SENIOR_MANAGER', 'ADMIN'),
+  body('expiryDate').isISO8601().withMessage('Valid expiry date is required'),
+  body('approvalDate').optional().isISO8601(),
+  body('approvalProofUrl').optional().isString(),
+  body('reasonCode').optional().isString().trim(),
+  body('comments').optional().isString().isLength({ max: 1000 })
+], handleReviewDecision(
+  (task, options) => reviewService.approve(task, options),
+  'Task approved successfully',
+  'Approve task'
+));
+
+// Get approval levels and which are still pending
+router.get('/:taskId/approvals', validateObjectId('taskId'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check access
+    let hasAccess = false;
+    if (['ADMIN', 'SENIOR_MANAGER'].includes(userRole)) {
+      hasAccess = true;
+    } else if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
+      hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId);
+    } else if (['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'].includes(userRole)) {
+      hasAccess = task.assignedComplianceId === userId || userRole === 'COMPLIANCE_ADMIN';
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const approvalStatus = await reviewService.getApprovalStatus(task);
+
+    res.json({
+      taskId: task.id,
+      uin: task.uin,
+      status: task.status,
+      ...approvalStatus
+    });
+
+  } catch (error) {
+    console.error('Get task approvals error:', error);
+    res.status(500).json({ message: 'Failed to fetch task approvals' });
+  }
+});
+
+// Get the compliance checklist of a task with its answers for the latest version
+router.get('/:taskId/checklist', validateObjectId('taskId'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check access
+    let hasAccess = false;
+    if (['ADMIN', 'SENIOR_MANAGER'].includes(userRole)) {
+      hasAccess = true;
+    } else if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
+      hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId);
+    } else if (['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'].includes(userRole)) {
+      hasAccess = task.assignedComplianceId === userId || userRole === 'COMPLIANCE_ADMIN';
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const latestVersion = await checklistService.getLatestVersion(task.id);
+
+    res.json({
+      taskId: task.id,
+      uin: task.uin,
+      ...checklistService.describe(task.checklist || [], latestVersion)
+    });
+
+  } catch (error) {
+    console.error('Get task checklist error:', error);
+    res.status(500).json({ message: 'Failed to fetch task checklist' });
+  }
+});
+
+// Tick checklist items for the version under review
+router.put('/:taskId/checklist', [
+  validateObjectId('taskId'),
+  authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('answers').isArray({ min: 1 }).withMessage('At least one answer is required'),
+  body('answers.*.key').isString().notEmpty().withMessage('Checklist item key is required'),
+  body('answers.*.status').isIn(Object.values(CHECKLIST_STATUS)).withMessage('Invalid checklist status'),
+  body('answers.*.notes').optional({ nullable: true }).isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (req.user.role === 'COMPLIANCE_USER' && task.assignedComplianceId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the assigned compliance reviewer can complete the checklist' });
+    }
+
+    if (!REVIEW_QUEUE_STATUSES.includes(task.status)) {
+      return res.status(400).json({ message: `Checklist cannot be changed while the task is ${task.status}` });
+    }
+
+    const checklist = await checklistService.answer(task, req.body.answers, req.user);
+
+    res.json({
+      message: 'Checklist updated successfully',
+      taskId: task.id,
+      ...checklist
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Update task checklist error:', error);
+    res.status(500).json({ message: 'Failed to update task checklist' });
+  }
+});
+
+// Reject task
+router.post('/:taskId/reject', [
+  validateObjectId('taskId'),
+  authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  body('reasonCode').notEmpty().withMessage('Reason code is required'),
+  body('comments').optional().isString().isLength({ max: 1000 })
+], handleReviewDecision(
+  (task, options) => reviewService.reject(task, options),
+  'Task rejected successfully',
+  'Reject task'
+));
+
+// Send task back to the product team for changes
+router.post('/:taskId/request-changes', [
+  validateObjectId('taskId'),
+  authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  body('reasonCode').notEmpty().withMessage('Reason code is required'),
+  body('comments').optional().isString().isLength({ max: 1000 })
+], handleReviewDecision(
+  (task, options) => reviewService.requestChanges(task, options),
+  'Changes requested successfully',
+  'Request changes'
+));
+
+// Set a task priority by hand, or hand it back to the date-based calculation
+router.put('/:taskId/priority', [
+  validateObjectId('taskId'),
+  authorize('PRODUCT_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('priority').optional().isIn(Object.values(PRIORITY_LEVELS)).withMessage('Invalid priority'),
+  body('automatic').optional().isBoolean().withMessage('automatic must be a boolean'),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { taskId } = req.params;
+    const { priority, automatic, reason } = req.body;
+
+    if (!priority && automatic !== true) {
+      return res.status(400).json({ message: 'Provide a priority, or set automatic to true' });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Product admins can only prioritise their own team's tasks
+    if (req.user.role === 'PRODUCT_ADMIN' && task.createdBy !== req.user.id && !task.assignedProductIds.includes(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const data = automatic === true
+      ? { ...priorityService.fieldsFor({ ...task, priorityManual: false }), priorityManual: false }
+      : priorityService.manualFields(priority);
+
+    const updatedTask = await prisma.task.update({
+      where: { id: taskId },
+      data,
+      include: {
+        creator: { select: { fullName: true, username: true } },
+        assignedCompliance: { select: { fullName: true, username: true } }
+      }
+    });
+
+    await auditService.logTaskPriorityChanged(taskId, task.title, task.priority, updatedTask.priority, req.user.id, reason);
+    await priorityService.notifyIfUrgent(task.priority, updatedTask);
+
+    res.json({
+      message: automatic === true ? 'Task priority is now calculated automatically' : 'Task priority updated successfully',
+      task: updatedTask
+    });
+
+  } catch (error) {
+    console.error('Set task priority error:', error);
+    res.status(500).json({ message: 'Failed to update task priority' });
+  }
+});
+
+// Get the users watching a task
+router.get('/:taskId/watchers', validateObjectId('taskId'), async (req, res) => {
+  try {
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!commentService.canAccess(task, req.user)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const watchers = await prisma.user.findMany({
+      where: { id: { in: task.watcherIds } },
+      select: { id: true, fullName: true, username: true, role: true }
+    });
+
+    res.json({
+      watchers,
+      isWatching: task.watcherIds.includes(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get watchers error:', error);
+    res.status(500).json({ message: 'Failed to fetch watchers' });
+  }
+});
+
+// Start watching a task; admins can add someone else as a watcher
+router.post('/:taskId/watch', [
+  validateObjectId('taskId'),
+  rejectInactiveTask,
+  body('userId').optional().custom(isValidObjectId).withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const watcherId = req.body.userId || req.user.id;
+    const onBehalf = watcherId !== req.user.id;
+
+    if (onBehalf && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ message: 'Only admins can add other users as watchers' });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Users follow tasks they can see; admins can add anyone, which gives them view access
+    if (!onBehalf && !commentService.canAccess(task, req.user)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const watcher = onBehalf
+      ? await prisma.user.findUnique({
+        where: { id: watcherId },
+        select: { id: true, fullName: true, isActive: true }
+      })
+      : req.user;
+
+    if (!watcher || watcher.isActive === false) {
+      return res.status(400).json({ message: 'User not found or inactive' });
+    }
+
+    if (task.watcherIds.includes(watcherId)) {
+      return res.status(400).json({ message: `${onBehalf ? watcher.fullName + ' is' : 'You are'} already watching this task` });
+    }
+
+    await prisma.task.update({
+      where: { id: task.id },
+      data: { watcherIds: { push: watcherId } }
+    });
+
+    await auditService.logWatcherAdded(task.id, task.title, watcher.fullName, req.user.id);
+
+    if (onBehalf) {
+      await notificationService.sendNotification({
+        userId: watcherId,
+        title: 'Watching Task',
+        message: `${req.user.fullName} added you as a watcher of task "${task.title}"`,
+        type: 'TASK_ASSIGNED',
+        taskId: task.id
+      });
+    }
+
+    res.json({ message: 'Watcher added successfully' });
+
+  } catch (error) {
+    console.error('Watch task error:', error);
+    res.status(500).json({ message: 'Failed to watch task' });
+  }
+});
+
+// Stop watching a task; admins can remove other watchers
+router.delete('/:taskId/watch', [
+  validateObjectId('taskId'),
+  rejectInactiveTask,
+  query('userId').optional().custom(isValidObjectId).withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const watcherId = req.query.userId || req.user.id;
+    const onBehalf = watcherId !== req.user.id;
+
+    if (onBehalf && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ message: 'Only admins can remove other watchers' });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!task.watcherIds.includes(watcherId)) {
+      return res.status(400).json({ message: `${onBehalf ? 'User is' : 'You are'} not watching this task` });
+    }
+
+    await prisma.task.update({
+      where: { id: task.id },
+      data: { watcherIds: task.watcherIds.filter(id => id !== watcherId) }
+    });
+
+    const watcher = onBehalf
+      ? await prisma.user.findUnique({ where: { id: watcherId }, select: { fullName: true } })
+      : req.user;
+
+    await auditService.logWatcherRemoved(task.id, task.title, watcher ? watcher.fullName : watcherId, req.user.id);
+
+    res.json({ message: 'Watcher removed successfully' });
+
+  } catch (error) {
+    console.error('Unwatch task error:', error);
+    res.status(500).json({ message: 'Failed to unwatch task' });
+  }
+});
+
+// Get the language variants of a task with their roll-up
+router.get('/:taskId/variants', validateObjectId('taskId'), async (req, res) => {
+  try {
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!commentService.canAccess(task, req.user)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const variants = await prisma.task.findMany({
+      where: { parentTaskId: task.id, ...TASK_VISIBILITY.NOT_DELETED },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        assignedCompliance: { select: { fullName: true, username: true } },
+        _count: { select: { versions: true, comments: true } }
+      }
+    });
+
+    const rollups = await variantService.getRollups([task.id]);
+
+    res.json({
+      variants,
+      rollup: rollups[task.id] || null
+    });
+
+  } catch (error) {
+    console.error('Get task variants error:', error);
+    res.status(500).json({ message: 'Failed to fetch task variants' });
+  }
+});
+
+// Create a language variant; it shares the task's content and gets its own files, review and approval
+router.post('/:taskId/variants', [
+  validateObjectId('taskId'),
+  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('languageCode').matches(LANGUAGE_CODE_PATTERN).withMessage('Language code must look like "hi" or "en-IN"'),
+  body('title').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('description').optional().isLength({ max: 1000 }),
+  body('remarks').optional().isString().trim(),
+  body('assignedProductIds').optional().isArray(),
+  body('assignedProductIds.*').optional().custom(isValidObjectId).withMessage('Invalid assigned product ID'),
+  body('expectedPublishDate').optional().isISO8601(),
+  body('customFields').optional().isObject().withMessage('Custom fields must be an object keyed by field key')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parent = await prisma.task.findUnique({
+      where: { id: req.params.taskId },
+      include: { exchangeApprovals: { orderBy: { createdAt: 'asc' } } }
+    });
+
+    if (!parent || parent.isDeleted) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (req.user.role !== 'ADMIN' && parent.createdBy !== req.user.id && !parent.assignedProductIds.includes(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    await variantService.assertCanAddVariant(parent, req.body.languageCode);
+
+    // Sticky assignment keeps variants with the parent's reviewer
+    const variant = await createTask({
+      ...variantService.baseFields(parent, req.body),
+      relatedTaskId: parent.id
+    }, req.user);
+
+    await auditService.logVariantCreated(parent.id, parent.title, variant.languageCode, variant.uin, req.user.id);
+
+    res.status(201).json({
+      message: `Variant ${variant.uin} created`,
+      task: variant
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Create task variant error:', error);
+    res.status(500).json({ message: 'Failed to create task variant' });
+  }
+});
+
+// Get the tasks linked to a task
+router.get('/:taskId/links', validateObjectId('taskId'), async (req, res) => {
+  try {
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!commentService.canAccess(task, req.user)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    res.json({ links: await linkService.getLinks(task) });
+
+  } catch (error) {
+    console.error('Get task links error:', error);
+    res.status(500).json({ message: 'Failed to fetch task links' });
+  }
+});
+
+// Link a task to another, e.g. a video that depends on its approved script
+router.post('/:taskId/links', [
+  validateObjectId('taskId'),
+  rejectInactiveTask,
+  body('type').isIn(Object.values(TASK_LINK_TYPES)).withMessage('Invalid link type'),
+  body('targetTaskId').custom(isValidObjectId).withMessage('Invalid linked task ID'),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check access
+    let hasAccess = false;
+    if (['ADMIN', 'SENIOR_MANAGER'].includes(userRole)) {
+      hasAccess = true;
+    } else if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
+      hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId);
+    } else if (['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'].includes(userRole)) {
+      hasAccess = task.assignedComplianceId === userId || userRole === 'COMPLIANCE_ADMIN';
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const link = await linkService.addLink(task, req.body, req.user);
+
+    res.status(201).json({
+      message: 'Tasks linked successfully',
+      link
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Link task error:', error);
+    res.status(500).json({ message: 'Failed to link task' });
+  }
+});
+
+// Remove a link; it can be removed from either of its tasks
+router.delete('/:taskId/links/:linkId', [
+  validateObjectId('taskId'),
+  validateObjectId('linkId'),
+  rejectInactiveTask
+], async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check access
+    let hasAccess = false;
+    if (['ADMIN', 'SENIOR_MANAGER'].includes(userRole)) {
+      hasAccess = true;
+    } else if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
+      hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId);
+    } else if (['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'].includes(userRole)) {
+      hasAccess = task.assignedComplianceId === userId || userRole === 'COMPLIANCE_ADMIN';
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    await linkService.removeLink(task, req.params.linkId, req.user);
+
+    res.json({ message: 'Link removed successfully' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Unlink task error:', error);
+    res.status(500).json({ message: 'Failed to remove link' });
+  }
+});
+
+// Reassign the compliance assignee or one of the product assignees
+router.post('/:taskId/reassign', [
+  validateObjectId('taskId'),
+  authorize('PRODUCT_ADMIN', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('assigneeType').isIn(Object.values(ASSIGNEE_TYPES)).withMessage('Assignee type must be COMPLIANCE or PRODUCT'),
+  body('toUserId').custom(isValidObjectId).withMessage('Valid toUserId is required'),
+  body('fromUserId')
+    .if(body('assigneeType').equals(ASSIGNEE_TYPES.PRODUCT))
+    .custom(isValidObjectId).withMessage('fromUserId is required when reassigning a product assignee'),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { assigneeType, fromUserId, toUserId, reason } = req.body;
+
+    if (!REASSIGN_ROLES[assigneeType].includes(req.user.role)) {
+      return res.status(403).json({
+        message: `Only ${REASSIGN_ROLES[assigneeType].join(', ')} can reassign ${assigneeType.toLowerCase()} assignees`
+      });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Product admins can only reassign tasks they are part of
+    if (req.user.role === 'PRODUCT_ADMIN' &&
+      task.createdBy !== req.user.id && !task.assignedProductIds.includes(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const toUser = await assignmentService.validateAssignee(toUserId, assigneeType);
+    const updatedTask = await assignmentService.reassign(task, {
+      assigneeType,
+      fromUserId,
+      toUser,
+      reason,
+      performedBy: req.user.id
+    });
+
+    const assignedProducts = await getAssignedProducts(updatedTask.assignedProductIds);
+
+    res.json({
+      message: 'Task reassigned successfully',
+      task: {
+        ...updatedTask,
+        assignedProducts
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Reassign task error:', error);
+    res.status(500).json({ message: 'Failed to reassign task' });
+  }
+});
+
+// Renew task as a new task linked to the original
+router.post('/:taskId/renew', [
+  validateObjectId('taskId'),
+  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Product users can only renew their own tasks
+    if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(req.user.role) &&
+      task.createdBy !== req.user.id && !task.assignedProductIds.includes(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const renewal = await lifecycleService.renew(task.id, req.user);
+    const assignedProducts = await getAssignedProducts(renewal.assignedProductIds);
+
+    res.status(201).json({
+      message: 'Task renewed successfully',
+      task: {
+        ...renewal,
+        assignedProducts
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Renew task error:', error);
+    res.status(500).json({ message: 'Failed to renew task' });
+  }
+});
+
+// Reopen a closed task
+router.post('/:taskId/reopen', [
+  validateObjectId('taskId'),
+  authorize('COMPLIANCE_ADMIN', 'ADMIN'),
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const updatedTask = await lifecycleService.reopen(task, {
+      user: req.user,
+      reason: req.body.reason
+    });
+    const assignedProducts = await getAssignedProducts(updatedTask.assignedProductIds);
+
+    res.json({
+      message: 'Task reopened successfully',
+      task: {
+        ...updatedTask,
+        assignedProducts
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Reopen task error:', error);
+    res.status(500).json({ message: 'Failed to reopen task' });
+  }
+});
+
+// Soft delete a task, such as a test or duplicate; it is hidden but can be restored
+router.delete('/:taskId', [
+  validateObjectId('taskId'),
+  authorize('ADMIN'),
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    await lifecycleService.softDelete(task, {
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    res.json({ message: 'Task deleted successfully' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Delete task error:', error);
+    res.status(500).json({ message: 'Failed to delete task' });
+  }
+});
+
+// Archive a finished task; it stays searchable but leaves the dashboards
+router.post('/:taskId/archive', [
+  validateObjectId('taskId'),
+  authorize('PRODUCT_ADMIN', 'COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task || task.isDeleted) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const updatedTask = await lifecycleService.archive(task, req.user);
+
+    res.json({
+      message: 'Task archived successfully',
+      task: updatedTask
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Archive task error:', error);
+    res.status(500).json({ message: 'Failed to archive task' });
+  }
+});
+
+// Restore a deleted or archived task
+router.post('/:taskId/restore', [
+  validateObjectId('taskId'),
+  authorize('PRODUCT_ADMIN', 'COMPLIANCE_ADMIN', 'ADMIN')
+], async (req, res) => {
+  try {
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    // Deleted tasks are only visible to, and restored by, admins
+    if (!task || (task.isDeleted && req.user.role !== 'ADMIN')) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const updatedTask = await lifecycleService.restore(task, req.user);
+
+    res.json({
+      message: 'Task restored successfully',
+      task: updatedTask
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Restore task error:', error);
+    res.status(500).json({ message: 'Failed to restore task' });
+  }
+});
+
+// Upload new version
+router.post('/:taskId/versions', [
+  validateObjectId('taskId'),
+  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('fileUrls').isArray().withMessage('File URLs must be an array'),
+  body('remarks').optional().isString(),
+  body('addressedCommentIds').optional().isArray(),
+  body('addressedCommentIds.*').custom(isValidObjectId).withMessage('Invalid comment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const taskId = req.params.taskId;
+    const { fileUrls, remarks, addressedCommentIds = [] } = req.body;
+    const userId = req.user.id;
+
+    // Get current task
+    const task = await prisma.task.findUnique({
+      where: { id: taskId },
+      include: { versions: { orderBy: { uploadedAt: 'desc' }, take: 1 } }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check access
+    const hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId) || req.user.role === 'ADMIN';
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // An upload sends the task back to review, which a closed task only gets through reopen
+    if (REOPENABLE_STATUSES.includes(task.status)) {
+      return res.status(409).json({
+        message: `Task is ${task.status}; reopen it through POST /api/tasks/${taskId}/reopen before uploading a new version`
+      });
+    }
+
+    // An expired advertisement comes back as a renewal with its own UIN, not in place
+    if (task.status === 'EXPIRED') {
+      return res.status(409).json({
+        message: `Task is EXPIRED; renew it through POST /api/tasks/${taskId}/renew and upload the new version there`
+      });
+    }
+
+    // Check the move back to review before anything is saved
+    let transition = null;
+    let transitionData = {};
+    if (task.status !== 'COMPLIANCE_REVIEW') {
+      const prepared = await workflowService.prepareTransition(task, 'COMPLIANCE_REVIEW', {
+        user: req.user,
+        action: WORKFLOW_ACTIONS.NEW_VERSION
+      });
+      transition = prepared.transition;
+      transitionData = prepared.data;
+    }
+
+    // Addressed comments must be on earlier versions of this task
+    if (addressedCommentIds.length > 0) {
+      const count = await prisma.comment.count({
+        where: { id: { in: addressedCommentIds }, taskId, versionId: { not: null } }
+      });
+      if (count !== new Set(addressedCommentIds).size) {
+        return res.status(400).json({ message: 'Addressed comments must be comments on earlier versions of this task' });
+      }
+    }
+
+    // Generate next version number
+    let versionNumber = '1.0';
+    if (task.versions.length > 0) {
+      const lastVersion = task.versions[0].versionNumber;
+      const [major, minor] = lastVersion.split('.').map(Number);
+      versionNumber = `${major}.${minor + 1}`;
+    }
+
+    // The new upload replaces the version under review; approved versions keep their status
+    await prisma.version.updateMany({
+      where: { taskId, status: { notIn: [VERSION_STATUS.APPROVED, VERSION_STATUS.WITHDRAWN] } },
+      data: { status: VERSION_STATUS.SUPERSEDED }
+    });
+
+    // Create version
+    const version = await prisma.version.create({
+      data: {
+        versionNumber,
         fileUrls,
         remarks,
+        addressedCommentIds: [...new Set(addressedCommentIds)],
+        status: VERSION_STATUS.SUBMITTED,
+        scanStatus: SCAN_STATUS.PENDING,
+        previousTaskStatus: task.status,
         taskId,
         uploadedById: userId
       },
@@ -701,44 +2088,337 @@ router.post('/:taskId/versions', [
       }
     });
 
-    // Update task status to COMPLIANCE_REVIEW
-    await prisma.task.update({
-      where: { id: taskId },
-      data: { status: 'COMPLIANCE_REVIEW' }
+    // An upload after approval reopens review: what gets published no longer matches the approved version
+    const approvalMismatch = Boolean(task.approvedVersionId) &&
+      ['APPROVED', 'PUBLISHED'].includes(task.status);
+
+    // Move the task back to COMPLIANCE_REVIEW through the workflow and start its SLA clock
+    let updatedTask = task;
+    if (transition) {
+      const data = {
+        ...transitionData,
+        ...(approvalMismatch && { approvalMismatch: true, approvalMismatchAt: new Date() }),
+        status: 'COMPLIANCE_REVIEW'
+      };
+      updatedTask = await prisma.task.update({
+        where: { id: taskId },
+        data: { ...data, ...priorityService.fieldsFor({ ...task, ...data }) }
+      });
+    }
+
+    // Create audit log
+    await auditService.logVersionUploaded(taskId, task.title, versionNumber, fileUrls.length, userId);
+    if (approvalMismatch) {
+      await auditService.logApprovedVersionMismatch(taskId, task.title, task.approvedVersionNumber, versionNumber, userId);
+    }
+
+    if (transition) {
+      await workflowService.completeTransition(updatedTask, transition, { user: req.user });
+      await priorityService.notifyIfUrgent(task.priority, updatedTask);
+    }
+
+    // Notify compliance user, unless the move back to review already did
+    const complianceNotified = Boolean(transition) && transition.hooks.includes(WORKFLOW_HOOKS.NOTIFY_COMPLIANCE);
+    if (task.assignedComplianceId && !complianceNotified) {
+      await notificationService.sendNotification({
+        userId: task.assignedComplianceId,
+        title: 'New Version Uploaded',
+        message: `Version ${versionNumber} uploaded for task "${task.title}"${approvalMismatch ? ` after version ${task.approvedVersionNumber} was approved` : ''}`,
+        type: 'VERSION_UPLOADED',
+        taskId
+      });
+    }
+
+    await notificationService.notifyWatchers({
+      taskId,
+      title: 'New Version Uploaded',
+      message: `Version ${versionNumber} uploaded for task "${task.title}"`,
+      type: 'VERSION_UPLOADED',
+      exclude: [userId, task.assignedComplianceId]
+    });
+
+    // Scan the files against the content rules in the background; a failed scan does not fail the upload
+    scanService.queueScan(version.id);
+
+    res.status(201).json({
+      message: 'Version uploaded successfully',
+      version,
+      scan: scanService.summarize(version)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Upload version error:', error);
+    res.status(500).json({ message: 'Failed to upload version' });
+  }
+});
+
+// Compare two versions: files added, removed or changed, text diffs and addressed comments
+router.get('/:taskId/versions/compare', [
+  validateObjectId('taskId'),
+  query('from').optional().isString().trim().notEmpty(),
+  query('to').optional().isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check access
+    let hasAccess = false;
+    if (['ADMIN', 'SENIOR_MANAGER'].includes(userRole)) {
+      hasAccess = true;
+    } else if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
+      hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId);
+    } else if (['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'].includes(userRole)) {
+      hasAccess = task.assignedComplianceId === userId || userRole === 'COMPLIANCE_ADMIN';
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    res.json(await versionService.compare(task, req.query.from, req.query.to));
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Compare versions error:', error);
+    res.status(500).json({ message: 'Failed to compare versions' });
+  }
+});
+
+// Load a version of a task the user can see, for the scan endpoints
+const loadTaskVersion = async (req, res) => {
+  const { taskId, versionId } = req.params;
+  const userId = req.user.id;
+  const userRole = req.user.role;
+
+  const version = await prisma.version.findFirst({
+    where: { id: versionId, taskId },
+    include: { task: true }
+  });
+
+  if (!version) {
+    res.status(404).json({ message: 'Version not found' });
+    return null;
+  }
+
+  // Check access
+  const task = version.task;
+  let hasAccess = false;
+  if (['ADMIN', 'SENIOR_MANAGER'].includes(userRole)) {
+    hasAccess = true;
+  } else if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(userRole)) {
+    hasAccess = task.createdBy === userId || task.assignedProductIds.includes(userId);
+  } else if (['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'].includes(userRole)) {
+    hasAccess = task.assignedComplianceId === userId || userRole === 'COMPLIANCE_ADMIN';
+  }
+
+  if (!hasAccess) {
+    res.status(403).json({ message: 'Access denied to this task' });
+    return null;
+  }
+
+  return version;
+};
+
+// Get content scan findings for a version
+router.get('/:taskId/versions/:versionId/scan', [
+  validateObjectId('taskId'),
+  validateObjectId('versionId')
+], async (req, res) => {
+  try {
+    const version = await loadTaskVersion(req, res);
+    if (!version) return;
+
+    res.json({
+      versionId: version.id,
+      versionNumber: version.versionNumber,
+      ...scanService.summarize(version)
+    });
+
+  } catch (error) {
+    console.error('Get version scan error:', error);
+    res.status(500).json({ message: 'Failed to fetch scan results' });
+  }
+});
+
+// Rescan a version, e.g. after the content rules change
+router.post('/:taskId/versions/:versionId/scan', [
+  validateObjectId('taskId'),
+  validateObjectId('versionId'),
+  authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  rejectInactiveTask
+], async (req, res) => {
+  try {
+    const version = await loadTaskVersion(req, res);
+    if (!version) return;
+
+    const scanned = await scanService.scanVersion(version.id);
+
+    await auditService.logVersionScanned(version.task.id, version.task.title, version.versionNumber, scanned.findings.length, req.user.id);
+
+    res.json({
+      message: 'Version scanned successfully',
+      versionId: scanned.id,
+      versionNumber: scanned.versionNumber,
+      ...scanService.summarize(scanned)
+    });
+
+  } catch (error) {
+    console.error('Rescan version error:', error);
+    res.status(500).json({ message: 'Failed to scan version' });
+  }
+});
+
+// Get annotations on a version's files, for overlaying on the file
+router.get('/:taskId/versions/:versionId/annotations', [
+  validateObjectId('taskId'),
+  validateObjectId('versionId'),
+  query('fileUrl').optional().isString().notEmpty(),
+  query('includeResolved').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const version = await loadTaskVersion(req, res);
+    if (!version) return;
+
+    const { fileUrl } = req.query;
+    if (fileUrl && !version.fileUrls.includes(fileUrl)) {
+      return res.status(404).json({ message: `File is not part of version ${version.versionNumber}` });
+    }
+
+    const files = await commentService.getAnnotations(version, {
+      fileUrl,
+      includeResolved: req.query.includeResolved !== 'false'
+    });
+
+    res.json({
+      versionId: version.id,
+      versionNumber: version.versionNumber,
+      files
+    });
+
+  } catch (error) {
+    console.error('Get annotations error:', error);
+    res.status(500).json({ message: 'Failed to fetch annotations' });
+  }
+});
+
+// Update a version's remarks; approved and withdrawn versions cannot change
+router.put('/:taskId/versions/:versionId', [
+  validateObjectId('taskId'),
+  validateObjectId('versionId'),
+  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('remarks').isString().withMessage('Remarks must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const version = await loadTaskVersion(req, res);
+    if (!version) return;
+
+    versionService.assertMutable(version);
+
+    const updatedVersion = await prisma.version.update({
+      where: { id: version.id },
+      data: { remarks: req.body.remarks },
+      include: {
+        uploadedBy: { select: { fullName: true, username: true } }
+      }
+    });
+
+    await auditService.logVersionUpdated(version.task.id, version.task.title, version.versionNumber, ['remarks'], req.user.id);
+
+    res.json({
+      message: 'Version updated successfully',
+      version: updatedVersion
     });
 
-    // Create audit log
-    await auditService.logVersionUploaded(taskId, task.title, versionNumber, fileUrls.length, userId);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Update version error:', error);
+    res.status(500).json({ message: 'Failed to update version' });
+  }
+});
 
-    // Notify compliance user
-    if (task.assignedComplianceId) {
-      await notificationService.sendNotification({
-        userId: task.assignedComplianceId,
-        title: 'New Version Uploaded',
-        message: `Version ${versionNumber} uploaded for task "${task.title}"`,
-        type: 'VERSION_UPLOADED',
-        taskId
-      });
+// Withdraw the latest version before the reviewer has started on it
+router.post('/:taskId/versions/:versionId/withdraw', [
+  validateObjectId('taskId'),
+  validateObjectId('versionId'),
+  authorize('PRODUCT_USER', 'PRODUCT_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    res.status(201).json({
-      message: 'Version uploaded successfully',
-      version
+    const version = await loadTaskVersion(req, res);
+    if (!version) return;
+
+    const result = await versionService.withdraw(version.task, version, {
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Version withdrawn successfully',
+      version: result.version,
+      taskStatus: result.task.status
     });
 
   } catch (error) {
-    console.error('Upload version error:', error);
-    res.status(500).json({ message: 'Failed to upload version' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Withdraw version error:', error);
+    res.status(500).json({ message: 'Failed to withdraw version' });
   }
 });
 
 // Add comment
 router.post('/:taskId/comments', [
   validateObjectId('taskId'),
+  rejectInactiveTask,
   body('content').notEmpty().withMessage('Comment content is required'),
   body('versionId').optional().isString(),
   body('isGlobal').optional().isBoolean(),
-  body('attachments').optional().isArray()
+  body('attachments').optional().isArray(),
+  body('parentId').optional().custom(isValidObjectId).withMessage('Invalid parent comment ID'),
+  body('annotation').optional().isObject(),
+  body('annotation.fileUrl').if(body('annotation').exists()).isString().notEmpty().withMessage('Annotation file URL is required'),
+  body('annotation.page').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body(['annotation.x', 'annotation.y', 'annotation.width', 'annotation.height']).optional({ nullable: true }).isFloat({ min: 0, max: 1 }).toFloat(),
+  body('annotation.timestamp').optional({ nullable: true }).isFloat({ min: 0 }).toFloat()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -747,7 +2427,8 @@ router.post('/:taskId/comments', [
     }
 
     const taskId = req.params.taskId;
-    const { content, versionId, isGlobal = false, attachments = [] } = req.body;
+    const { content, parentId, annotation, attachments = [] } = req.body;
+    let { versionId, isGlobal = false } = req.body;
     const userId = req.user.id;
 
     // Check if task exists and user has access
@@ -774,9 +2455,28 @@ router.post('/:taskId/comments', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Replies join the thread of the comment they answer, on the same version
+    let threadId = null;
+    if (parentId) {
+      const parent = await prisma.comment.findFirst({
+        where: { id: parentId, taskId }
+      });
+      if (!parent || parent.isDeleted) {
+        return res.status(400).json({ message: 'Parent comment not found' });
+      }
+      threadId = parent.parentId || parent.id;
+      versionId = parent.versionId;
+      isGlobal = parent.isGlobal;
+    }
+
+    if (parentId && annotation) {
+      return res.status(400).json({ message: 'Replies cannot carry their own annotation' });
+    }
+
     // Verify version exists if provided
+    let version = null;
     if (versionId) {
-      const version = await prisma.version.findFirst({
+      version = await prisma.version.findFirst({
         where: { id: versionId, taskId }
       });
       if (!version) {
@@ -784,6 +2484,8 @@ router.post('/:taskId/comments', [
       }
     }
 
+    const mentionedUsers = await commentService.findMentionedUsers(content, task);
+
     // Create comment
     const comment = await prisma.comment.create({
       data: {
@@ -792,6 +2494,9 @@ router.post('/:taskId/comments', [
         isGlobal,
         taskId,
         versionId: versionId || null,
+        parentId: threadId,
+        mentionedUserIds: mentionedUsers.map(user => user.id),
+        ...(annotation && { annotation: commentService.normalizeAnnotation(annotation, version) }),
         authorId: userId
       },
       include: {
@@ -800,27 +2505,38 @@ router.post('/:taskId/comments', [
       }
     });
 
-    // Update task status if compliance user is commenting
+    // A reviewer's comment reaches the product team; sending the task back to them
+    // goes through POST /api/tasks/:taskId/request-changes
+    let notifiedUserIds = [];
     if (['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'].includes(req.user.role)) {
       if (task.status === 'COMPLIANCE_REVIEW') {
-        await prisma.task.update({
-          where: { id: taskId },
-          data: { status: 'PRODUCT_REVIEW' }
-        });
-
-        // Notify assigned product users
-        for (const productId of task.assignedProductIds) {
-          await notificationService.sendNotification({
-            userId: productId,
-            title: 'Comment Added',
-            message: `New comment added to task "${task.title}"`,
-            type: 'COMMENT_ADDED',
-            taskId
-          });
+        // Notify assigned product users, unless the comment mentions specific people
+        if (mentionedUsers.length === 0) {
+          notifiedUserIds = task.assignedProductIds;
+          for (const productId of task.assignedProductIds) {
+            await notificationService.sendNotification({
+              userId: productId,
+              title: 'Comment Added',
+              message: `New comment added to task "${task.title}"`,
+              type: 'COMMENT_ADDED',
+              taskId
+            });
+          }
         }
       }
     }
 
+    // A comment with mentions notifies only the mentioned users
+    await commentService.notifyMentions(task, mentionedUsers, req.user);
+
+    await notificationService.notifyWatchers({
+      taskId,
+      title: 'Comment Added',
+      message: `${req.user.fullName} commented on task "${task.title}"`,
+      type: 'COMMENT_ADDED',
+      exclude: [userId, ...notifiedUserIds, ...mentionedUsers.map(user => user.id)]
+    });
+
     // Create audit log
     await auditService.logCommentAdded(taskId, task.title, isGlobal, comment.version?.versionNumber, userId);
 
@@ -830,15 +2546,246 @@ router.post('/:taskId/comments', [
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Add comment error:', error);
     res.status(500).json({ message: 'Failed to add comment' });
   }
 });
 
+// Load a comment of a task the user can see
+const loadTaskComment = async (req, res) => {
+  const comment = await prisma.comment.findFirst({
+    where: { id: req.params.commentId, taskId: req.params.taskId },
+    include: { task: true }
+  });
+
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found' });
+    return null;
+  }
+
+  if (!commentService.canAccess(comment.task, req.user)) {
+    res.status(403).json({ message: 'Access denied to this task' });
+    return null;
+  }
+
+  return comment;
+};
+
+// Get comment threads of a task
+router.get('/:taskId/comments', [
+  validateObjectId('taskId'),
+  query('versionId').optional().custom(isValidObjectId).withMessage('Invalid version ID'),
+  query('includeResolved').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!commentService.canAccess(task, req.user)) {
+      return res.status(403).json({ message: 'Access denied to this task' });
+    }
+
+    const threads = await commentService.getThreads(task.id, {
+      versionId: req.query.versionId,
+      includeResolved: req.query.includeResolved !== 'false'
+    });
+    const unresolvedComments = await commentService.getUnresolvedCounts([task.id]);
+
+    res.json({
+      threads,
+      totalThreads: threads.length,
+      unresolvedComments: unresolvedComments[task.id] || 0
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Failed to fetch comments' });
+  }
+});
+
+// Edit a comment; only its author can, and earlier contents are kept
+router.put('/:taskId/comments/:commentId', [
+  validateObjectId('taskId'),
+  validateObjectId('commentId'),
+  rejectInactiveTask,
+  body('content').notEmpty().withMessage('Comment content is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const comment = await loadTaskComment(req, res);
+    if (!comment) return;
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the author can edit a comment' });
+    }
+
+    if (comment.isDeleted) {
+      return res.status(400).json({ message: 'Deleted comments cannot be edited' });
+    }
+
+    concurrencyService.assertFresh(req, comment);
+
+    const { content } = req.body;
+    const mentionedUsers = await commentService.findMentionedUsers(content, comment.task);
+    const now = new Date();
+
+    const updatedComment = await concurrencyService.update(prisma.comment, comment, req, {
+      where: { id: comment.id },
+      data: {
+        content,
+        editedAt: now,
+        editHistory: { push: { content: comment.content, editedAt: now, editedById: req.user.id } },
+        mentionedUserIds: mentionedUsers.map(user => user.id)
+      },
+      include: {
+        author: { select: { fullName: true, username: true, role: true } },
+        version: { select: { versionNumber: true } }
+      }
+    });
+
+    // Only people mentioned for the first time hear about the edit
+    const newlyMentioned = mentionedUsers.filter(user => !comment.mentionedUserIds.includes(user.id));
+    await commentService.notifyMentions(comment.task, newlyMentioned, req.user);
+
+    await auditService.logCommentUpdated(comment.task.id, comment.task.title, comment.id, req.user.id);
+
+    concurrencyService.setTag(res, updatedComment);
+    res.json({
+      message: 'Comment updated successfully',
+      comment: updatedComment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Failed to update comment' });
+  }
+});
+
+// Delete a comment; replies stay in the thread
+router.delete('/:taskId/comments/:commentId', [
+  validateObjectId('taskId'),
+  validateObjectId('commentId'),
+  rejectInactiveTask
+], async (req, res) => {
+  try {
+    const comment = await loadTaskComment(req, res);
+    if (!comment) return;
+
+    if (comment.authorId !== req.user.id && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ message: 'Only the author or an admin can delete a comment' });
+    }
+
+    if (comment.isDeleted) {
+      return res.status(400).json({ message: 'Comment is already deleted' });
+    }
+
+    concurrencyService.assertFresh(req, comment);
+
+    await concurrencyService.update(prisma.comment, comment, req, {
+      where: { id: comment.id },
+      data: {
+        isDeleted: true,
+        deletedAt: new Date(),
+        deletedById: req.user.id
+      }
+    });
+
+    await auditService.logCommentDeleted(comment.task.id, comment.task.title, comment.id, req.user.id);
+
+    res.json({ message: 'Comment deleted successfully' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Failed to delete comment' });
+  }
+});
+
+// Resolve or reopen a comment thread once the requested change is made
+router.put('/:taskId/comments/:commentId/resolve', [
+  validateObjectId('taskId'),
+  validateObjectId('commentId'),
+  authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
+  body('resolved').isBoolean().withMessage('Resolved must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const comment = await loadTaskComment(req, res);
+    if (!comment) return;
+
+    if (comment.parentId) {
+      return res.status(400).json({ message: 'Resolve the thread from its first comment' });
+    }
+
+    if (comment.isDeleted) {
+      return res.status(400).json({ message: 'Deleted comments cannot be resolved' });
+    }
+
+    const resolved = req.body.resolved === true || req.body.resolved === 'true';
+    if (Boolean(comment.isResolved) === resolved) {
+      return res.status(400).json({ message: `Comment is already ${resolved ? 'resolved' : 'open'}` });
+    }
+
+    concurrencyService.assertFresh(req, comment);
+
+    const updatedComment = await concurrencyService.update(prisma.comment, comment, req, {
+      where: { id: comment.id },
+      data: {
+        isResolved: resolved,
+        resolvedAt: resolved ? new Date() : null,
+        resolvedById: resolved ? req.user.id : null
+      }
+    });
+
+    await auditService.logCommentResolved(comment.task.id, comment.task.title, comment.id, resolved, req.user.id);
+
+    concurrencyService.setTag(res, updatedComment);
+    res.json({
+      message: resolved ? 'Comment resolved' : 'Comment reopened',
+      comment: updatedComment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Resolve comment error:', error);
+    res.status(500).json({ message: 'Failed to update comment' });
+  }
+});
+
 // Exchange approval management - CREATE (POST)
 router.post('/:taskId/exchange-approvals', [
   validateObjectId('taskId'),
   authorize('COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'ADMIN'),
+  rejectInactiveTask,
   body('exchangeName').isIn(['NSE', 'BSE', 'MCX', 'NCDEX']).withMessage('Invalid exchange name'),
   body('typeOfContent').notEmpty().withMessage('Type of content is required')
 ], async (req, res) => {
@@ -891,6 +2838,7 @@ router.post('/:taskId/exchange-approvals', [
       await auditService.logExchangeApprovalAdded(taskId, task.title, exchangeName, userId);
     }
 
+    concurrencyService.setTag(res, exchangeApproval);
     res.status(201).json({
       message: 'Exchange approval entry added successfully',
       exchangeApproval
@@ -961,7 +2909,7 @@ router.put('/:taskId/exchange-approvals/:approvalId', async (req, res) => {
         taskId: taskId
       },
       include: {
-        task: { select: { title: true, taskType: true } }
+        task: { select: { title: true, taskType: true, isDeleted: true, isArchived: true } }
       }
     });
 
@@ -970,12 +2918,20 @@ router.put('/:taskId/exchange-approvals/:approvalId', async (req, res) => {
       return res.status(404).json({ message: 'Exchange approval not found' });
     }
 
+    if (existingApproval.task.isDeleted || existingApproval.task.isArchived) {
+      return res.status(409).json({
+        message: `Task is ${existingApproval.task.isDeleted ? 'deleted' : 'archived'}; restore it first`
+      });
+    }
+
     console.log('Found existing approval:', existingApproval.id);
 
     if (existingApproval.task.taskType !== 'EXCHANGE') {
       return res.status(400).json({ message: 'Task must be of type EXCHANGE' });
     }
 
+    concurrencyService.assertFresh(req, existingApproval);
+
     // Validation for APPROVED status
     if (req.body.approvalStatus === 'APPROVED') {
       if (!req.body.approvalDate || !req.body.referenceNumber) {
@@ -985,21 +2941,14 @@ router.put('/:taskId/exchange-approvals/:approvalId', async (req, res) => {
       }
     }
 
-    // Prepare update data
-    const updateData = { ...req.body };
+    // Prepare update data; the exchange and task an entry belongs to stay fixed
+    const updateData = fieldPermissionService.pick('EXCHANGE_APPROVAL', req.body, { role: req.user.role });
     updateData.updatedById = userId;
 
-    // Remove undefined fields
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] === undefined) {
-        delete updateData[key];
-      }
-    });
-
     console.log('Update data:', updateData);
 
-    // Update exchange approval
-    const exchangeApproval = await prisma.exchangeApproval.update({
+    // Update exchange approval, unless someone else saved it since the client read it
+    const exchangeApproval = await concurrencyService.update(prisma.exchangeApproval, existingApproval, req, {
       where: { id: approvalId },
       data: updateData,
       include: {
@@ -1021,12 +2970,16 @@ router.put('/:taskId/exchange-approvals/:approvalId', async (req, res) => {
       );
     }
 
+    concurrencyService.setTag(res, exchangeApproval);
     res.json({
       message: 'Exchange approval updated successfully',
       exchangeApproval
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Update exchange approval error:', error);
     res.status(500).json({ 
       message: 'Failed to update exchange approval',
@@ -5,6 +5,7 @@ const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authorize } = require('../middleware/auth');
 const auditService = require('../services/auditService');
+const fieldPermissionService = require('../services/fieldPermissionService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -434,6 +435,8 @@ router.get('/:userId',
           role: true,
           isActive: true,
           team: true,
+          skills: true,
+          maxOpenTasks: true,
           lastLogin: true,
           createdAt: true,
           updatedAt: true,
@@ -576,7 +579,10 @@ router.put('/:userId',
     body('fullName').optional().notEmpty(),
     body('role').optional().isIn(['PRODUCT_USER', 'PRODUCT_ADMIN', 'COMPLIANCE_USER', 'COMPLIANCE_ADMIN', 'SENIOR_MANAGER', 'ADMIN']),
     body('isActive').optional().isBoolean(),
-    body('team').optional().isString()
+    body('team').optional().isString(),
+    body('skills').optional().isArray(),
+    body('skills.*').optional().isString().trim().notEmpty(),
+    body('maxOpenTasks').optional({ nullable: true }).isInt({ min: 1 }).toInt()
   ], 
   async (req, res) => {
     try {
@@ -587,7 +593,12 @@ router.put('/:userId',
 
       const userId = req.params.userId;
       const requestingUserRole = req.user.role;
-      const updateData = { ...req.body };
+      const updateData = fieldPermissionService.pick('USER', req.body, { role: requestingUserRole, id: userId });
+
+      // Skills are matched case-insensitively by auto-assignment
+      if (updateData.skills) {
+        updateData.skills = [...new Set(updateData.skills.map(skill => skill.toLowerCase()))];
+      }
 
       // Get current user data
       const currentUser = await prisma.user.findUnique({
@@ -615,13 +626,6 @@ router.put('/:userId',
         }
       }
 
-      // Remove undefined fields
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] === undefined) {
-          delete updateData[key];
-        }
-      });
-
       // Update user
       const updatedUser = await prisma.user.update({
         where: { id: userId },
@@ -634,6 +638,8 @@ router.put('/:userId',
           role: true,
           isActive: true,
           team: true,
+          skills: true,
+          maxOpenTasks: true,
           updatedAt: true
         }
       });
@@ -653,6 +659,9 @@ router.put('/:userId',
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message, ...error.details });
+      }
       console.error('Update user error:', error);
       res.status(500).json({ message: 'Failed to update user' });
     }
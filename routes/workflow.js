@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const workflowService = require('../services/workflowService');
+const {
+  TASK_STATUS,
+  WORKFLOW_ACTIONS,
+  WORKFLOW_HOOKS,
+  WORKFLOW_GUARDS,
+  WORKFLOW_REQUIRED_FIELDS
+} = require('../utils/constants');
+
+const router = express.Router();
+
+// Get the active task workflow
+router.get('/', [
+  authorize('COMPLIANCE_ADMIN', 'SENIOR_MANAGER', 'ADMIN')
+], async (req, res) => {
+  try {
+    const definition = await workflowService.getDefinition();
+
+    res.json({
+      workflow: definition,
+      options: {
+        statuses: Object.values(TASK_STATUS),
+        hooks: Object.values(WORKFLOW_HOOKS),
+        guards: Object.values(WORKFLOW_GUARDS),
+        actions: Object.values(WORKFLOW_ACTIONS),
+        requiredFields: WORKFLOW_REQUIRED_FIELDS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    res.status(500).json({ message: 'Failed to fetch workflow' });
+  }
+});
+
+// Replace the workflow transitions
+router.put('/', [
+  authorize('ADMIN'),
+  body('transitions').isArray({ min: 1 }).withMessage('Transitions must be a non-empty array'),
+  body('description').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const workflow = await workflowService.saveDefinition({
+      transitions: req.body.transitions,
+      description: req.body.description
+    }, req.user.id);
+
+    res.json({
+      message: 'Workflow updated successfully',
+      workflow
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Update workflow error:', error);
+    res.status(500).json({ message: 'Failed to update workflow' });
+  }
+});
+
+// Update the four-eyes (maker-checker) policy for approvals
+router.put('/four-eyes', [
+  authorize('ADMIN'),
+  body('enabled').optional().isBoolean(),
+  body('excludeUploader').optional().isBoolean(),
+  body('excludeCreator').optional().isBoolean(),
+  body('requireAssignedApprover').optional().isBoolean(),
+  body('dualApprovalCategories').optional().isArray(),
+  body('dualApprovalCategories.*').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = {};
+    ['enabled', 'excludeUploader', 'excludeCreator', 'requireAssignedApprover', 'dualApprovalCategories'].forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    const workflow = await workflowService.saveFourEyesPolicy(policy, req.user.id);
+
+    res.json({
+      message: 'Four-eyes policy updated successfully',
+      fourEyes: workflow.fourEyes
+    });
+
+  } catch (error) {
+    console.error('Update four-eyes policy error:', error);
+    res.status(500).json({ message: 'Failed to update four-eyes policy' });
+  }
+});
+
+// Restore the built-in workflow
+router.post('/reset', [
+  authorize('ADMIN')
+], async (req, res) => {
+  try {
+    const workflow = await workflowService.resetDefinition(req.user.id);
+
+    res.json({
+      message: 'Workflow reset to default',
+      workflow
+    });
+
+  } catch (error) {
+    console.error('Reset workflow error:', error);
+    res.status(500).json({ message: 'Failed to reset workflow' });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,17 @@ const reportRoutes = require('./routes/reports');
 const notificationRoutes = require('./routes/notifications');
 const auditRoutes = require('./routes/audit');
 const uploadRoutes = require('./routes/upload');
+const workflowRoutes = require('./routes/workflow');
+const reasonCodeRoutes = require('./routes/reasonCodes');
+const approvalMatrixRoutes = require('./routes/approvalMatrix');
+const assignmentRuleRoutes = require('./routes/assignmentRules');
+const slaRoutes = require('./routes/sla');
+const campaignRoutes = require('./routes/campaigns');
+const taskTemplateRoutes = require('./routes/taskTemplates');
+const checklistRoutes = require('./routes/checklists');
+const contentRuleRoutes = require('./routes/contentRules');
+const customFieldRoutes = require('./routes/customFields');
+const lookupRoutes = require('./routes/lookups');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
@@ -42,7 +53,9 @@ app.use('/api/', limiter);
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // The frontend sends ETags back in If-Match to detect conflicting edits
+  exposedHeaders: ['ETag']
 }));
 
 // Body parsing middleware
@@ -85,6 +98,17 @@ app.use('/api/reports', authenticateToken, reportRoutes);
 app.use('/api/notifications', authenticateToken, notificationRoutes);
 app.use('/api/audit', authenticateToken, auditRoutes);
 app.use('/api/upload', authenticateToken, uploadRoutes);
+app.use('/api/workflow', authenticateToken, workflowRoutes);
+app.use('/api/reason-codes', authenticateToken, reasonCodeRoutes);
+app.use('/api/approval-matrix', authenticateToken, approvalMatrixRoutes);
+app.use('/api/assignment-rules', authenticateToken, assignmentRuleRoutes);
+app.use('/api/sla', authenticateToken, slaRoutes);
+app.use('/api/campaigns', authenticateToken, campaignRoutes);
+app.use('/api/task-templates', authenticateToken, taskTemplateRoutes);
+app.use('/api/checklists', authenticateToken, checklistRoutes);
+app.use('/api/content-rules', authenticateToken, contentRuleRoutes);
+app.use('/api/custom-fields', authenticateToken, customFieldRoutes);
+app.use('/api/lookups', authenticateToken, lookupRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -100,7 +124,18 @@ app.get('/', (req, res) => {
       reports: '/api/reports',
       notifications: '/api/notifications',
       audit: '/api/audit',
-      upload: '/api/upload'
+      upload: '/api/upload',
+      workflow: '/api/workflow',
+      reasonCodes: '/api/reason-codes',
+      approvalMatrix: '/api/approval-matrix',
+      assignmentRules: '/api/assignment-rules',
+      sla: '/api/sla',
+      campaigns: '/api/campaigns',
+      taskTemplates: '/api/task-templates',
+      checklists: '/api/checklists',
+      contentRules: '/api/content-rules',
+      customFields: '/api/custom-fields',
+      lookups: '/api/lookups'
     }
   });
 });
@@ -118,7 +153,18 @@ app.get('/api', (req, res) => {
       reports: '/api/reports',
       notifications: '/api/notifications',
       audit: '/api/audit',
-      upload: '/api/upload'
+      upload: '/api/upload',
+      workflow: '/api/workflow',
+      reasonCodes: '/api/reason-codes',
+      approvalMatrix: '/api/approval-matrix',
+      assignmentRules: '/api/assignment-rules',
+      sla: '/api/sla',
+      campaigns: '/api/campaigns',
+      taskTemplates: '/api/task-templates',
+      checklists: '/api/checklists',
+      contentRules: '/api/content-rules',
+      customFields: '/api/custom-fields',
+      lookups: '/api/lookups'
     }
   });
 });
@@ -0,0 +1,95 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  USER_ROLES,
+  APPROVAL_LEVEL_ROLES,
+  SECOND_APPROVER_ROLES
+} = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+const MATCH_FIELDS = ['category', 'platform', 'taskType'];
+
+class ApprovalMatrixService {
+
+  // A rule matches when every field it sets equals the task's value
+  ruleMatches(rule, task) {
+    return MATCH_FIELDS.every(field => {
+      if (!rule[field]) return true;
+      if (!task[field]) return false;
+      return rule[field].toLowerCase() === task[field].toLowerCase();
+    });
+  }
+
+  specificity(rule) {
+    return MATCH_FIELDS.filter(field => rule[field]).length;
+  }
+
+  // Find the most specific active rule for a task
+  async findRuleForTask(task) {
+    const rules = await prisma.approvalMatrixRule.findMany({
+      where: { isActive: true },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    const matching = rules.filter(rule => this.ruleMatches(rule, task));
+    if (matching.length === 0) return null;
+
+    return matching.reduce((best, rule) =>
+      this.specificity(rule) > this.specificity(best) ? rule : best
+    );
+  }
+
+  // Approval levels a task needs, from the matrix or else the four-eyes policy
+  async getLevelsForTask(task, policy) {
+    const rule = await this.findRuleForTask(task);
+
+    if (rule) {
+      return {
+        source: 'matrix',
+        rule: { id: rule.id, name: rule.name },
+        levels: [...rule.levels].sort((a, b) => a.level - b.level)
+      };
+    }
+
+    const levels = [{ level: 1, role: USER_ROLES.COMPLIANCE_USER, label: 'Compliance review' }];
+    const category = (task.category || '').toLowerCase();
+
+    if (policy.enabled && policy.dualApprovalCategories.some(c => c.toLowerCase() === category)) {
+      levels.push({ level: 2, role: SECOND_APPROVER_ROLES[0], label: 'Second approval' });
+    }
+
+    return { source: 'four-eyes', rule: null, levels };
+  }
+
+  canSignLevel(user, level) {
+    return (APPROVAL_LEVEL_ROLES[level.role] || [level.role]).includes(user.role);
+  }
+
+  // Check levels submitted by an admin, returning a list of problems
+  validateLevels(levels) {
+    const errors = [];
+
+    if (!Array.isArray(levels) || levels.length === 0) {
+      return ['At least one approval level is required'];
+    }
+
+    levels.forEach((level, index) => {
+      if (!level || !APPROVAL_LEVEL_ROLES[level.role]) {
+        errors.push(`Level ${index + 1}: role must be one of ${Object.keys(APPROVAL_LEVEL_ROLES).join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Number levels in the order they were submitted
+  normalizeLevels(levels) {
+    return levels.map((level, index) => ({
+      level: index + 1,
+      role: level.role,
+      label: level.label || null
+    }));
+  }
+}
+
+module.exports = new ApprovalMatrixService();
@@ -0,0 +1,341 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const {
+  TASK_TYPES,
+  ASSIGNEE_TYPES,
+  ASSIGNEE_ROLES,
+  ACTIVE_TASK_STATUSES,
+  ASSIGNMENT_STRATEGIES,
+  WORKLOAD_WEIGHTS,
+  DEFAULT_ASSIGNMENT_CATEGORY,
+  DEFAULT_ASSIGNMENT_RULE,
+  TASK_VISIBILITY
+} = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+class AssignmentService {
+  constructor() {
+    // Each strategy either picks a user, narrows the candidates, or returns null to pass
+    this.strategies = {
+      [ASSIGNMENT_STRATEGIES.STICKY]: async (candidates, task, { relatedTaskId }) => {
+        const relatedId = relatedTaskId || task.renewedFromId;
+        if (!relatedId) return null;
+
+        const related = await prisma.task.findUnique({
+          where: { id: relatedId },
+          select: { uin: true, assignedComplianceId: true }
+        });
+        const user = related && candidates.find(c => c.id === related.assignedComplianceId);
+
+        return user ? { user, details: `reviewer of related task ${related.uin}` } : null;
+      },
+      [ASSIGNMENT_STRATEGIES.SKILL_MATCH]: async (candidates, task, { rule, exchangeNames = [] }) => {
+        const wanted = [
+          ...rule.requiredSkills,
+          task.category,
+          task.platform,
+          task.taskType === TASK_TYPES.EXCHANGE ? 'exchange' : null,
+          ...exchangeNames
+        ].filter(Boolean).map(skill => skill.toLowerCase());
+
+        if (wanted.length === 0) return null;
+
+        const scored = candidates
+          .map(candidate => ({
+            candidate,
+            score: (candidate.skills || []).filter(skill => wanted.includes(skill.toLowerCase())).length
+          }))
+          .filter(entry => entry.score > 0);
+
+        if (scored.length === 0) return null;
+
+        const bestScore = Math.max(...scored.map(entry => entry.score));
+        const best = scored.filter(entry => entry.score === bestScore).map(entry => entry.candidate);
+
+        return { candidates: best, details: `${best.length} reviewer(s) matched ${bestScore} skill(s)` };
+      },
+      [ASSIGNMENT_STRATEGIES.LEAST_WORKLOAD]: async (candidates) => {
+        const user = candidates.reduce((prev, current) => (prev.workload <= current.workload ? prev : current));
+        return { user, details: `weighted workload ${user.workload} across ${user.openTasks} open task(s)` };
+      },
+      [ASSIGNMENT_STRATEGIES.ROUND_ROBIN]: async (candidates) => {
+        const lastAssigned = (user) => (user.lastAssignedAt ? new Date(user.lastAssignedAt).getTime() : 0);
+        const user = candidates.reduce((prev, current) => (lastAssigned(prev) <= lastAssigned(current) ? prev : current));
+        return { user, details: 'next reviewer in rotation' };
+      }
+    };
+  }
+
+  // Prisma filter for users on leave at the given date
+  absentOn(date = new Date()) {
+    return {
+      absences: {
+        some: {
+          fromDate: { lte: date },
+          toDate: { gte: date }
+        }
+      }
+    };
+  }
+
+  // Check the target is an active, available user of the right role
+  async validateAssignee(userId, assigneeType) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, fullName: true, role: true, isActive: true }
+    });
+
+    if (!user) {
+      throw createHttpError(400, 'Assignee not found');
+    }
+
+    if (!user.isActive) {
+      throw createHttpError(400, `${user.fullName} is not an active user`);
+    }
+
+    if (!ASSIGNEE_ROLES[assigneeType].includes(user.role)) {
+      throw createHttpError(400, `${user.fullName} cannot be a ${assigneeType.toLowerCase()} assignee`, {
+        allowedRoles: ASSIGNEE_ROLES[assigneeType]
+      });
+    }
+
+    const absent = await prisma.user.count({
+      where: { id: userId, ...this.absentOn() }
+    });
+
+    if (absent > 0) {
+      throw createHttpError(400, `${user.fullName} is currently absent`);
+    }
+
+    return user;
+  }
+
+  // Rule for a category, falling back to the DEFAULT rule and then the built-in one
+  async getRule(category) {
+    const rules = await prisma.assignmentRule.findMany({
+      where: { isActive: true }
+    });
+
+    const match = (name) => rules.find(rule => rule.category.toLowerCase() === name.toLowerCase());
+
+    return (category && match(category)) || match(DEFAULT_ASSIGNMENT_CATEGORY) || DEFAULT_ASSIGNMENT_RULE;
+  }
+
+  // Available compliance users with their weighted open workload
+  async getCandidates(excludeIds = []) {
+    const users = await prisma.user.findMany({
+      where: {
+        role: { in: ASSIGNEE_ROLES[ASSIGNEE_TYPES.COMPLIANCE] },
+        isActive: true,
+        id: { notIn: excludeIds },
+        NOT: this.absentOn()
+      },
+      select: {
+        id: true,
+        fullName: true,
+        role: true,
+        skills: true,
+        maxOpenTasks: true,
+        lastAssignedAt: true,
+        complianceTasks: {
+          where: { status: { in: ACTIVE_TASK_STATUSES } },
+          select: { status: true }
+        }
+      }
+    });
+
+    return users.map(({ complianceTasks, ...user }) => ({
+      ...user,
+      openTasks: complianceTasks.length,
+      workload: complianceTasks.reduce((sum, t) => sum + (WORKLOAD_WEIGHTS[t.status] || 0), 0)
+    }));
+  }
+
+  // Pick a compliance reviewer for a task using the rule for its category.
+  // Returns null when nobody is available or every reviewer is at capacity.
+  async selectComplianceUser(task, { excludeIds = [], relatedTaskId = null, exchangeNames = [] } = {}) {
+    const rule = await this.getRule(task.category);
+    let candidates = await this.getCandidates(excludeIds);
+
+    if (rule.respectCapacity) {
+      candidates = candidates.filter(c => !c.maxOpenTasks || c.openTasks < c.maxOpenTasks);
+    }
+
+    if (candidates.length === 0) return null;
+
+    const candidateCount = candidates.length;
+    const context = { rule, relatedTaskId, exchangeNames };
+    const notes = [];
+    let picked = null;
+
+    for (const name of rule.strategies) {
+      if (!this.strategies[name]) continue;
+
+      const result = await this.strategies[name](candidates, task, context);
+      if (!result) continue;
+
+      notes.push(`${name}: ${result.details}`);
+      if (result.user) {
+        picked = { strategy: name, user: result.user };
+        break;
+      }
+
+      candidates = result.candidates;
+      if (candidates.length === 1) {
+        picked = { strategy: name, user: candidates[0] };
+        break;
+      }
+    }
+
+    // Break any remaining tie by workload
+    if (!picked) {
+      const result = await this.strategies[ASSIGNMENT_STRATEGIES.LEAST_WORKLOAD](candidates, task, context);
+      notes.push(`${ASSIGNMENT_STRATEGIES.LEAST_WORKLOAD}: ${result.details}`);
+      picked = { strategy: ASSIGNMENT_STRATEGIES.LEAST_WORKLOAD, user: result.user };
+    }
+
+    await prisma.user.update({
+      where: { id: picked.user.id },
+      data: { lastAssignedAt: new Date() }
+    });
+
+    return {
+      user: picked.user,
+      decision: {
+        strategy: picked.strategy,
+        ruleCategory: rule.category,
+        candidateCount,
+        details: notes.join('; '),
+        decidedAt: new Date()
+      }
+    };
+  }
+
+  // Move one assignee slot of a task from one user to another
+  async reassign(task, { assigneeType, fromUserId, toUser, performedBy, reason = null, decision = null }) {
+    if (task.isDeleted || task.isArchived) {
+      throw createHttpError(409, `Task is ${task.isDeleted ? 'deleted' : 'archived'}; restore it first`);
+    }
+
+    // Closed and expired tasks keep the people who worked on them
+    if (!ACTIVE_TASK_STATUSES.includes(task.status)) {
+      throw createHttpError(400, `Tasks that are ${task.status} cannot be reassigned`);
+    }
+
+    const data = {};
+    let previousId;
+
+    if (assigneeType === ASSIGNEE_TYPES.COMPLIANCE) {
+      previousId = task.assignedComplianceId;
+      if (previousId === toUser.id) {
+        throw createHttpError(400, `${toUser.fullName} is already the compliance assignee`);
+      }
+      data.assignedComplianceId = toUser.id;
+      data.assignmentDecision = decision || {
+        strategy: 'MANUAL',
+        ruleCategory: null,
+        candidateCount: 1,
+        details: `Reassigned to ${toUser.fullName}${reason ? `: ${reason}` : ''}`,
+        decidedAt: new Date()
+      };
+    } else {
+      previousId = fromUserId;
+      if (fromUserId === toUser.id) {
+        throw createHttpError(400, 'Source and target users must differ');
+      }
+      if (!task.assignedProductIds.includes(fromUserId)) {
+        throw createHttpError(400, 'The user being replaced is not assigned to this task');
+      }
+      // If the target is already assigned, the old user is simply removed
+      data.assignedProductIds = [...new Set(task.assignedProductIds.map(id => id === fromUserId ? toUser.id : id))];
+    }
+
+    const previousUser = previousId ? await prisma.user.findUnique({
+      where: { id: previousId },
+      select: { id: true, fullName: true }
+    }) : null;
+
+    const updatedTask = await prisma.task.update({
+      where: { id: task.id },
+      data
+    });
+
+    const reasonText = reason ? ` (${reason})` : '';
+
+    await notificationService.sendNotification({
+      userId: toUser.id,
+      title: 'Task Reassigned To You',
+      message: `Task "${task.title}" has been reassigned to you${previousUser ? ` from ${previousUser.fullName}` : ''}${reasonText}`,
+      type: 'TASK_ASSIGNED',
+      taskId: task.id,
+      sendEmail: true
+    });
+
+    if (previousUser) {
+      await notificationService.sendNotification({
+        userId: previousUser.id,
+        title: 'Task Reassigned',
+        message: `Task "${task.title}" has been reassigned from you to ${toUser.fullName}${reasonText}`,
+        type: 'TASK_ASSIGNED',
+        taskId: task.id
+      });
+    }
+
+    await auditService.logTaskReassigned(
+      task.id,
+      task.title,
+      previousUser ? previousUser.fullName : 'Unassigned',
+      toUser.fullName,
+      performedBy
+    );
+
+    return updatedTask;
+  }
+
+  // Move every active task of one user to another user
+  async bulkReassign({ fromUserId, toUserId, statuses = ACTIVE_TASK_STATUSES, performedBy, reason = null }) {
+    const fromUser = await prisma.user.findUnique({
+      where: { id: fromUserId },
+      select: { id: true, fullName: true, role: true }
+    });
+
+    if (!fromUser) {
+      throw createHttpError(404, 'User to reassign from not found');
+    }
+
+    const assigneeType = Object.keys(ASSIGNEE_ROLES).find(type => ASSIGNEE_ROLES[type].includes(fromUser.role));
+    if (!assigneeType) {
+      throw createHttpError(400, `${fromUser.fullName} does not hold task assignments`);
+    }
+
+    const toUser = await this.validateAssignee(toUserId, assigneeType);
+    if (toUser.id === fromUser.id) {
+      throw createHttpError(400, 'Source and target users must differ');
+    }
+
+    const tasks = await prisma.task.findMany({
+      where: {
+        status: { in: statuses },
+        ...TASK_VISIBILITY.NOT_DELETED,
+        ...(assigneeType === ASSIGNEE_TYPES.COMPLIANCE
+          ? { assignedComplianceId: fromUser.id }
+          : { assignedProductIds: { has: fromUser.id } })
+      }
+    });
+
+    const reassigned = [];
+    for (const task of tasks) {
+      await this.reassign(task, { assigneeType, fromUserId: fromUser.id, toUser, performedBy, reason });
+      reassigned.push({ id: task.id, uin: task.uin, title: task.title });
+    }
+
+    await auditService.logBulkAction('reassign', reassigned.length, `${fromUser.fullName} -> ${toUser.fullName}`, performedBy);
+
+    return { assigneeType, fromUser, toUser, tasks: reassigned };
+  }
+}
+
+module.exports = new AssignmentService();
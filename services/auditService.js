@@ -69,6 +69,15 @@ class AuditService {
     });
   }
 
+  async logChangesRequested(taskId, taskTitle, reason, performedBy) {
+    await this.log({
+      action: 'CHANGES_REQUESTED',
+      details: `Changes requested on task "${taskTitle}": ${reason}`,
+      performedBy,
+      taskId
+    });
+  }
+
   async logTaskPublished(taskId, taskTitle, publishDate, performedBy) {
     await this.log({
       action: 'TASK_PUBLISHED',
@@ -114,6 +123,96 @@ class AuditService {
     });
   }
 
+  async logTaskDeleted(taskId, taskTitle, reason, performedBy) {
+    await this.log({
+      action: 'TASK_DELETED',
+      details: `Task "${taskTitle}" deleted: ${reason}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logTaskArchived(taskId, taskTitle, performedBy) {
+    await this.log({
+      action: 'TASK_ARCHIVED',
+      details: `Task "${taskTitle}" archived`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logTaskRestored(taskId, taskTitle, restoredFrom, performedBy) {
+    await this.log({
+      action: 'TASK_RESTORED',
+      details: `Task "${taskTitle}" restored from ${restoredFrom}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logTaskPriorityChanged(taskId, taskTitle, fromPriority, toPriority, performedBy, reason = null) {
+    await this.log({
+      action: 'TASK_PRIORITY_CHANGED',
+      details: `Task "${taskTitle}" priority changed from ${fromPriority} to ${toPriority}${reason ? `: ${reason}` : ''}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logTaskRenewed(taskId, taskTitle, originalUin, renewalUin, performedBy) {
+    await this.log({
+      action: 'TASK_RENEWED',
+      details: `Task "${taskTitle}" renewed: ${originalUin} -> ${renewalUin}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logWatcherAdded(taskId, taskTitle, watcherName, performedBy) {
+    await this.log({
+      action: 'TASK_WATCHER_ADDED',
+      details: `${watcherName} is now watching task "${taskTitle}"`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logWatcherRemoved(taskId, taskTitle, watcherName, performedBy) {
+    await this.log({
+      action: 'TASK_WATCHER_REMOVED',
+      details: `${watcherName} stopped watching task "${taskTitle}"`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logVariantCreated(taskId, taskTitle, languageCode, variantUin, performedBy) {
+    await this.log({
+      action: 'TASK_VARIANT_CREATED',
+      details: `Variant ${variantUin} (${languageCode}) created for task "${taskTitle}"`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logTaskLinked(taskId, taskTitle, relation, otherTaskUin, performedBy) {
+    await this.log({
+      action: 'TASK_LINK_ADDED',
+      details: `Task "${taskTitle}" ${relation} ${otherTaskUin}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logTaskUnlinked(taskId, taskTitle, relation, otherTaskUin, performedBy) {
+    await this.log({
+      action: 'TASK_LINK_REMOVED',
+      details: `Link removed: task "${taskTitle}" ${relation} ${otherTaskUin}`,
+      performedBy,
+      taskId
+    });
+  }
+
   // Version-related audit logs
   async logVersionUploaded(taskId, taskTitle, versionNumber, fileCount, performedBy) {
     await this.log({
@@ -124,6 +223,33 @@ class AuditService {
     });
   }
 
+  async logVersionUpdated(taskId, taskTitle, versionNumber, updatedFields, performedBy) {
+    await this.log({
+      action: 'VERSION_UPDATED',
+      details: `Version ${versionNumber} of task "${taskTitle}" updated: ${updatedFields.join(', ')}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logVersionWithdrawn(taskId, taskTitle, versionNumber, reason, performedBy) {
+    await this.log({
+      action: 'VERSION_WITHDRAWN',
+      details: `Version ${versionNumber} of task "${taskTitle}" withdrawn${reason ? `: ${reason}` : ''}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logApprovedVersionMismatch(taskId, taskTitle, approvedVersionNumber, newVersionNumber, performedBy) {
+    await this.log({
+      action: 'APPROVED_VERSION_MISMATCH',
+      details: `Version ${newVersionNumber} uploaded for task "${taskTitle}" after version ${approvedVersionNumber} was approved; the creative no longer matches the approval`,
+      performedBy,
+      taskId
+    });
+  }
+
   async logVersionDeleted(taskId, taskTitle, versionNumber, performedBy) {
     await this.log({
       action: 'VERSION_DELETED',
@@ -162,6 +288,15 @@ class AuditService {
     });
   }
 
+  async logCommentResolved(taskId, taskTitle, commentId, resolved, performedBy) {
+    await this.log({
+      action: resolved ? 'COMMENT_RESOLVED' : 'COMMENT_REOPENED',
+      details: `Comment thread ${resolved ? 'resolved' : 'reopened'} on task "${taskTitle}"`,
+      performedBy,
+      taskId
+    });
+  }
+
   // Exchange approval audit logs
   async logExchangeApprovalAdded(taskId, taskTitle, exchangeName, performedBy) {
     await this.log({
@@ -476,11 +611,12 @@ class AuditService {
     });
   }
 
-  async logPermissionDenied(action, resource, reason, performedBy) {
+  async logPermissionDenied(action, resource, reason, performedBy, taskId = null) {
     await this.log({
       action: 'PERMISSION_DENIED',
       details: `Access denied for ${action} on ${resource}: ${reason}`,
-      performedBy
+      performedBy,
+      taskId
     });
   }
 
@@ -551,6 +687,286 @@ class AuditService {
     });
   }
 
+  async logWorkflowUpdated(oldVersion, newVersion, transitionCount, performedBy) {
+    await this.log({
+      action: 'WORKFLOW_UPDATED',
+      details: `Task workflow updated from version ${oldVersion} to ${newVersion} (${transitionCount} transitions)`,
+      performedBy
+    });
+  }
+
+  async logFourEyesPolicyUpdated(policy, performedBy) {
+    await this.log({
+      action: 'FOUR_EYES_POLICY_UPDATED',
+      details: `Four-eyes policy ${policy.enabled ? 'enabled' : 'disabled'}; dual approval categories: ${policy.dualApprovalCategories.join(', ') || 'none'}`,
+      performedBy
+    });
+  }
+
+  async logApprovalRuleCreated(ruleName, levelCount, performedBy) {
+    await this.log({
+      action: 'APPROVAL_RULE_CREATED',
+      details: `Approval matrix rule "${ruleName}" created with ${levelCount} levels`,
+      performedBy
+    });
+  }
+
+  async logApprovalRuleUpdated(ruleName, updatedFields, performedBy) {
+    await this.log({
+      action: 'APPROVAL_RULE_UPDATED',
+      details: `Approval matrix rule "${ruleName}" updated: ${updatedFields.join(', ')}`,
+      performedBy
+    });
+  }
+
+  async logApprovalRuleDeleted(ruleName, performedBy) {
+    await this.log({
+      action: 'APPROVAL_RULE_DELETED',
+      details: `Approval matrix rule "${ruleName}" deleted`,
+      performedBy
+    });
+  }
+
+  async logAssignmentRuleUpdated(category, strategies, performedBy) {
+    await this.log({
+      action: 'ASSIGNMENT_RULE_UPDATED',
+      details: `Assignment rule for "${category}" set to ${strategies.join(' > ')}`,
+      performedBy
+    });
+  }
+
+  async logAssignmentRuleDeleted(category, performedBy) {
+    await this.log({
+      action: 'ASSIGNMENT_RULE_DELETED',
+      details: `Assignment rule for "${category}" deleted`,
+      performedBy
+    });
+  }
+
+  async logSlaPolicyUpdated(status, targetBusinessDays, performedBy) {
+    await this.log({
+      action: 'SLA_POLICY_UPDATED',
+      details: `SLA for ${status} set to ${targetBusinessDays} business day(s)`,
+      performedBy
+    });
+  }
+
+  async logSlaEscalated(taskId, taskTitle, status, level, recipientCount) {
+    await this.log({
+      action: 'SLA_ESCALATED',
+      details: `SLA for task "${taskTitle}" in ${status} escalated to level ${level} (${recipientCount} recipient(s))`,
+      performedBy: 'SYSTEM',
+      taskId
+    });
+  }
+
+  async logHolidayCreated(date, name, performedBy) {
+    await this.log({
+      action: 'HOLIDAY_CREATED',
+      details: `Holiday "${name}" added on ${date}`,
+      performedBy
+    });
+  }
+
+  async logHolidayDeleted(date, name, performedBy) {
+    await this.log({
+      action: 'HOLIDAY_DELETED',
+      details: `Holiday "${name}" on ${date} removed`,
+      performedBy
+    });
+  }
+
+  async logCampaignCreated(name, performedBy) {
+    await this.log({
+      action: 'CAMPAIGN_CREATED',
+      details: `Campaign "${name}" created`,
+      performedBy
+    });
+  }
+
+  async logCampaignUpdated(name, updatedFields, performedBy) {
+    await this.log({
+      action: 'CAMPAIGN_UPDATED',
+      details: `Campaign "${name}" updated: ${updatedFields.join(', ')}`,
+      performedBy
+    });
+  }
+
+  async logCampaignDeleted(name, performedBy) {
+    await this.log({
+      action: 'CAMPAIGN_DELETED',
+      details: `Campaign "${name}" deleted`,
+      performedBy
+    });
+  }
+
+  async logTemplateCreated(name, performedBy) {
+    await this.log({
+      action: 'TEMPLATE_CREATED',
+      details: `Task template "${name}" created`,
+      performedBy
+    });
+  }
+
+  async logTemplateUpdated(name, updatedFields, performedBy) {
+    await this.log({
+      action: 'TEMPLATE_UPDATED',
+      details: `Task template "${name}" updated: ${updatedFields.join(', ')}`,
+      performedBy
+    });
+  }
+
+  async logTemplateDeleted(name, performedBy) {
+    await this.log({
+      action: 'TEMPLATE_DELETED',
+      details: `Task template "${name}" deleted`,
+      performedBy
+    });
+  }
+
+  async logChecklistUpdated(taskId, taskTitle, versionNumber, answers, performedBy) {
+    const summary = answers
+      .map(answer => `${answer.label}: ${answer.status}${answer.notes ? ` (${answer.notes})` : ''}`)
+      .join('; ');
+
+    await this.log({
+      action: 'CHECKLIST_UPDATED',
+      details: `Checklist for task "${taskTitle}" version ${versionNumber}: ${summary}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logChecklistDefinitionUpdated(category, itemCount, performedBy) {
+    await this.log({
+      action: 'CHECKLIST_DEFINITION_UPDATED',
+      details: `Checklist for "${category}" saved with ${itemCount} item(s)`,
+      performedBy
+    });
+  }
+
+  async logChecklistDefinitionDeleted(category, performedBy) {
+    await this.log({
+      action: 'CHECKLIST_DEFINITION_DELETED',
+      details: `Checklist for "${category}" deleted`,
+      performedBy
+    });
+  }
+
+  async logContentRuleCreated(name, performedBy) {
+    await this.log({
+      action: 'CONTENT_RULE_CREATED',
+      details: `Content rule "${name}" created`,
+      performedBy
+    });
+  }
+
+  async logContentRuleUpdated(name, updatedFields, performedBy) {
+    await this.log({
+      action: 'CONTENT_RULE_UPDATED',
+      details: `Content rule "${name}" updated: ${updatedFields.join(', ')}`,
+      performedBy
+    });
+  }
+
+  async logContentRuleDeleted(name, performedBy) {
+    await this.log({
+      action: 'CONTENT_RULE_DELETED',
+      details: `Content rule "${name}" deleted`,
+      performedBy
+    });
+  }
+
+  async logCustomFieldCreated(key, performedBy) {
+    await this.log({
+      action: 'CUSTOM_FIELD_CREATED',
+      details: `Custom field "${key}" created`,
+      performedBy
+    });
+  }
+
+  async logCustomFieldUpdated(key, updatedFields, performedBy) {
+    await this.log({
+      action: 'CUSTOM_FIELD_UPDATED',
+      details: `Custom field "${key}" updated: ${updatedFields.join(', ')}`,
+      performedBy
+    });
+  }
+
+  async logCustomFieldDeleted(key, performedBy) {
+    await this.log({
+      action: 'CUSTOM_FIELD_DELETED',
+      details: `Custom field "${key}" deleted`,
+      performedBy
+    });
+  }
+
+  async logLookupValueCreated(type, label, performedBy) {
+    await this.log({
+      action: 'LOOKUP_VALUE_CREATED',
+      details: `${type} "${label}" added`,
+      performedBy
+    });
+  }
+
+  async logLookupValueUpdated(type, label, updatedFields, performedBy) {
+    await this.log({
+      action: 'LOOKUP_VALUE_UPDATED',
+      details: `${type} "${label}" updated: ${updatedFields.join(', ')}`,
+      performedBy
+    });
+  }
+
+  async logLookupValueDeleted(type, label, performedBy) {
+    await this.log({
+      action: 'LOOKUP_VALUE_DELETED',
+      details: `${type} "${label}" deleted`,
+      performedBy
+    });
+  }
+
+  async logLookupValuesMigrated(summary, performedBy) {
+    await this.log({
+      action: 'LOOKUP_VALUES_MIGRATED',
+      details: `Free-text values mapped onto lookup lists: ${summary}`,
+      performedBy
+    });
+  }
+
+  async logVersionScanned(taskId, taskTitle, versionNumber, findingCount, performedBy) {
+    await this.log({
+      action: 'VERSION_SCANNED',
+      details: `Version ${versionNumber} of task "${taskTitle}" rescanned: ${findingCount} finding(s)`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logVersionFlagged(taskId, taskTitle, versionNumber, reason, performedBy) {
+    await this.log({
+      action: 'VERSION_FLAGGED',
+      details: `Version ${versionNumber} of task "${taskTitle}" flagged: ${reason}`,
+      performedBy,
+      taskId
+    });
+  }
+
+  async logReasonCodeCreated(code, performedBy) {
+    await this.log({
+      action: 'REASON_CODE_CREATED',
+      details: `Reason code ${code} created`,
+      performedBy
+    });
+  }
+
+  async logReasonCodeUpdated(code, updatedFields, performedBy) {
+    await this.log({
+      action: 'REASON_CODE_UPDATED',
+      details: `Reason code ${code} updated: ${updatedFields.join(', ')}`,
+      performedBy
+    });
+  }
+
   async logFeatureToggled(featureName, status, performedBy) {
     await this.log({
       action: 'FEATURE_TOGGLED',
@@ -0,0 +1,127 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const assignmentService = require('./assignmentService');
+const priorityService = require('./priorityService');
+const {
+  TASK_STATUS,
+  CAMPAIGN_STATUS,
+  ASSIGNEE_TYPES,
+  ACTIVE_TASK_STATUSES,
+  TASK_VISIBILITY
+} = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const CLOSED_STATUSES = [TASK_STATUS.CLOSED_INTERNAL, TASK_STATUS.CLOSED_EXCHANGE, TASK_STATUS.EXPIRED];
+const APPROVED_STATUSES = [TASK_STATUS.APPROVED, TASK_STATUS.PUBLISHED];
+
+class CampaignService {
+
+  // Approval progress across the tasks of a campaign
+  getProgress(tasks) {
+    const byStatus = {};
+    tasks.forEach(task => {
+      byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+    });
+
+    const closed = tasks.filter(task => CLOSED_STATUSES.includes(task.status)).length;
+    const approved = tasks.filter(task => APPROVED_STATUSES.includes(task.status)).length;
+    const published = byStatus[TASK_STATUS.PUBLISHED] || 0;
+    const inScope = tasks.length - closed;
+
+    return {
+      totalTasks: tasks.length,
+      byStatus,
+      pending: inScope - approved,
+      approved,
+      published,
+      closed,
+      approvedPercent: inScope > 0 ? Math.round((approved / inScope) * 100) : 0
+    };
+  }
+
+  // Campaign status derived from its tasks
+  getStatus(tasks) {
+    if (tasks.length === 0) return CAMPAIGN_STATUS.PLANNED;
+
+    const open = tasks.filter(task => !CLOSED_STATUSES.includes(task.status));
+    if (open.length === 0) return CAMPAIGN_STATUS.COMPLETED;
+    if (open.every(task => task.status === TASK_STATUS.PUBLISHED)) return CAMPAIGN_STATUS.PUBLISHED;
+    if (open.every(task => APPROVED_STATUSES.includes(task.status))) return CAMPAIGN_STATUS.APPROVED;
+
+    return CAMPAIGN_STATUS.IN_PROGRESS;
+  }
+
+  // Campaign with its rolled-up status and progress
+  withRollup(campaign, tasks) {
+    return {
+      ...campaign,
+      status: this.getStatus(tasks),
+      progress: this.getProgress(tasks)
+    };
+  }
+
+  // Give every active task of a campaign the same compliance reviewer
+  async assignCompliance(campaign, { userId, performedBy, reason = null }) {
+    const toUser = await assignmentService.validateAssignee(userId, ASSIGNEE_TYPES.COMPLIANCE);
+
+    const tasks = await prisma.task.findMany({
+      where: {
+        campaignId: campaign.id,
+        status: { in: ACTIVE_TASK_STATUSES },
+        ...TASK_VISIBILITY.NOT_DELETED
+      }
+    });
+
+    const reassigned = [];
+    for (const task of tasks) {
+      if (task.assignedComplianceId === toUser.id) continue;
+
+      await assignmentService.reassign(task, {
+        assigneeType: ASSIGNEE_TYPES.COMPLIANCE,
+        toUser,
+        performedBy,
+        reason: reason || `Campaign "${campaign.name}" reviewer`
+      });
+      reassigned.push({ id: task.id, uin: task.uin, title: task.title });
+    }
+
+    await auditService.logBulkAction('assign', reassigned.length, `campaign "${campaign.name}" -> ${toUser.fullName}`, performedBy);
+
+    return { toUser, tasks: reassigned, skipped: tasks.length - reassigned.length };
+  }
+
+  // Set one expiry date on every task of a campaign that is still live
+  async setExpiry(campaign, { expiryDate, performedBy }) {
+    const expiry = new Date(expiryDate);
+    if (expiry <= new Date()) {
+      throw createHttpError(400, 'Expiry date must be in the future');
+    }
+
+    const tasks = await prisma.task.findMany({
+      where: {
+        campaignId: campaign.id,
+        status: { notIn: CLOSED_STATUSES },
+        ...TASK_VISIBILITY.NOT_DELETED
+      }
+    });
+
+    for (const task of tasks) {
+      await prisma.task.update({
+        where: { id: task.id },
+        data: {
+          expiryDate: expiry,
+          ...priorityService.fieldsFor({ ...task, expiryDate: expiry })
+        }
+      });
+      await auditService.logTaskUpdated(task.id, task.title, ['expiryDate'], performedBy);
+    }
+
+    await auditService.logBulkAction('expiry', tasks.length, `campaign "${campaign.name}" -> ${expiry.toISOString()}`, performedBy);
+
+    return tasks.map(task => ({ id: task.id, uin: task.uin, title: task.title }));
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const { CHECKLIST_STATUS, DEFAULT_CHECKLIST_CATEGORY, VERSION_STATUS } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+class ChecklistService {
+
+  // Checklist items that apply to a category: the DEFAULT items followed by the category's own
+  async getDefinitionItems(category) {
+    const definitions = await prisma.checklistDefinition.findMany({
+      where: { isActive: true }
+    });
+
+    const match = (name) => definitions.find(d => d.category.toLowerCase() === name.toLowerCase());
+    const general = match(DEFAULT_CHECKLIST_CATEGORY);
+    const specific = category && category.toLowerCase() !== DEFAULT_CHECKLIST_CATEGORY.toLowerCase() ? match(category) : null;
+
+    return [...(general ? general.items : []), ...(specific ? specific.items : [])];
+  }
+
+  // Fresh task checklist from the definitions plus any extra items, such as a template's
+  async buildItems(category, extraItems = []) {
+    const items = [...await this.getDefinitionItems(category), ...extraItems];
+    const seen = new Set();
+
+    return items
+      .filter(item => {
+        const label = item.label.trim().toLowerCase();
+        if (seen.has(label)) return false;
+        seen.add(label);
+        return true;
+      })
+      .map(item => ({
+        key: crypto.randomUUID(),
+        label: item.label,
+        mandatory: item.mandatory !== false,
+        guidance: item.guidance || null
+      }));
+  }
+
+  // Give tasks created before any definition existed their checklist when a reviewer needs it
+  async ensureChecklist(task) {
+    if (task.checklist && task.checklist.length > 0) return task.checklist;
+
+    const checklist = await this.buildItems(task.category);
+    if (checklist.length === 0) return [];
+
+    await prisma.task.update({
+      where: { id: task.id },
+      data: { checklist }
+    });
+
+    return checklist;
+  }
+
+  async getLatestVersion(taskId) {
+    return await prisma.version.findFirst({
+      where: { taskId, status: { not: VERSION_STATUS.WITHDRAWN } },
+      orderBy: { uploadedAt: 'desc' },
+      select: { id: true, versionNumber: true }
+    });
+  }
+
+  // Checklist with each answer marked current or stale against the latest version
+  describe(checklist, latestVersion) {
+    const items = checklist.map(item => ({
+      ...item,
+      current: Boolean(item.status && latestVersion && item.versionId === latestVersion.id)
+    }));
+    const blocking = this.blockingItems(checklist, latestVersion);
+
+    return {
+      latestVersion,
+      items,
+      summary: {
+        total: items.length,
+        answered: items.filter(item => item.current).length,
+        mandatory: items.filter(item => item.mandatory).length,
+        mandatoryPassed: items.filter(item => item.mandatory).length - blocking.length,
+        complete: blocking.length === 0
+      }
+    };
+  }
+
+  // Mandatory items that have not passed on the latest version
+  blockingItems(checklist, latestVersion) {
+    return checklist.filter(item => item.mandatory && !(
+      item.status === CHECKLIST_STATUS.PASS && latestVersion && item.versionId === latestVersion.id
+    ));
+  }
+
+  // Record reviewer answers against the latest version
+  async answer(task, answers, user) {
+    const checklist = await this.ensureChecklist(task);
+    if (checklist.length === 0) {
+      throw createHttpError(400, 'This task has no checklist');
+    }
+
+    const latestVersion = await this.getLatestVersion(task.id);
+    if (!latestVersion) {
+      throw createHttpError(400, 'Upload a version before completing the checklist');
+    }
+
+    const byKey = new Map(checklist.map(item => [item.key, item]));
+    const unknown = answers.filter(answer => !byKey.has(answer.key)).map(answer => answer.key);
+    if (unknown.length > 0) {
+      throw createHttpError(400, 'Unknown checklist items', { keys: unknown });
+    }
+
+    const notApplicable = answers.filter(answer =>
+      answer.status === CHECKLIST_STATUS.NOT_APPLICABLE && byKey.get(answer.key).mandatory
+    );
+    if (notApplicable.length > 0) {
+      throw createHttpError(400, 'Mandatory checklist items cannot be marked not applicable', {
+        items: notApplicable.map(answer => byKey.get(answer.key).label)
+      });
+    }
+
+    const now = new Date();
+    answers.forEach(answer => {
+      Object.assign(byKey.get(answer.key), {
+        status: answer.status,
+        notes: answer.notes || null,
+        versionId: latestVersion.id,
+        versionNumber: latestVersion.versionNumber,
+        checkedById: user.id,
+        checkedByName: user.fullName,
+        checkedAt: now
+      });
+    });
+
+    await prisma.task.update({
+      where: { id: task.id },
+      data: { checklist }
+    });
+
+    await auditService.logChecklistUpdated(
+      task.id,
+      task.title,
+      latestVersion.versionNumber,
+      answers.map(answer => ({ ...answer, label: byKey.get(answer.key).label })),
+      user.id
+    );
+
+    return this.describe(checklist, latestVersion);
+  }
+
+  // Workflow guard: refuse while mandatory items have not passed on the latest version
+  async assertPassed(task) {
+    const checklist = await this.ensureChecklist(task);
+    if (checklist.length === 0) return;
+
+    const latestVersion = await this.getLatestVersion(task.id);
+    const blocking = this.blockingItems(checklist, latestVersion);
+
+    if (blocking.length > 0) {
+      throw createHttpError(400, `Mandatory checklist items have not passed${latestVersion ? ` for version ${latestVersion.versionNumber}` : ''}`, {
+        checklistItems: blocking.map(item => ({ key: item.key, label: item.label, status: item.status || null }))
+      });
+    }
+  }
+}
+
+module.exports = new ChecklistService();
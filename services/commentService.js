@@ -0,0 +1,187 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const concurrencyService = require('./concurrencyService');
+const { createHttpError } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const BOX_FIELDS = ['x', 'y', 'width', 'height'];
+
+const MENTION_PATTERN = /(^|[^\w@.])@([a-zA-Z0-9_]+)/g;
+
+// Comments that start a thread; comments stored before threading have no parentId at all
+const TOP_LEVEL = { OR: [{ parentId: null }, { parentId: { isSet: false } }] };
+
+const commentInclude = {
+  author: { select: { id: true, fullName: true, username: true, role: true } },
+  version: { select: { versionNumber: true } }
+};
+
+class CommentService {
+
+  // Usernames mentioned as @username
+  parseMentions(content) {
+    return [...new Set([...(content || '').matchAll(MENTION_PATTERN)].map(match => match[2]))];
+  }
+
+  // Same rules as viewing the task; watchers can view the tasks they follow
+  canAccess(task, user) {
+    if (['ADMIN', 'SENIOR_MANAGER', 'COMPLIANCE_ADMIN'].includes(user.role)) return true;
+    if ((task.watcherIds || []).includes(user.id)) return true;
+    if (['PRODUCT_USER', 'PRODUCT_ADMIN'].includes(user.role)) {
+      return task.createdBy === user.id || task.assignedProductIds.includes(user.id);
+    }
+    return user.role === 'COMPLIANCE_USER' && task.assignedComplianceId === user.id;
+  }
+
+  // Active users mentioned in a comment who can see the task
+  async findMentionedUsers(content, task) {
+    const usernames = this.parseMentions(content);
+    if (usernames.length === 0) return [];
+
+    const users = await prisma.user.findMany({
+      where: { username: { in: usernames }, isActive: true },
+      select: { id: true, username: true, fullName: true, role: true }
+    });
+
+    return users.filter(user => this.canAccess(task, user));
+  }
+
+  async notifyMentions(task, users, author) {
+    for (const user of users) {
+      if (user.id === author.id) continue;
+
+      try {
+        await notificationService.sendNotification({
+          userId: user.id,
+          title: 'You Were Mentioned',
+          message: `${author.fullName} mentioned you in a comment on task "${task.title}"`,
+          type: 'COMMENT_ADDED',
+          taskId: task.id
+        });
+      } catch (error) {
+        console.error(`Failed to send mention notification to user ${user.id}:`, error);
+      }
+    }
+  }
+
+  // Check an annotation anchor against the version it is placed on, returning the stored shape
+  normalizeAnnotation(annotation, version) {
+    if (!version) {
+      throw createHttpError(400, 'Annotations must be placed on a version');
+    }
+
+    if (!version.fileUrls.includes(annotation.fileUrl)) {
+      throw createHttpError(400, `File is not part of version ${version.versionNumber}`);
+    }
+
+    const boxFields = BOX_FIELDS.filter(field => annotation[field] !== undefined && annotation[field] !== null);
+    if (boxFields.length > 0 && boxFields.length < BOX_FIELDS.length) {
+      throw createHttpError(400, 'A bounding box needs x, y, width and height');
+    }
+
+    if (boxFields.length > 0) {
+      const { x, y, width, height } = annotation;
+      if (width <= 0 || height <= 0 || x + width > 1 || y + height > 1) {
+        throw createHttpError(400, 'The bounding box must lie within the page');
+      }
+    }
+
+    const anchor = { fileUrl: annotation.fileUrl };
+    ['page', ...BOX_FIELDS, 'timestamp'].forEach(field => {
+      anchor[field] = annotation[field] !== undefined ? annotation[field] : null;
+    });
+    return anchor;
+  }
+
+  // Annotations on a version's files, grouped per file in reading order
+  async getAnnotations(version, { fileUrl, includeResolved = true } = {}) {
+    const annotations = await prisma.comment.findMany({
+      where: {
+        versionId: version.id,
+        isDeleted: { not: true },
+        annotation: fileUrl ? { is: { fileUrl } } : { isSet: true },
+        ...(!includeResolved && { isResolved: { not: true } })
+      },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        ...commentInclude,
+        replies: {
+          where: { isDeleted: { not: true } },
+          orderBy: { createdAt: 'asc' },
+          include: commentInclude
+        }
+      }
+    });
+
+    const position = (value) => (value === null || value === undefined ? Infinity : value);
+    annotations.sort((a, b) =>
+      position(a.annotation.page) - position(b.annotation.page) ||
+      position(a.annotation.timestamp) - position(b.annotation.timestamp) ||
+      position(a.annotation.y) - position(b.annotation.y) ||
+      position(a.annotation.x) - position(b.annotation.x)
+    );
+
+    return version.fileUrls
+      .filter(url => !fileUrl || url === fileUrl)
+      .map(url => ({
+        fileUrl: url,
+        annotations: annotations.filter(annotation => annotation.annotation.fileUrl === url)
+      }));
+  }
+
+  // Count of unresolved threads per task
+  async getUnresolvedCounts(taskIds) {
+    if (taskIds.length === 0) return {};
+
+    const groups = await prisma.comment.groupBy({
+      by: ['taskId'],
+      where: {
+        taskId: { in: taskIds },
+        isResolved: { not: true },
+        isDeleted: { not: true },
+        ...TOP_LEVEL
+      },
+      _count: { _all: true }
+    });
+
+    return Object.fromEntries(groups.map(group => [group.taskId, group._count._all]));
+  }
+
+  // Deleted comments keep their place but not their content
+  describe(comment) {
+    const described = concurrencyService.withTag(comment);
+    if (!comment.isDeleted) return described;
+    return { ...described, content: null, attachments: [], editHistory: [] };
+  }
+
+  // Comments of a task as threads, oldest first, each with its replies
+  async getThreads(taskId, { versionId, includeResolved = true } = {}) {
+    const threads = await prisma.comment.findMany({
+      where: {
+        taskId,
+        ...TOP_LEVEL,
+        ...(versionId && { versionId }),
+        ...(!includeResolved && { isResolved: { not: true } })
+      },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        ...commentInclude,
+        replies: {
+          orderBy: { createdAt: 'asc' },
+          include: commentInclude
+        }
+      }
+    });
+
+    return threads
+      // A deleted thread with no replies has nothing left to show
+      .filter(thread => !thread.isDeleted || thread.replies.some(reply => !reply.isDeleted))
+      .map(thread => ({
+        ...this.describe(thread),
+        replies: thread.replies.map(reply => this.describe(reply))
+      }));
+  }
+}
+
+module.exports = new CommentService();
@@ -0,0 +1,69 @@
+const { createHttpError } = require('../utils/helpers');
+
+// Optimistic concurrency for records edited by several people at once. A record's entity tag
+// is its last save time; clients must send it back in If-Match, and a write based on an older
+// copy is rejected with 409 and the current state instead of overwriting someone else's change.
+class ConcurrencyService {
+
+  // Comments saved before they tracked updates fall back to their creation time
+  tag(record) {
+    return `"${new Date(record.updatedAt || record.createdAt).getTime()}"`;
+  }
+
+  setTag(res, record) {
+    res.set('ETag', this.tag(record));
+  }
+
+  // Records listed inside another response carry their tag in the body
+  withTag(record) {
+    return { ...record, etag: this.tag(record) };
+  }
+
+  // Tags listed in If-Match, or null when the client did not ask for a check
+  requestedTags(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return null;
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  }
+
+  conflict(current) {
+    return createHttpError(409, 'This record was changed by someone else; reload it and apply your changes again', {
+      etag: this.tag(current),
+      current
+    });
+  }
+
+  // Reject a write made without a tag, or on an older copy of the record
+  assertFresh(req, record) {
+    const tags = this.requestedTags(req);
+    if (!tags) {
+      throw createHttpError(428, 'Send the ETag of the copy you are changing in the If-Match header', {
+        etag: this.tag(record)
+      });
+    }
+    if (!tags.includes(this.tag(record))) {
+      throw this.conflict(record);
+    }
+  }
+
+  // Update a record only while it is still the copy that was checked, so a save landing
+  // between the check and the write also ends in 409
+  async update(delegate, record, req, args) {
+    const unchanged = this.requestedTags(req) && record.updatedAt ? { updatedAt: record.updatedAt } : {};
+
+    try {
+      return await delegate.update({
+        ...args,
+        where: { ...args.where, ...unchanged }
+      });
+    } catch (error) {
+      if (error.code === 'P2025' && Object.keys(unchanged).length > 0) {
+        const current = await delegate.findUnique({ where: { id: record.id } });
+        if (current) throw this.conflict(current);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ConcurrencyService();
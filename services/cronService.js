@@ -3,6 +3,11 @@ const cron = require('cron');
 const { PrismaClient } = require('@prisma/client');
 const notificationService = require('./notificationService');
 const auditService = require('./auditService');
+const assignmentService = require('./assignmentService');
+const slaService = require('./slaService');
+const priorityService = require('./priorityService');
+const scanService = require('./scanService');
+const { ASSIGNEE_TYPES, TASK_VISIBILITY, SCAN_CONFIG } = require('../utils/constants');
 
 const prisma = new PrismaClient();
 
@@ -17,6 +22,9 @@ class CronService {
     this.startTaskExpirationJob();
     this.startNotificationCleanupJob();
     this.startAuditCleanupJob();
+    this.startSlaEscalationJob();
+    this.startPriorityRecalculationJob();
+    this.startPendingScanJob();
     console.log('✅ All cron jobs started');
   }
 
@@ -48,20 +56,30 @@ class CronService {
                 gte: startOfDay,
                 lte: endOfDay
               },
-              status: { in: ['APPROVED', 'PUBLISHED'] }
+              status: { in: ['APPROVED', 'PUBLISHED'] },
+              ...TASK_VISIBILITY.NOT_DELETED,
+              // Tasks that already have a renewal in progress don't need a warning
+              renewals: { none: TASK_VISIBILITY.NOT_DELETED }
             },
             include: {
               creator: { select: { id: true, fullName: true, email: true } },
-              assignedProducts: { select: { id: true, fullName: true, email: true } },
               assignedCompliance: { select: { id: true, fullName: true, email: true } }
             }
           });
 
+          // Variants are warned about together on their parent
+          const standaloneTasks = expiringTasks.filter(task => !task.parentTaskId);
+          const variantsByParent = {};
+          expiringTasks.filter(task => task.parentTaskId).forEach(task => {
+            if (!variantsByParent[task.parentTaskId]) variantsByParent[task.parentTaskId] = [];
+            variantsByParent[task.parentTaskId].push(task);
+          });
+
           // Send notifications for each task
-          for (const task of expiringTasks) {
+          for (const task of standaloneTasks) {
             const notifyUsers = [
               task.creator.id,
-              ...task.assignedProducts.map(p => p.id),
+              ...task.assignedProductIds,
               ...(task.assignedCompliance ? [task.assignedCompliance.id] : [])
             ];
 
@@ -72,13 +90,41 @@ class CronService {
               uniqueUsers,
               task.id,
               task.title,
-              days
+              days,
+              { offerRenewal: true }
             );
 
             // Log the notification
             await auditService.logExpiryNotificationSent(task.id, task.title, days);
           }
 
+          for (const [parentTaskId, variants] of Object.entries(variantsByParent)) {
+            const parent = await prisma.task.findUnique({
+              where: { id: parentTaskId },
+              select: { id: true, title: true, createdBy: true }
+            });
+
+            const notifyUsers = [
+              ...(parent ? [parent.createdBy] : []),
+              ...variants.flatMap(variant => [
+                variant.creator.id,
+                ...variant.assignedProductIds,
+                ...(variant.assignedCompliance ? [variant.assignedCompliance.id] : [])
+              ])
+            ];
+
+            await notificationService.sendVariantExpiryWarningNotification(
+              [...new Set(notifyUsers)],
+              parent || { id: parentTaskId, title: variants[0].title },
+              variants,
+              days
+            );
+
+            for (const variant of variants) {
+              await auditService.logExpiryNotificationSent(variant.id, variant.title, days);
+            }
+          }
+
           console.log(`📤 Sent expiry warnings for ${expiringTasks.length} tasks (${days} days)`);
         }
       } catch (error) {
@@ -105,7 +151,8 @@ class CronService {
             expiryDate: {
               lt: now
             },
-            status: { in: ['APPROVED', 'PUBLISHED'] }
+            status: { in: ['APPROVED', 'PUBLISHED'] },
+            ...TASK_VISIBILITY.NOT_DELETED
           }
         });
 
@@ -177,6 +224,68 @@ class CronService {
     console.log('⏰ Audit cleanup job scheduled (monthly on 1st at 3 AM)');
   }
 
+  // Escalate approaching and breached SLAs (runs hourly)
+  startSlaEscalationJob() {
+    const job = new cron.CronJob('0 * * * *', async () => {
+      console.log('⏱️ Running SLA escalation job...');
+      
+      try {
+        const escalatedCount = await slaService.escalateOverdue();
+        console.log(`📣 Escalated SLAs for ${escalatedCount} tasks`);
+      } catch (error) {
+        console.error('❌ SLA escalation job failed:', error);
+      }
+    });
+
+    job.start();
+    this.jobs.push(job);
+    console.log('⏰ SLA escalation job scheduled (hourly)');
+  }
+
+  // Recalculate date-based priorities (runs daily at 1 AM)
+  startPriorityRecalculationJob() {
+    const job = new cron.CronJob('0 1 * * *', async () => {
+      console.log('🚦 Running priority recalculation job...');
+      
+      try {
+        const changedCount = await priorityService.recalculateAll();
+        console.log(`🔁 Updated priority of ${changedCount} tasks`);
+      } catch (error) {
+        console.error('❌ Priority recalculation job failed:', error);
+      }
+    });
+
+    job.start();
+    this.jobs.push(job);
+    console.log('⏰ Priority recalculation job scheduled (daily at 1 AM)');
+  }
+
+  // Scan versions whose background scan never finished (every 30 minutes, and once at startup
+  // for scans that were queued when the server stopped)
+  startPendingScanJob() {
+    const sweep = async (olderThanMinutes) => {
+      try {
+        const count = await scanService.rescanPending(olderThanMinutes);
+        if (count > 0) {
+          console.log(`🔍 Rescanned ${count} pending versions`);
+        }
+      } catch (error) {
+        console.error('❌ Pending scan job failed:', error);
+      }
+    };
+
+    const job = new cron.CronJob('*/30 * * * *', async () => {
+      console.log('🔍 Running pending scan job...');
+      await sweep(SCAN_CONFIG.PENDING_RETRY_MINUTES);
+    });
+
+    job.start();
+    this.jobs.push(job);
+    console.log('⏰ Pending scan job scheduled (every 30 minutes)');
+
+    sweep(0);
+  }
+
   // Send daily summary emails (runs daily at 8 AM)
   startDailySummaryJob() {
     const job = new cron.CronJob('0 8 * * *', async () => {
@@ -230,7 +339,8 @@ class CronService {
             updatedAt: {
               lt: staleCutoff
             },
-            status: { in: ['OPEN', 'COMPLIANCE_REVIEW', 'PRODUCT_REVIEW'] }
+            status: { in: ['OPEN', 'COMPLIANCE_REVIEW', 'PRODUCT_REVIEW'] },
+            ...TASK_VISIBILITY.NOT_DELETED
           },
           include: {
             creator: { select: { id: true } },
@@ -247,7 +357,7 @@ class CronService {
             ...(task.assignedCompliance ? [task.assignedCompliance.id] : [])
           ];
 
-          const uniqueUsers = [...new Set(notifyUsers)];
+          const uniqueUsers = await notificationService.withWatchers(notifyUsers, task.id);
 
           await notificationService.sendBulkNotification({
             userIds: uniqueUsers,
@@ -304,69 +414,32 @@ class CronService {
           const activeTasks = await prisma.task.findMany({
             where: {
               assignedComplianceId: absence.user.id,
-              status: { in: ['OPEN', 'COMPLIANCE_REVIEW'] }
+              status: { in: ['OPEN', 'COMPLIANCE_REVIEW'] },
+              ...TASK_VISIBILITY.NOT_DELETED
             }
           });
 
           if (activeTasks.length === 0) continue;
 
-          // Find available compliance users
-          const availableUsers = await prisma.user.findMany({
-            where: {
-              role: { in: ['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'] },
-              isActive: true,
-              id: { not: absence.user.id },
-              NOT: {
-                absences: {
-                  some: {
-                    fromDate: { lte: today },
-                    toDate: { gte: today }
-                  }
-                }
-              }
-            },
-            include: {
-              complianceTasks: {
-                where: { status: { in: ['OPEN', 'COMPLIANCE_REVIEW'] } }
-              }
-            }
-          });
-
-          if (availableUsers.length === 0) continue;
-
-          // Select user with least workload
-          const targetUser = availableUsers.reduce((prev, current) =>
-            (prev.complianceTasks.length < current.complianceTasks.length) ? prev : current
-          );
-
-          // Reassign tasks
+          // Pick a reviewer for each task with the configured assignment rules
+          let reassignedCount = 0;
           for (const task of activeTasks) {
-            await prisma.task.update({
-              where: { id: task.id },
-              data: { assignedComplianceId: targetUser.id }
+            const selection = await assignmentService.selectComplianceUser(task, {
+              excludeIds: [absence.user.id]
             });
-
-            // Notify the new assignee
-            await notificationService.sendNotification({
-              userId: targetUser.id,
-              title: 'Task Reassigned Due to Absence',
-              message: `Task "${task.title}" has been reassigned to you due to ${absence.user.fullName}'s absence`,
-              type: 'TASK_ASSIGNED',
-              taskId: task.id,
-              sendEmail: true
+            if (!selection) continue;
+
+            await assignmentService.reassign(task, {
+              assigneeType: ASSIGNEE_TYPES.COMPLIANCE,
+              toUser: selection.user,
+              performedBy: 'SYSTEM',
+              reason: `${absence.user.fullName} is absent`,
+              decision: selection.decision
             });
-
-            // Log the reassignment
-            await auditService.logTaskReassigned(
-              task.id,
-              task.title,
-              absence.user.fullName,
-              targetUser.fullName,
-              'SYSTEM'
-            );
+            reassignedCount++;
           }
 
-          console.log(`↔️ Reassigned ${activeTasks.length} tasks from ${absence.user.fullName} to ${targetUser.fullName}`);
+          console.log(`↔️ Reassigned ${reassignedCount} of ${activeTasks.length} tasks from ${absence.user.fullName}`);
         }
       } catch (error) {
         console.error('❌ Absence reassignment job failed:', error);
@@ -0,0 +1,205 @@
+const { PrismaClient } = require('@prisma/client');
+const { createHttpError } = require('../utils/helpers');
+const { CUSTOM_FIELD_TYPES, TASK_METADATA } = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+const isBlank = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Option as configured on the field, matched case-insensitively
+const findOption = (field, value) =>
+  field.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+
+const toList = (value) => [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+
+class CustomFieldService {
+
+  // Fields without categories apply to every task
+  appliesTo(field, category) {
+    return field.categories.length === 0 ||
+      Boolean(category && field.categories.some(c => c.toLowerCase() === category.toLowerCase()));
+  }
+
+  // Lowercase tags without duplicates
+  normalizeTags(tags) {
+    const normalized = [...new Set(
+      tags.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean)
+    )];
+
+    if (normalized.length > TASK_METADATA.MAX_TAGS) {
+      throw createHttpError(400, `A task can have at most ${TASK_METADATA.MAX_TAGS} tags`);
+    }
+
+    const tooLong = normalized.find(tag => tag.length > TASK_METADATA.MAX_TAG_LENGTH);
+    if (tooLong) {
+      throw createHttpError(400, `Tag "${tooLong}" is longer than ${TASK_METADATA.MAX_TAG_LENGTH} characters`);
+    }
+
+    return normalized;
+  }
+
+  // Stored form of a submitted value, or the reason it is not valid for the field
+  toEntry(field, value) {
+    const entry = { key: field.key, text: null, number: null, date: null, values: [] };
+
+    if (field.fieldType === CUSTOM_FIELD_TYPES.TEXT) {
+      if (typeof value !== 'string') return { error: 'must be text' };
+      if (value.trim().length > TASK_METADATA.MAX_TEXT_LENGTH) {
+        return { error: `must not exceed ${TASK_METADATA.MAX_TEXT_LENGTH} characters` };
+      }
+      entry.text = value.trim();
+    } else if (field.fieldType === CUSTOM_FIELD_TYPES.NUMBER) {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+      entry.number = number;
+    } else if (field.fieldType === CUSTOM_FIELD_TYPES.DATE) {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) return { error: 'must be a date' };
+      entry.date = date;
+    } else if (field.fieldType === CUSTOM_FIELD_TYPES.ENUM) {
+      const option = typeof value === 'string' ? findOption(field, value) : null;
+      if (!option) return { error: `must be one of: ${field.options.join(', ')}` };
+      entry.text = option;
+    } else {
+      if (!Array.isArray(value)) return { error: 'must be a list of options' };
+      const options = value.map(item => findOption(field, item));
+      if (options.some(option => !option)) return { error: `options must be among: ${field.options.join(', ')}` };
+      entry.values = [...new Set(options)];
+    }
+
+    return { entry };
+  }
+
+  // Merge submitted values into a task's custom fields. A null or empty value clears
+  // a field, and required fields of the task's category must end up with a value.
+  async buildValues(input, { category, current = [] } = {}) {
+    const fields = await prisma.customField.findMany();
+    const byKey = new Map(fields.map(field => [field.key, field]));
+    const values = new Map(current.map(entry => [entry.key, entry]));
+    const errors = [];
+
+    Object.entries(input || {}).forEach(([key, value]) => {
+      const field = byKey.get(key);
+      if (!field) {
+        errors.push({ field: key, message: 'Unknown custom field' });
+        return;
+      }
+
+      if (isBlank(value)) {
+        values.delete(key);
+        return;
+      }
+
+      if (!field.isActive) {
+        errors.push({ field: key, message: `${field.label} is no longer in use` });
+        return;
+      }
+
+      if (!this.appliesTo(field, category)) {
+        errors.push({ field: key, message: `${field.label} does not apply to category "${category || 'none'}"` });
+        return;
+      }
+
+      const { entry, error } = this.toEntry(field, value);
+      if (error) {
+        errors.push({ field: key, message: `${field.label} ${error}` });
+      } else {
+        values.set(key, entry);
+      }
+    });
+
+    fields
+      .filter(field => field.isActive && field.required && this.appliesTo(field, category) && !values.has(field.key))
+      .forEach(field => errors.push({ field: field.key, message: `${field.label} is required` }));
+
+    if (errors.length > 0) {
+      throw createHttpError(400, 'Invalid custom fields', { errors });
+    }
+
+    return [...values.values()];
+  }
+
+  // Plain value of a stored entry: text, number, date or list of options
+  valueOf(entry) {
+    if (entry.values && entry.values.length > 0) return entry.values;
+    const value = [entry.text, entry.number, entry.date].find(item => item !== null && item !== undefined);
+    return value === undefined ? null : value;
+  }
+
+  // Custom field values of a task keyed by field key
+  toObject(entries) {
+    return Object.fromEntries((entries || []).map(entry => [entry.key, this.valueOf(entry)]));
+  }
+
+  // Condition on a single field's value for a list filter
+  condition(field, raw) {
+    const isRange = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+
+    if ([CUSTOM_FIELD_TYPES.NUMBER, CUSTOM_FIELD_TYPES.DATE].includes(field.fieldType)) {
+      const member = field.fieldType === CUSTOM_FIELD_TYPES.NUMBER ? 'number' : 'date';
+      const parse = (value) => {
+        const parsed = member === 'number' ? Number(value) : new Date(value);
+        if (typeof value !== 'string' || value.trim() === '' || isNaN(parsed)) {
+          throw createHttpError(400, `Invalid ${member} for custom field "${field.key}": ${value}`);
+        }
+        return parsed;
+      };
+
+      if (!isRange) {
+        // A date matches the whole day it names
+        if (member === 'date') {
+          const start = parse(raw);
+          return { date: { gte: start, lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) } };
+        }
+        return { number: parse(raw) };
+      }
+
+      const unknown = Object.keys(raw).filter(operator => !['gte', 'lte'].includes(operator));
+      if (unknown.length > 0) {
+        throw createHttpError(400, `Unsupported operators for custom field "${field.key}": ${unknown.join(', ')}`);
+      }
+      const range = {};
+      Object.entries(raw).forEach(([operator, value]) => {
+        range[operator] = parse(value);
+      });
+      return { [member]: range };
+    }
+
+    if (isRange) {
+      throw createHttpError(400, `Custom field "${field.key}" can only be filtered by value`);
+    }
+
+    if (field.fieldType === CUSTOM_FIELD_TYPES.TEXT) {
+      return { text: { contains: String([].concat(raw)[0]).trim(), mode: 'insensitive' } };
+    }
+
+    // Unknown options can never match, so they are kept as given
+    const options = toList(raw).map(value => findOption(field, value) || value);
+    return field.fieldType === CUSTOM_FIELD_TYPES.ENUM
+      ? { text: { in: options } }
+      : { values: { hasSome: options } };
+  }
+
+  // Task filters for custom field query parameters, e.g. field[language]=en or field[spend][gte]=10000.
+  // Enum and multi-select fields match any of comma-separated options.
+  async buildFilters(filters) {
+    const keys = Object.keys(filters || {});
+    if (keys.length === 0) return [];
+
+    const fields = await prisma.customField.findMany({
+      where: { key: { in: keys } }
+    });
+
+    const unknown = keys.filter(key => !fields.some(field => field.key === key));
+    if (unknown.length > 0) {
+      throw createHttpError(400, `Unknown custom fields: ${unknown.join(', ')}`);
+    }
+
+    return fields.map(field => ({
+      customFields: { some: { key: field.key, ...this.condition(field, filters[field.key]) } }
+    }));
+  }
+}
+
+module.exports = new CustomFieldService();
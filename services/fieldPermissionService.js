@@ -0,0 +1,63 @@
+const { createHttpError } = require('../utils/helpers');
+const { FIELD_PERMISSIONS } = require('../utils/constants');
+
+// Write access to individual fields of the records the update endpoints change.
+// Only fields listed in FIELD_PERMISSIONS reach the database; anything else is refused.
+class FieldPermissionService {
+
+  // Fields of a resource a role can write while the record is in the given status
+  writableFields(resource, { role, status } = {}) {
+    return Object.entries(FIELD_PERMISSIONS[resource])
+      .filter(([, rule]) => rule.roles && rule.roles.includes(role))
+      .filter(([, rule]) => !rule.statuses || !status || rule.statuses.includes(status))
+      .map(([field]) => field);
+  }
+
+  // Data for an update, taken from the request body field by field. Throws on the first
+  // kind of problem found so the client sees every offending field of that kind at once.
+  pick(resource, body, { role, status = null, statusChange = false, id = null }) {
+    const rules = FIELD_PERMISSIONS[resource];
+    const fields = Object.keys(body).filter(field => body[field] !== undefined);
+
+    const unknown = fields.filter(field => !Object.prototype.hasOwnProperty.call(rules, field));
+    if (unknown.length > 0) {
+      throw createHttpError(400, `Unknown or read-only fields: ${unknown.join(', ')}`, { fields: unknown });
+    }
+
+    // Fields with their own endpoint, grouped so each endpoint is named once
+    const redirected = {};
+    fields.filter(field => rules[field].endpoint).forEach(field => {
+      const endpoint = id ? rules[field].endpoint.replace(':id', id) : rules[field].endpoint;
+      redirected[endpoint] = [...(redirected[endpoint] || []), field];
+    });
+    const endpoints = Object.keys(redirected);
+    if (endpoints.length > 0) {
+      throw createHttpError(400, endpoints.map(endpoint => `Use ${endpoint} to change ${redirected[endpoint].join(', ')}`).join('; '), {
+        fields: [].concat(...Object.values(redirected))
+      });
+    }
+
+    const denied = fields.filter(field => !rules[field].roles.includes(role));
+    if (denied.length > 0) {
+      throw createHttpError(403, `Role ${role} cannot change ${denied.join(', ')}`, { fields: denied });
+    }
+
+    const locked = status ? fields.filter(field => rules[field].statuses && !rules[field].statuses.includes(status)) : [];
+    if (locked.length > 0) {
+      throw createHttpError(400, `${locked.join(', ')} cannot be changed while the ${resource.toLowerCase().replace('_', ' ')} is ${status}`, { fields: locked });
+    }
+
+    const unexpected = fields.filter(field => rules[field].withStatusChange && !statusChange);
+    if (unexpected.length > 0) {
+      throw createHttpError(400, `${unexpected.join(', ')} can only be sent along with a status change`, { fields: unexpected });
+    }
+
+    const data = {};
+    fields.forEach(field => {
+      data[field] = body[field];
+    });
+    return data;
+  }
+}
+
+module.exports = new FieldPermissionService();
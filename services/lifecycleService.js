@@ -0,0 +1,284 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const workflowService = require('./workflowService');
+const assignmentService = require('./assignmentService');
+const slaService = require('./slaService');
+const priorityService = require('./priorityService');
+const scanService = require('./scanService');
+const checklistService = require('./checklistService');
+const {
+  TASK_STATUS,
+  EXCHANGE_APPROVAL_STATUS,
+  WORKFLOW_ACTIONS,
+  ASSIGNMENT_STRATEGIES,
+  RENEWABLE_STATUSES,
+  REOPENABLE_STATUSES,
+  ARCHIVABLE_STATUSES,
+  TASK_VISIBILITY,
+  VERSION_STATUS,
+  SCAN_STATUS
+} = require('../utils/constants');
+const { generateUIN, createHttpError } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const taskInclude = {
+  creator: { select: { fullName: true, username: true } },
+  assignedCompliance: { select: { fullName: true, username: true } }
+};
+
+class LifecycleService {
+
+  // Clone an approved, published or expired task into a new task linked to it
+  async renew(taskId, user) {
+    const original = await prisma.task.findUnique({
+      where: { id: taskId },
+      include: {
+        versions: {
+          where: { status: { not: VERSION_STATUS.WITHDRAWN } },
+          orderBy: { uploadedAt: 'desc' }
+        },
+        exchangeApprovals: { orderBy: { createdAt: 'asc' } },
+        renewals: {
+          where: { status: { notIn: [TASK_STATUS.CLOSED_INTERNAL, TASK_STATUS.CLOSED_EXCHANGE] }, ...TASK_VISIBILITY.NOT_DELETED },
+          select: { id: true, uin: true, status: true }
+        }
+      }
+    });
+
+    if (!original || original.isDeleted) {
+      throw createHttpError(404, 'Task not found');
+    }
+
+    if (!RENEWABLE_STATUSES.includes(original.status)) {
+      throw createHttpError(400, `Only ${RENEWABLE_STATUSES.join(', ')} tasks can be renewed (current status: ${original.status})`);
+    }
+
+    if (original.renewals.length > 0) {
+      throw createHttpError(409, `Task is already being renewed as ${original.renewals[0].uin}`, {
+        renewal: original.renewals[0]
+      });
+    }
+
+    // Only carry over assignees who can still work on the task
+    const carriedUserIds = [...original.assignedProductIds, original.assignedComplianceId].filter(Boolean);
+    const activeUsers = await prisma.user.findMany({
+      where: { id: { in: carriedUserIds }, isActive: true },
+      select: { id: true }
+    });
+    const activeIds = new Set(activeUsers.map(u => u.id));
+
+    // Keep the original reviewer when possible, otherwise pick one by the assignment rules
+    let complianceId = activeIds.has(original.assignedComplianceId) ? original.assignedComplianceId : null;
+    let assignmentDecision = complianceId ? {
+      strategy: ASSIGNMENT_STRATEGIES.STICKY,
+      ruleCategory: null,
+      candidateCount: 1,
+      details: `Reviewer carried over from ${original.uin}`,
+      decidedAt: new Date()
+    } : null;
+
+    if (!complianceId) {
+      const selection = await assignmentService.selectComplianceUser(original, { relatedTaskId: original.id });
+      if (selection) {
+        complianceId = selection.user.id;
+        assignmentDecision = selection.decision;
+      }
+    }
+
+    const uin = await generateUIN();
+    // Carry over the version that was approved, or the newest one still standing
+    const carriedVersion = original.versions.find(version => version.id === original.approvedVersionId) || original.versions[0];
+
+    const renewal = await prisma.task.create({
+      data: {
+        uin,
+        title: original.title,
+        description: original.description,
+        taskType: original.taskType,
+        platform: original.platform,
+        category: original.category,
+        remarks: original.remarks,
+        createdBy: user.id,
+        assignedProductIds: original.assignedProductIds.filter(id => activeIds.has(id)),
+        assignedComplianceId: complianceId,
+        assignmentDecision,
+        renewedFromId: original.id,
+        campaignId: original.campaignId,
+        // A renewed variant stays under its parent in the same language
+        parentTaskId: original.parentTaskId,
+        languageCode: original.languageCode,
+        // The renewal is reviewed afresh against today's checklist
+        checklist: await checklistService.buildItems(original.category),
+        ...priorityService.fieldsFor({ status: TASK_STATUS.OPEN, expectedPublishDate: null }),
+        ...await slaService.transitionData({ slaClocks: [] }, TASK_STATUS.OPEN)
+      }
+    });
+
+    if (carriedVersion) {
+      const version = await prisma.version.create({
+        data: {
+          versionNumber: '1.0',
+          fileUrls: carriedVersion.fileUrls,
+          remarks: `Carried over from ${original.uin} version ${carriedVersion.versionNumber}`,
+          status: VERSION_STATUS.SUBMITTED,
+          scanStatus: SCAN_STATUS.PENDING,
+          taskId: renewal.id,
+          uploadedById: user.id
+        }
+      });
+
+      // Rules may have changed since the original was scanned
+      scanService.queueScan(version.id);
+    }
+
+    // Exchanges have to approve the renewed advertisement again
+    for (const approval of original.exchangeApprovals) {
+      await prisma.exchangeApproval.create({
+        data: {
+          exchangeName: approval.exchangeName,
+          typeOfContent: approval.typeOfContent,
+          approvalStatus: EXCHANGE_APPROVAL_STATUS.NOT_SENT,
+          taskId: renewal.id,
+          updatedById: user.id
+        }
+      });
+    }
+
+    await auditService.logTaskCreated(renewal.id, renewal.title, user.id);
+    await auditService.logTaskRenewed(original.id, original.title, original.uin, uin, user.id);
+    await auditService.logTaskRenewed(renewal.id, renewal.title, original.uin, uin, user.id);
+
+    if (renewal.assignedComplianceId) {
+      await notificationService.sendTaskAssignedNotification(renewal.assignedComplianceId, renewal.id, renewal.title);
+    }
+
+    return await prisma.task.findUnique({
+      where: { id: renewal.id },
+      include: {
+        ...taskInclude,
+        renewedFrom: { select: { id: true, uin: true, status: true, approvalDate: true, expiryDate: true } },
+        versions: true,
+        exchangeApprovals: true
+      }
+    });
+  }
+
+  // Reopen a closed task; the reason is required and kept in the audit trail
+  async reopen(task, { user, reason }) {
+    if (!REOPENABLE_STATUSES.includes(task.status)) {
+      throw createHttpError(400, `Only closed tasks can be reopened (current status: ${task.status})`);
+    }
+
+    // Approvals given before the task was closed no longer count
+    const updatedTask = await workflowService.executeTransition(task, TASK_STATUS.OPEN, {
+      user,
+      action: WORKFLOW_ACTIONS.REOPEN,
+      data: {
+        approvals: { updateMany: { where: { isActive: true }, data: { isActive: false } } }
+      },
+      include: taskInclude
+    });
+
+    await auditService.logTaskReopened(task.id, task.title, reason, user.id);
+
+    const userIds = [...new Set([
+      task.createdBy,
+      ...task.assignedProductIds,
+      ...(task.assignedComplianceId ? [task.assignedComplianceId] : [])
+    ])].filter(id => id !== user.id);
+
+    await notificationService.sendBulkNotification({
+      userIds,
+      title: 'Task Reopened',
+      message: `Task "${task.title}" was reopened by ${user.fullName}: ${reason}`,
+      type: 'FOLLOW_UP',
+      taskId: task.id
+    });
+
+    return updatedTask;
+  }
+
+  // Hide a task everywhere, such as a test or duplicate task; it can be restored later
+  async softDelete(task, { user, reason }) {
+    if (task.isDeleted) {
+      throw createHttpError(409, 'Task is already deleted');
+    }
+
+    const liveVariants = await prisma.task.count({
+      where: { parentTaskId: task.id, ...TASK_VISIBILITY.NOT_DELETED }
+    });
+    if (liveVariants > 0) {
+      throw createHttpError(409, `Task has ${liveVariants} variant(s); delete them first`);
+    }
+
+    const updatedTask = await prisma.task.update({
+      where: { id: task.id },
+      data: {
+        isDeleted: true,
+        deletedAt: new Date(),
+        deletedById: user.id,
+        deletionReason: reason
+      },
+      include: taskInclude
+    });
+
+    await auditService.logTaskDeleted(task.id, task.title, reason, user.id);
+
+    return updatedTask;
+  }
+
+  // Take a finished task off dashboards; it stays in searches and reports
+  async archive(task, user) {
+    if (task.isDeleted) {
+      throw createHttpError(409, 'Deleted tasks cannot be archived');
+    }
+
+    if (task.isArchived) {
+      throw createHttpError(409, 'Task is already archived');
+    }
+
+    if (!ARCHIVABLE_STATUSES.includes(task.status)) {
+      throw createHttpError(400, `Only ${ARCHIVABLE_STATUSES.join(', ')} tasks can be archived (current status: ${task.status})`);
+    }
+
+    const updatedTask = await prisma.task.update({
+      where: { id: task.id },
+      data: {
+        isArchived: true,
+        archivedAt: new Date(),
+        archivedById: user.id
+      },
+      include: taskInclude
+    });
+
+    await auditService.logTaskArchived(task.id, task.title, user.id);
+
+    return updatedTask;
+  }
+
+  // Undo a delete, or an archive when the task is not deleted
+  async restore(task, user) {
+    if (!task.isDeleted && !task.isArchived) {
+      throw createHttpError(400, 'Task is neither deleted nor archived');
+    }
+
+    const restoredFrom = task.isDeleted ? 'deletion' : 'archive';
+    const data = task.isDeleted
+      ? { isDeleted: false, deletedAt: null, deletedById: null, deletionReason: null }
+      : { isArchived: false, archivedAt: null, archivedById: null };
+
+    const updatedTask = await prisma.task.update({
+      where: { id: task.id },
+      data,
+      include: taskInclude
+    });
+
+    await auditService.logTaskRestored(task.id, task.title, restoredFrom, user.id);
+
+    return updatedTask;
+  }
+}
+
+module.exports = new LifecycleService();
@@ -0,0 +1,240 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const commentService = require('./commentService');
+const { createHttpError } = require('../utils/helpers');
+const {
+  TASK_LINK_TYPES,
+  TASK_LINK_LABELS,
+  DEPENDENCY_SATISFIED_STATUSES,
+  TASK_VISIBILITY
+} = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+const taskSummary = { id: true, uin: true, title: true, status: true };
+
+// A task has at most one original it is a variant, renewal or duplicate of
+const SINGLE_TARGET_TYPES = [TASK_LINK_TYPES.VARIANT_OF, TASK_LINK_TYPES.RENEWAL_OF, TASK_LINK_TYPES.DUPLICATE_OF];
+
+// Task fields the variant and renew endpoints record the original in
+const RECORDED_LINK_FIELDS = {
+  [TASK_LINK_TYPES.VARIANT_OF]: 'parentTaskId',
+  [TASK_LINK_TYPES.RENEWAL_OF]: 'renewedFromId'
+};
+
+class LinkService {
+
+  // Links of a task seen from that task, including the variants and renewals recorded on the task
+  async getLinks(task) {
+    const [outgoing, incoming] = await Promise.all([
+      prisma.taskLink.findMany({
+        where: { sourceTaskId: task.id },
+        orderBy: { createdAt: 'asc' },
+        include: {
+          targetTask: { select: taskSummary },
+          createdBy: { select: { fullName: true, username: true } }
+        }
+      }),
+      prisma.taskLink.findMany({
+        where: { targetTaskId: task.id },
+        orderBy: { createdAt: 'asc' },
+        include: {
+          sourceTask: { select: taskSummary },
+          createdBy: { select: { fullName: true, username: true } }
+        }
+      })
+    ]);
+
+    const describe = (link, direction, other) => ({
+      id: link.id,
+      type: link.type,
+      direction,
+      relation: TASK_LINK_LABELS[link.type][direction],
+      task: other,
+      note: link.note,
+      createdBy: link.createdBy,
+      createdAt: link.createdAt
+    });
+
+    const links = [
+      ...outgoing.map(link => describe(link, 'outward', link.targetTask)),
+      ...incoming.map(link => describe(link, 'inward', link.sourceTask))
+    ];
+
+    // Renewals and variants made through their own endpoints are recorded on the task itself
+    const recorded = (type, direction, other) => ({
+      id: null,
+      type,
+      direction,
+      relation: TASK_LINK_LABELS[type][direction],
+      task: other,
+      note: null,
+      createdBy: null,
+      createdAt: null
+    });
+    const linked = (type, id, direction) => links.some(link =>
+      link.type === type && link.direction === direction && link.task.id === id
+    );
+
+    for (const [type, field] of Object.entries(RECORDED_LINK_FIELDS)) {
+      if (task[field] && !linked(type, task[field], 'outward')) {
+        const original = await prisma.task.findUnique({ where: { id: task[field] }, select: taskSummary });
+        if (original) links.push(recorded(type, 'outward', original));
+      }
+
+      const others = await prisma.task.findMany({
+        where: { [field]: task.id },
+        select: taskSummary
+      });
+      others
+        .filter(other => !linked(type, other.id, 'inward'))
+        .forEach(other => links.push(recorded(type, 'inward', other)));
+    }
+
+    return links;
+  }
+
+  // Whether following depends-on links from one task leads to another
+  async dependsOn(fromTaskId, toTaskId) {
+    const seen = new Set([fromTaskId]);
+    let frontier = [fromTaskId];
+
+    while (frontier.length > 0) {
+      const links = await prisma.taskLink.findMany({
+        where: { type: TASK_LINK_TYPES.DEPENDS_ON, sourceTaskId: { in: frontier } },
+        select: { targetTaskId: true }
+      });
+
+      frontier = [];
+      for (const { targetTaskId } of links) {
+        if (targetTaskId === toTaskId) return true;
+        if (!seen.has(targetTaskId)) {
+          seen.add(targetTaskId);
+          frontier.push(targetTaskId);
+        }
+      }
+    }
+
+    return false;
+  }
+
+  async addLink(task, { type, targetTaskId, note }, user) {
+    if (targetTaskId === task.id) {
+      throw createHttpError(400, 'A task cannot be linked to itself');
+    }
+
+    const target = await prisma.task.findFirst({ where: { id: targetTaskId, ...TASK_VISIBILITY.NOT_DELETED } });
+    if (!target) {
+      throw createHttpError(404, 'Linked task not found');
+    }
+
+    // Linking puts the other task's title and status on this one, so the user must be able to see it
+    if (!commentService.canAccess(target, user)) {
+      throw createHttpError(403, 'Access denied to the linked task');
+    }
+
+    if (target.isArchived) {
+      throw createHttpError(409, `${target.uin} is archived; restore it before linking to it`);
+    }
+
+    const existing = await prisma.taskLink.findFirst({
+      where: {
+        type,
+        OR: [
+          { sourceTaskId: task.id, targetTaskId },
+          { sourceTaskId: targetTaskId, targetTaskId: task.id }
+        ]
+      }
+    });
+
+    if (existing) {
+      throw createHttpError(409, `These tasks are already linked as ${type}`);
+    }
+
+    if (SINGLE_TARGET_TYPES.includes(type)) {
+      const current = await prisma.taskLink.findFirst({
+        where: { sourceTaskId: task.id, type },
+        include: { targetTask: { select: { uin: true } } }
+      });
+      if (current) {
+        throw createHttpError(409, `Task already ${TASK_LINK_LABELS[type].outward} ${current.targetTask.uin}`);
+      }
+
+      const recordedId = RECORDED_LINK_FIELDS[type] && task[RECORDED_LINK_FIELDS[type]];
+      if (recordedId) {
+        const original = await prisma.task.findUnique({ where: { id: recordedId }, select: { uin: true } });
+        throw createHttpError(409, `Task already ${TASK_LINK_LABELS[type].outward} ${original ? original.uin : recordedId}`);
+      }
+    }
+
+    if (type === TASK_LINK_TYPES.DEPENDS_ON && await this.dependsOn(targetTaskId, task.id)) {
+      throw createHttpError(400, `${target.uin} already depends on this task, directly or through other tasks`);
+    }
+
+    const link = await prisma.taskLink.create({
+      data: {
+        type,
+        note: note || null,
+        sourceTaskId: task.id,
+        targetTaskId,
+        createdById: user.id
+      },
+      include: {
+        targetTask: { select: taskSummary }
+      }
+    });
+
+    await auditService.logTaskLinked(task.id, task.title, TASK_LINK_LABELS[type].outward, target.uin, user.id);
+
+    return link;
+  }
+
+  async removeLink(task, linkId, user) {
+    const link = await prisma.taskLink.findFirst({
+      where: {
+        id: linkId,
+        OR: [{ sourceTaskId: task.id }, { targetTaskId: task.id }]
+      },
+      include: {
+        sourceTask: { select: { id: true, title: true } },
+        targetTask: { select: { uin: true } }
+      }
+    });
+
+    if (!link) {
+      throw createHttpError(404, 'Link not found');
+    }
+
+    await prisma.taskLink.delete({ where: { id: link.id } });
+
+    // Recorded on the source task, where the link reads naturally
+    await auditService.logTaskUnlinked(
+      link.sourceTask.id,
+      link.sourceTask.title,
+      TASK_LINK_LABELS[link.type].outward,
+      link.targetTask.uin,
+      user.id
+    );
+  }
+
+  // Guard for going live: every task this one depends on has to be approved first.
+  // Deleted tasks no longer hold anything up.
+  async assertDependenciesApproved(task) {
+    const dependencies = await prisma.taskLink.findMany({
+      where: { sourceTaskId: task.id, type: TASK_LINK_TYPES.DEPENDS_ON, targetTask: TASK_VISIBILITY.NOT_DELETED },
+      include: { targetTask: { select: taskSummary } }
+    });
+
+    const blocking = dependencies
+      .map(link => link.targetTask)
+      .filter(dependency => !DEPENDENCY_SATISFIED_STATUSES.includes(dependency.status));
+
+    if (blocking.length > 0) {
+      throw createHttpError(400, `Task depends on ${blocking.map(dependency => dependency.uin).join(', ')}, which must be approved first`, {
+        blockingTasks: blocking
+      });
+    }
+  }
+}
+
+module.exports = new LinkService();
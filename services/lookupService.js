@@ -0,0 +1,147 @@
+const { PrismaClient } = require('@prisma/client');
+const { createHttpError } = require('../utils/helpers');
+const { LOOKUP_TYPES } = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+// Task and template field holding each lookup type
+const FIELDS = {
+  [LOOKUP_TYPES.PLATFORM]: 'platform',
+  [LOOKUP_TYPES.CATEGORY]: 'category'
+};
+
+const normalize = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const byDisplayOrder = (a, b) => a.displayOrder - b.displayOrder || a.label.localeCompare(b.label);
+
+class LookupService {
+
+  normalize(value) {
+    return normalize(value);
+  }
+
+  async getValues(type, { includeInactive = false } = {}) {
+    const values = await prisma.lookupValue.findMany({
+      where: {
+        ...(type && { type }),
+        ...(!includeInactive && { isActive: true })
+      }
+    });
+    return values.sort(byDisplayOrder);
+  }
+
+  // Entry whose label or one of its aliases matches the value, ignoring case and spacing
+  match(entries, value) {
+    const key = normalize(value);
+    return entries.find(entry =>
+      normalize(entry.label) === key || entry.aliases.some(alias => normalize(alias) === key)
+    );
+  }
+
+  // Canonical label for a platform or category. Any value is accepted while the list is empty.
+  async resolve(type, value) {
+    if (value === null || value === undefined || String(value).trim() === '') return value;
+
+    const entries = await prisma.lookupValue.findMany({ where: { type } });
+    if (entries.length === 0) return value;
+
+    const name = FIELDS[type];
+    const entry = this.match(entries, value);
+
+    if (!entry) {
+      throw createHttpError(400, `Unknown ${name} "${value}"`, {
+        allowed: entries.filter(e => e.isActive).sort(byDisplayOrder).map(e => e.label)
+      });
+    }
+
+    if (!entry.isActive) {
+      throw createHttpError(400, `The ${name} "${entry.label}" is no longer in use`);
+    }
+
+    return entry.label;
+  }
+
+  // Label and aliases already taken by another entry of the same type
+  async findConflicts(type, names, excludeId) {
+    const entries = await prisma.lookupValue.findMany({
+      where: { type, ...(excludeId && { id: { not: excludeId } }) }
+    });
+    return names.filter(name => this.match(entries, name));
+  }
+
+  // Tasks and templates that use a label
+  async countUsage(type, label) {
+    const field = FIELDS[type];
+    const [tasks, templates] = await Promise.all([
+      prisma.task.count({ where: { [field]: label } }),
+      prisma.taskTemplate.count({ where: { [field]: label } })
+    ]);
+    return { tasks, templates };
+  }
+
+  // Move tasks and templates from one spelling to the canonical label
+  async relabel(type, from, to) {
+    const field = FIELDS[type];
+    const [tasks, templates] = await Promise.all([
+      prisma.task.updateMany({ where: { [field]: from }, data: { [field]: to } }),
+      prisma.taskTemplate.updateMany({ where: { [field]: from }, data: { [field]: to } })
+    ]);
+    return { tasks: tasks.count, templates: templates.count };
+  }
+
+  // Distinct values of a field on tasks and templates with how often each is used
+  async getUsedValues(type) {
+    const field = FIELDS[type];
+    const [taskGroups, templateGroups] = await Promise.all([
+      prisma.task.groupBy({ by: [field], _count: { _all: true } }),
+      prisma.taskTemplate.groupBy({ by: [field], _count: { _all: true } })
+    ]);
+
+    const used = new Map();
+    const add = (groups, counter) => groups.forEach(group => {
+      const value = group[field];
+      if (value === null || value === undefined || value.trim() === '') return;
+      if (!used.has(value)) used.set(value, { value, tasks: 0, templates: 0 });
+      used.get(value)[counter] += group._count._all;
+    });
+    add(taskGroups, 'tasks');
+    add(templateGroups, 'templates');
+
+    return [...used.values()];
+  }
+
+  // Map existing free-text values onto the canonical labels through labels and aliases.
+  // A dry run only reports what would change; values without a match are left for an admin to alias.
+  async migrate(types = Object.values(LOOKUP_TYPES), { dryRun = true } = {}) {
+    const results = [];
+
+    for (const type of types) {
+      const entries = await prisma.lookupValue.findMany({ where: { type } });
+      const mapped = [];
+      const unmatched = [];
+
+      for (const used of await this.getUsedValues(type)) {
+        const entry = this.match(entries, used.value);
+        if (!entry) {
+          unmatched.push(used);
+        } else if (entry.label !== used.value) {
+          mapped.push({
+            from: used.value,
+            to: entry.label,
+            ...(dryRun ? { tasks: used.tasks, templates: used.templates } : await this.relabel(type, used.value, entry.label))
+          });
+        }
+      }
+
+      results.push({
+        type,
+        mapped,
+        unmatched: unmatched.sort((a, b) => b.tasks - a.tasks)
+      });
+    }
+
+    return { dryRun, results };
+  }
+}
+
+module.exports = new LookupService();
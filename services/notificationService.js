@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const nodemailer = require('nodemailer');
+const { TASK_VISIBILITY } = require('../utils/constants');
 
 const prisma = new PrismaClient();
 
@@ -139,6 +140,29 @@ class NotificationService {
     });
   }
 
+  // Users watching a task
+  async getWatcherIds(taskId) {
+    if (!taskId) return [];
+
+    const task = await prisma.task.findUnique({
+      where: { id: taskId },
+      select: { watcherIds: true }
+    });
+
+    return task ? task.watcherIds : [];
+  }
+
+  // Recipients of a task notification with the task's watchers added
+  async withWatchers(userIds, taskId) {
+    return [...new Set([...userIds, ...await this.getWatcherIds(taskId)])];
+  }
+
+  // Tell a task's watchers about a change, skipping users who were already notified or made it
+  async notifyWatchers({ taskId, title, message, type, exclude = [], sendEmail = false }) {
+    const watcherIds = (await this.getWatcherIds(taskId)).filter(userId => !exclude.includes(userId));
+    return this.sendBulkNotification({ userIds: watcherIds, title, message, type, taskId, sendEmail });
+  }
+
   // Task approved notification
   async sendTaskApprovedNotification(userIds, taskId, taskTitle) {
     const notifications = [];
@@ -197,15 +221,16 @@ class NotificationService {
   }
 
   // Expiry warning notification
-  async sendExpiryWarningNotification(userIds, taskId, taskTitle, daysUntilExpiry) {
+  async sendExpiryWarningNotification(userIds, taskId, taskTitle, daysUntilExpiry, { offerRenewal = false } = {}) {
     const notifications = [];
     const urgency = daysUntilExpiry <= 3 ? 'URGENT' : daysUntilExpiry <= 7 ? 'HIGH' : 'MEDIUM';
+    const renewalHint = offerRenewal ? ' You can renew it from the task page to start a new approval.' : '';
     
-    for (const userId of userIds) {
+    for (const userId of await this.withWatchers(userIds, taskId)) {
       const notification = await this.sendNotification({
         userId,
         title: `${urgency}: Task Expiring Soon`,
-        message: `Task "${taskTitle}" will expire in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'}`,
+        message: `Task "${taskTitle}" will expire in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'}.${renewalHint}`,
         type: 'EXPIRY_WARNING',
         taskId,
         sendEmail: daysUntilExpiry <= 7 // Email for urgent warnings
@@ -216,6 +241,32 @@ class NotificationService {
     return notifications;
   }
 
+  // Expiry warning for the variants of one task, listed together on the parent
+  async sendVariantExpiryWarningNotification(userIds, parent, variants, daysUntilExpiry) {
+    const notifications = [];
+    const urgency = daysUntilExpiry <= 3 ? 'URGENT' : daysUntilExpiry <= 7 ? 'HIGH' : 'MEDIUM';
+    const listed = variants.map(variant => `${variant.languageCode} (${variant.uin})`).join(', ');
+
+    let recipients = await this.withWatchers(userIds, parent.id);
+    for (const variant of variants) {
+      recipients = await this.withWatchers(recipients, variant.id);
+    }
+
+    for (const userId of recipients) {
+      const notification = await this.sendNotification({
+        userId,
+        title: `${urgency}: Variants Expiring Soon`,
+        message: `${variants.length} variant${variants.length === 1 ? '' : 's'} of task "${parent.title}" will expire in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'}: ${listed}. You can renew each variant from its task page.`,
+        type: 'EXPIRY_WARNING',
+        taskId: parent.id,
+        sendEmail: daysUntilExpiry <= 7
+      });
+      notifications.push(notification);
+    }
+
+    return notifications;
+  }
+
   // Follow-up notification
   async sendFollowUpNotification(userId, taskId, taskTitle, followUpMessage) {
     return this.sendNotification({
@@ -374,19 +425,21 @@ class NotificationService {
           prisma.task.count({
             where: {
               assignedComplianceId: userId,
-              status: { in: ['OPEN', 'COMPLIANCE_REVIEW'] }
+              status: { in: ['OPEN', 'COMPLIANCE_REVIEW'] },
+              ...TASK_VISIBILITY.ON_DASHBOARDS
             }
           }),
           prisma.task.count({
             where: {
               assignedComplianceId: userId,
               updatedAt: { gte: today, lt: tomorrow },
-              status: 'APPROVED'
+              status: 'APPROVED',
+              ...TASK_VISIBILITY.ON_DASHBOARDS
             }
           }),
           prisma.comment.count({
             where: {
-              task: { assignedComplianceId: userId },
+              task: { assignedComplianceId: userId, ...TASK_VISIBILITY.ON_DASHBOARDS },
               createdAt: { gte: today, lt: tomorrow }
             }
           })
@@ -403,7 +456,8 @@ class NotificationService {
           prisma.task.count({
             where: {
               createdBy: userId,
-              createdAt: { gte: today, lt: tomorrow }
+              createdAt: { gte: today, lt: tomorrow },
+              ...TASK_VISIBILITY.ON_DASHBOARDS
             }
           }),
           prisma.task.count({
@@ -412,7 +466,8 @@ class NotificationService {
                 { createdBy: userId },
                 { assignedProductIds: { has: userId } }
               ],
-              status: 'PRODUCT_REVIEW'
+              status: 'PRODUCT_REVIEW',
+              ...TASK_VISIBILITY.ON_DASHBOARDS
             }
           }),
           prisma.version.count({
@@ -0,0 +1,78 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const { PRIORITY_LEVELS, PRIORITY_RANKS, ACTIVE_TASK_STATUSES, TASK_VISIBILITY } = require('../utils/constants');
+const { getTaskPriority } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+class PriorityService {
+
+  // Priority fields for a task; manually set priorities are kept as they are
+  fieldsFor(task) {
+    if (task.priorityManual) return {};
+
+    const priority = getTaskPriority(task);
+    return { priority, priorityRank: PRIORITY_RANKS[priority] };
+  }
+
+  // Fields for a priority chosen by an admin
+  manualFields(priority) {
+    return { priority, priorityRank: PRIORITY_RANKS[priority], priorityManual: true };
+  }
+
+  // Email the assignees and watchers straight away when a task becomes urgent
+  async notifyIfUrgent(previousPriority, task) {
+    if (task.priority !== PRIORITY_LEVELS.URGENT || previousPriority === PRIORITY_LEVELS.URGENT) return;
+
+    const userIds = await notificationService.withWatchers([
+      ...task.assignedProductIds,
+      ...(task.assignedComplianceId ? [task.assignedComplianceId] : [])
+    ], task.id);
+
+    for (const userId of userIds) {
+      try {
+        await notificationService.sendNotification({
+          userId,
+          title: 'Urgent Task',
+          message: `Task "${task.title}" (${task.uin}) is now urgent and needs immediate attention`,
+          type: 'TASK_URGENT',
+          taskId: task.id,
+          sendEmail: true
+        });
+      } catch (error) {
+        console.error(`Failed to send urgent notification to user ${userId}:`, error);
+      }
+    }
+  }
+
+  // Recalculate the priority of every active task that is not set manually
+  async recalculateAll() {
+    const tasks = await prisma.task.findMany({
+      where: {
+        status: { in: ACTIVE_TASK_STATUSES },
+        priorityManual: { not: true },
+        ...TASK_VISIBILITY.NOT_DELETED
+      }
+    });
+
+    let changed = 0;
+    for (const task of tasks) {
+      const fields = this.fieldsFor(task);
+      if (fields.priority === task.priority && fields.priorityRank === task.priorityRank) continue;
+
+      const updatedTask = await prisma.task.update({
+        where: { id: task.id },
+        data: fields
+      });
+
+      await auditService.logTaskPriorityChanged(task.id, task.title, task.priority, fields.priority, 'SYSTEM');
+      await this.notifyIfUrgent(task.priority, updatedTask);
+      changed++;
+    }
+
+    return changed;
+  }
+}
+
+module.exports = new PriorityService();
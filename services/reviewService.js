@@ -0,0 +1,352 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const workflowService = require('./workflowService');
+const approvalMatrixService = require('./approvalMatrixService');
+const {
+  TASK_STATUS,
+  TASK_TYPES,
+  DECISION_ACTIONS,
+  WORKFLOW_ACTIONS,
+  APPROVAL_LEVEL_ROLES,
+  VERSION_STATUS
+} = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const taskInclude = {
+  creator: { select: { fullName: true, username: true } },
+  assignedCompliance: { select: { fullName: true, username: true } }
+};
+
+class ReviewService {
+
+  // Look up a reason code and make sure it can be used for the decision
+  async resolveReason(action, code, { required = false } = {}) {
+    if (!code) {
+      if (required) {
+        throw createHttpError(400, 'A reason code is required for this action');
+      }
+      return null;
+    }
+
+    const reason = await prisma.reasonCode.findUnique({
+      where: { code }
+    });
+
+    if (!reason || !reason.isActive) {
+      throw createHttpError(400, `Unknown or inactive reason code "${code}"`);
+    }
+
+    if (!reason.actions.includes(action)) {
+      throw createHttpError(400, `Reason code "${code}" cannot be used to ${action.toLowerCase().replace('_', ' ')}`);
+    }
+
+    return reason;
+  }
+
+  async getLatestVersion(taskId) {
+    return await prisma.version.findFirst({
+      where: { taskId, status: { not: VERSION_STATUS.WITHDRAWN } },
+      orderBy: { uploadedAt: 'desc' },
+      select: { id: true, versionNumber: true, uploadedById: true }
+    });
+  }
+
+  // Approvals that still count towards the version under review
+  getActiveApprovals(task, latestVersion) {
+    return (task.approvals || []).filter(approval =>
+      approval.isActive !== false &&
+      approval.versionId === (latestVersion ? latestVersion.id : null)
+    );
+  }
+
+  // The assigned reviewer is only owed the first approval when their role can sign it;
+  // a first level reserved for a more senior role would otherwise never be signed
+  async assigneeCanSign(task, level) {
+    if (!task.assignedComplianceId) return true;
+
+    const assignee = await prisma.user.findUnique({
+      where: { id: task.assignedComplianceId },
+      select: { role: true }
+    });
+
+    return !assignee || approvalMatrixService.canSignLevel(assignee, level);
+  }
+
+  // Enforce segregation of duties and level roles, auditing every refused attempt
+  async checkSegregation(task, user, { latestVersion, activeApprovals, level, policy }) {
+    let reason = null;
+    const isFirstApproval = activeApprovals.length === 0;
+
+    if (policy.enabled && policy.excludeCreator && task.createdBy === user.id) {
+      reason = 'the task creator cannot approve their own task';
+    } else if (policy.enabled && policy.excludeUploader && latestVersion && latestVersion.uploadedById === user.id) {
+      reason = `the uploader of version ${latestVersion.versionNumber} cannot approve it`;
+    } else if (activeApprovals.some(approval => approval.approverId === user.id)) {
+      reason = 'each approval level must be signed by a different approver';
+    } else if (!approvalMatrixService.canSignLevel(user, level)) {
+      reason = `approval level ${level.level} requires one of: ${APPROVAL_LEVEL_ROLES[level.role].join(', ')}`;
+    } else if (policy.enabled && isFirstApproval && policy.requireAssignedApprover &&
+      task.assignedComplianceId !== user.id && await this.assigneeCanSign(task, level)) {
+      reason = 'only the assigned compliance reviewer can give the first approval';
+    }
+
+    if (reason) {
+      await auditService.logPermissionDenied('approve', `task ${task.uin}`, reason, user.id, task.id);
+      throw createHttpError(403, `Approval refused: ${reason}`);
+    }
+  }
+
+  // Let the users who can sign the next level know a task is waiting for them
+  async notifyNextApprovers(task, level, approvedBy) {
+    const signedBy = (task.approvals || []).map(approval => approval.approverId);
+
+    const approvers = await prisma.user.findMany({
+      where: {
+        role: { in: APPROVAL_LEVEL_ROLES[level.role] },
+        isActive: true,
+        id: { notIn: [...new Set([...signedBy, approvedBy.id, task.createdBy])] }
+      },
+      select: { id: true }
+    });
+
+    for (const approver of approvers) {
+      await notificationService.sendNotification({
+        userId: approver.id,
+        title: 'Approval Required',
+        message: `Task "${task.title}" was approved by ${approvedBy.fullName} and needs level ${level.level} approval${level.label ? ` (${level.label})` : ''}`,
+        type: 'TASK_ASSIGNED',
+        taskId: task.id
+      });
+    }
+  }
+
+  // Approval levels for a task with the sign-off recorded against each
+  async getApprovalStatus(task) {
+    const policy = await workflowService.getFourEyesPolicy();
+    const latestVersion = await this.getLatestVersion(task.id);
+    const activeApprovals = this.getActiveApprovals(task, latestVersion);
+    const { source, rule, levels } = await approvalMatrixService.getLevelsForTask(task, policy);
+
+    const levelStatus = levels.map((level, index) => {
+      const approval = activeApprovals.find(a => a.level === level.level) || null;
+      return {
+        ...level,
+        eligibleRoles: APPROVAL_LEVEL_ROLES[level.role],
+        status: approval ? 'APPROVED' : (index === activeApprovals.length ? 'PENDING' : 'WAITING'),
+        approval
+      };
+    });
+
+    return {
+      source,
+      rule,
+      versionNumber: latestVersion ? latestVersion.versionNumber : null,
+      levels: levelStatus,
+      pendingLevels: levelStatus.filter(level => level.status !== 'APPROVED').map(level => level.level),
+      isComplete: levelStatus.every(level => level.status === 'APPROVED')
+    };
+  }
+
+  // Record the decision against the version that was under review
+  async recordDecision(task, { action, reason, comments, toStatus, userId }) {
+    const latestVersion = await this.getLatestVersion(task.id);
+
+    return await prisma.taskDecision.create({
+      data: {
+        action,
+        reasonCode: reason ? reason.code : null,
+        reasonLabel: reason ? reason.label : null,
+        comments,
+        fromStatus: task.status,
+        toStatus,
+        versionId: latestVersion ? latestVersion.id : null,
+        versionNumber: latestVersion ? latestVersion.versionNumber : null,
+        taskId: task.id,
+        decidedById: userId
+      },
+      include: {
+        decidedBy: { select: { fullName: true, username: true } }
+      }
+    });
+  }
+
+  describeReason(reason, comments) {
+    return [reason && reason.label, comments].filter(Boolean).join(': ');
+  }
+
+  // Sign off the next approval level of a task in compliance review. The task
+  // only moves to APPROVED once every level has been signed.
+  async approve(task, { user, reasonCode, comments, approvalDate, expiryDate, approvalProofUrl }) {
+    const reason = await this.resolveReason(DECISION_ACTIONS.APPROVE, reasonCode);
+    const payload = {
+      approvalDate: approvalDate || new Date().toISOString(),
+      expiryDate,
+      approvalProofUrl
+    };
+
+    // Check the transition itself before any approval is recorded
+    await workflowService.prepareTransition(task, TASK_STATUS.APPROVED, {
+      user,
+      payload,
+      action: WORKFLOW_ACTIONS.APPROVE
+    });
+
+    const policy = await workflowService.getFourEyesPolicy();
+    const latestVersion = await this.getLatestVersion(task.id);
+    const activeApprovals = this.getActiveApprovals(task, latestVersion);
+    const { levels } = await approvalMatrixService.getLevelsForTask(task, policy);
+    const level = levels[activeApprovals.length] || levels[levels.length - 1];
+    const requiredApprovals = levels.length;
+
+    await this.checkSegregation(task, user, { latestVersion, activeApprovals, level, policy });
+
+    const approval = {
+      approverId: user.id,
+      approverName: user.fullName,
+      role: user.role,
+      requiredRole: level.role,
+      level: level.level,
+      versionId: latestVersion ? latestVersion.id : null,
+      versionNumber: latestVersion ? latestVersion.versionNumber : null,
+      comments,
+      isActive: true,
+      approvedAt: new Date()
+    };
+
+    // Approvals are counted from the copy read above; a concurrent approval ends in 409
+    if (activeApprovals.length + 1 < requiredApprovals) {
+      const updatedTask = await workflowService.updateUnchanged(task, {
+        where: { id: task.id },
+        data: { approvals: { push: approval } },
+        include: taskInclude
+      });
+
+      const nextLevel = levels[activeApprovals.length + 1];
+      await this.notifyNextApprovers(updatedTask, nextLevel, user);
+      await auditService.logTaskApproved(task.id, task.title, `level ${approval.level} of ${requiredApprovals}`, user.id);
+
+      return {
+        task: updatedTask,
+        approval,
+        pendingApprovals: requiredApprovals - activeApprovals.length - 1,
+        message: `Level ${approval.level} approval recorded; level ${nextLevel.level} (${nextLevel.role}) is pending`
+      };
+    }
+
+    const updatedTask = await workflowService.executeTransition(task, TASK_STATUS.APPROVED, {
+      user,
+      payload,
+      action: WORKFLOW_ACTIONS.APPROVE,
+      data: {
+        approvalDate: new Date(payload.approvalDate),
+        expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+        ...(approvalProofUrl && { approvalProofUrl }),
+        approvals: { push: approval },
+        // Pin the exact version that was approved
+        ...(latestVersion && {
+          approvedVersionId: latestVersion.id,
+          approvedVersionNumber: latestVersion.versionNumber,
+          approvalMismatch: false,
+          approvalMismatchAt: null
+        })
+      },
+      include: taskInclude,
+      unchanged: true
+    });
+
+    if (latestVersion) {
+      await prisma.version.update({
+        where: { id: latestVersion.id },
+        data: { status: VERSION_STATUS.APPROVED, approvedAt: new Date() }
+      });
+    }
+
+    const decision = await this.recordDecision(task, {
+      action: DECISION_ACTIONS.APPROVE,
+      reason,
+      comments,
+      toStatus: TASK_STATUS.APPROVED,
+      userId: user.id
+    });
+
+    const userIds = [...new Set([task.createdBy, ...task.assignedProductIds])];
+    await notificationService.sendTaskApprovedNotification(userIds, task.id, task.title);
+    await auditService.logTaskApproved(
+      task.id,
+      task.title,
+      requiredApprovals > 1 ? `level ${approval.level} of ${requiredApprovals}` : (task.taskType || TASK_TYPES.INTERNAL),
+      user.id
+    );
+
+    return { task: updatedTask, approval, decision };
+  }
+
+  // Reject a task under review, closing it with the structured reason
+  async reject(task, { user, reasonCode, comments }) {
+    if (![TASK_STATUS.COMPLIANCE_REVIEW, TASK_STATUS.PRODUCT_REVIEW].includes(task.status)) {
+      throw createHttpError(400, `Only tasks under review can be rejected (current status: ${task.status})`);
+    }
+
+    const reason = await this.resolveReason(DECISION_ACTIONS.REJECT, reasonCode, { required: true });
+    const closureComments = this.describeReason(reason, comments);
+    const toStatus = task.taskType === TASK_TYPES.EXCHANGE
+      ? TASK_STATUS.CLOSED_EXCHANGE
+      : TASK_STATUS.CLOSED_INTERNAL;
+
+    const updatedTask = await workflowService.executeTransition(task, toStatus, {
+      user,
+      payload: { closureComments },
+      action: WORKFLOW_ACTIONS.REJECT,
+      data: { closureComments },
+      include: taskInclude
+    });
+
+    const decision = await this.recordDecision(task, {
+      action: DECISION_ACTIONS.REJECT,
+      reason,
+      comments,
+      toStatus,
+      userId: user.id
+    });
+
+    const userIds = [...new Set([task.createdBy, ...task.assignedProductIds])];
+    await notificationService.sendTaskRejectedNotification(userIds, task.id, task.title, closureComments);
+    await auditService.logTaskRejected(task.id, task.title, closureComments, user.id);
+
+    return { task: updatedTask, decision };
+  }
+
+  // Send a task back to the product team for changes
+  async requestChanges(task, { user, reasonCode, comments }) {
+    const reason = await this.resolveReason(DECISION_ACTIONS.REQUEST_CHANGES, reasonCode, { required: true });
+    const description = this.describeReason(reason, comments);
+
+    // Earlier approvals no longer count once the content has to change
+    const updatedTask = await workflowService.executeTransition(task, TASK_STATUS.PRODUCT_REVIEW, {
+      user,
+      action: WORKFLOW_ACTIONS.REQUEST_CHANGES,
+      data: {
+        approvals: { updateMany: { where: { isActive: true }, data: { isActive: false } } }
+      },
+      include: taskInclude,
+      context: { reason: description }
+    });
+
+    const decision = await this.recordDecision(task, {
+      action: DECISION_ACTIONS.REQUEST_CHANGES,
+      reason,
+      comments,
+      toStatus: TASK_STATUS.PRODUCT_REVIEW,
+      userId: user.id
+    });
+
+    await auditService.logChangesRequested(task.id, task.title, description, user.id);
+
+    return { task: updatedTask, decision };
+  }
+}
+
+module.exports = new ReviewService();
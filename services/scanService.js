@@ -0,0 +1,305 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const { extractText } = require('../utils/textExtractor');
+const {
+  SCAN_CONFIG,
+  SCAN_STATUS,
+  FILE_UPLOAD,
+  CONTENT_RULE_TYPES,
+  CONTENT_MATCH_TYPES,
+  FINDING_SEVERITY
+} = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Files are only fetched from the app's own storage
+const ALLOWED_HOSTS = [
+  ...SCAN_CONFIG.ALLOWED_HOSTS,
+  ...(process.env.SCAN_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+].map(host => host.toLowerCase());
+
+// Addresses a download must never reach, even when an allowed name resolves to them
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+class ScanService {
+
+  // Case-insensitive pattern for a rule; keywords match across line breaks and whole words only
+  buildPattern(rule) {
+    if (rule.matchType === CONTENT_MATCH_TYPES.REGEX) {
+      return new RegExp(rule.pattern, 'gi');
+    }
+
+    const keyword = rule.pattern.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+    const start = /^\w/.test(rule.pattern.trim()) ? '\\b' : '';
+    const end = /\w$/.test(rule.pattern.trim()) ? '\\b' : '';
+    return new RegExp(`${start}${keyword}${end}`, 'gi');
+  }
+
+  // Active rules for a task category
+  async getRules(category) {
+    const rules = await prisma.contentRule.findMany({
+      where: { isActive: true },
+      orderBy: { name: 'asc' }
+    });
+
+    return rules.filter(rule =>
+      rule.categories.length === 0 ||
+      (category && rule.categories.some(c => c.toLowerCase() === category.toLowerCase()))
+    );
+  }
+
+  excerpt(text, index, length) {
+    const start = Math.max(0, index - SCAN_CONFIG.EXCERPT_CHARS);
+    const end = Math.min(text.length, index + length + SCAN_CONFIG.EXCERPT_CHARS);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  // Findings of the rules against the text of each readable file
+  evaluate(rules, documents) {
+    const readable = documents.filter(document => document.text);
+    const findings = [];
+
+    for (const rule of rules) {
+      const pattern = this.buildPattern(rule);
+
+      if (rule.ruleType === CONTENT_RULE_TYPES.FORBIDDEN) {
+        for (const document of readable) {
+          const matches = [...document.text.matchAll(pattern)].slice(0, SCAN_CONFIG.MAX_MATCHES_PER_FILE);
+          matches.forEach(match => findings.push({
+            ruleId: rule.id,
+            ruleName: rule.name,
+            ruleType: rule.ruleType,
+            severity: rule.severity,
+            message: `Forbidden text found: "${match[0].replace(/\s+/g, ' ')}"`,
+            fileUrl: document.fileUrl,
+            excerpt: this.excerpt(document.text, match.index, match[0].length)
+          }));
+        }
+        continue;
+      }
+
+      // Required text only has to appear in one of the version's files
+      if (readable.length > 0 && !readable.some(document => document.text.search(pattern) !== -1)) {
+        findings.push({
+          ruleId: rule.id,
+          ruleName: rule.name,
+          ruleType: rule.ruleType,
+          severity: rule.severity,
+          message: `Required text not found: ${rule.description || rule.pattern}`,
+          fileUrl: null,
+          excerpt: null
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  // Refuse URLs outside the app's storage or resolving to internal addresses
+  async assertFetchable(fileUrl) {
+    const url = new URL(fileUrl);
+
+    if (url.protocol !== 'https:' || !ALLOWED_HOSTS.includes(url.hostname.toLowerCase())) {
+      throw new Error(`Files can only be scanned from ${ALLOWED_HOSTS.join(', ')}`);
+    }
+
+    const addresses = await dns.lookup(url.hostname, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      throw new Error('File host resolves to an internal address');
+    }
+  }
+
+  // Download a file, giving up as soon as it turns out larger than an upload may be
+  async download(fileUrl) {
+    await this.assertFetchable(fileUrl);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SCAN_CONFIG.DOWNLOAD_TIMEOUT_MS);
+
+    try {
+      // Redirects could lead anywhere, so they are not followed
+      const response = await fetch(fileUrl, { signal: controller.signal, redirect: 'error' });
+      if (!response.ok) {
+        throw new Error(`Download failed with status ${response.status}`);
+      }
+
+      if (Number(response.headers.get('content-length')) > FILE_UPLOAD.MAX_SIZE) {
+        throw new Error('File is too large to scan');
+      }
+
+      const chunks = [];
+      let size = 0;
+      const reader = response.body.getReader();
+
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        size += chunk.value.length;
+        if (size > FILE_UPLOAD.MAX_SIZE) {
+          controller.abort();
+          throw new Error('File is too large to scan');
+        }
+        chunks.push(chunk.value);
+      }
+
+      return { buffer: Buffer.concat(chunks), contentType: response.headers.get('content-type') || '' };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Text of every file of a version; files that cannot be read are reported, not thrown
+  async readFiles(fileUrls) {
+    const documents = [];
+
+    for (const fileUrl of fileUrls) {
+      try {
+        const { buffer, contentType } = await this.download(fileUrl);
+        const { format, text } = extractText(buffer, { fileName: new URL(fileUrl).pathname, contentType });
+        documents.push({
+          fileUrl,
+          format,
+          text: text && text.trim() ? text : null,
+          error: text === null ? null : (text.trim() ? null : 'No text could be extracted')
+        });
+      } catch (error) {
+        documents.push({ fileUrl, format: 'UNSUPPORTED', text: null, error: error.message });
+      }
+    }
+
+    return documents;
+  }
+
+  // Scan a version's files against the content rules and store the findings.
+  // A critical finding flags the version for the reviewer.
+  async scanVersion(versionId) {
+    const version = await prisma.version.findUnique({
+      where: { id: versionId },
+      include: { task: { select: { id: true, title: true, category: true, assignedComplianceId: true } } }
+    });
+
+    await prisma.version.update({
+      where: { id: versionId },
+      data: { scanStatus: SCAN_STATUS.PENDING }
+    });
+
+    try {
+      const rules = await this.getRules(version.task.category);
+      const documents = await this.readFiles(version.fileUrls);
+      const findings = this.evaluate(rules, documents);
+
+      const critical = findings.filter(finding => finding.severity === FINDING_SEVERITY.CRITICAL);
+      const flagReason = critical.length > 0
+        ? `Critical content findings: ${[...new Set(critical.map(finding => finding.ruleName))].join(', ')}`
+        : null;
+
+      const scanned = await prisma.version.update({
+        where: { id: versionId },
+        data: {
+          scanStatus: SCAN_STATUS.COMPLETED,
+          scannedAt: new Date(),
+          scannedFiles: documents.map(document => ({
+            fileUrl: document.fileUrl,
+            format: document.format,
+            characters: document.text ? document.text.length : 0,
+            error: document.error
+          })),
+          findings,
+          isFlagged: critical.length > 0,
+          flagReason
+        }
+      });
+
+      if (flagReason && !version.isFlagged) {
+        await auditService.logVersionFlagged(version.task.id, version.task.title, version.versionNumber, flagReason, 'SYSTEM');
+
+        if (version.task.assignedComplianceId) {
+          await notificationService.sendNotification({
+            userId: version.task.assignedComplianceId,
+            title: 'Version Flagged',
+            message: `Version ${version.versionNumber} of task "${version.task.title}" was flagged by the content scan: ${flagReason}`,
+            type: 'VERSION_UPLOADED',
+            taskId: version.task.id
+          });
+        }
+      }
+
+      return scanned;
+
+    } catch (error) {
+      await prisma.version.update({
+        where: { id: versionId },
+        data: { scanStatus: SCAN_STATUS.FAILED, scannedAt: new Date() }
+      });
+      throw error;
+    }
+  }
+
+  // Scan once the upload response has gone out, so it does not wait for downloads and extraction.
+  // The version shows as PENDING until the scan is stored.
+  queueScan(versionId) {
+    setImmediate(() => {
+      this.scanVersion(versionId).catch(error => {
+        console.error(`Content scan of version ${versionId} failed:`, error);
+      });
+    });
+  }
+
+  // Scan again the versions still PENDING after the given time, e.g. those whose scan was lost
+  // when the server restarted. They run one after another so a backlog does not pile up downloads.
+  async rescanPending(olderThanMinutes = 0) {
+    const versions = await prisma.version.findMany({
+      where: {
+        scanStatus: SCAN_STATUS.PENDING,
+        uploadedAt: { lte: new Date(Date.now() - olderThanMinutes * 60 * 1000) }
+      },
+      select: { id: true },
+      orderBy: { uploadedAt: 'asc' }
+    });
+
+    for (const version of versions) {
+      try {
+        await this.scanVersion(version.id);
+      } catch (error) {
+        console.error(`Content scan of version ${version.id} failed:`, error);
+      }
+    }
+
+    return versions.length;
+  }
+
+  // Findings grouped for display to the reviewer
+  summarize(version) {
+    const findings = version.findings || [];
+    return {
+      status: version.scanStatus || null,
+      scannedAt: version.scannedAt || null,
+      isFlagged: version.isFlagged,
+      flagReason: version.flagReason,
+      bySeverity: Object.values(FINDING_SEVERITY).reduce((counts, severity) => ({
+        ...counts,
+        [severity]: findings.filter(finding => finding.severity === severity).length
+      }), {}),
+      unreadFiles: (version.scannedFiles || []).filter(file => file.error || file.format === 'UNSUPPORTED').map(file => file.fileUrl),
+      findings
+    };
+  }
+}
+
+module.exports = new ScanService();
@@ -0,0 +1,252 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const {
+  USER_ROLES,
+  SLA_OWNERS,
+  SLA_ESCALATION_ROLES,
+  SLA_STATES,
+  DEFAULT_SLA_POLICIES,
+  ASSIGNEE_TYPES,
+  TASK_VISIBILITY
+} = require('../utils/constants');
+const { businessMinutesBetween, addBusinessMinutes, BUSINESS_MINUTES_PER_DAY } = require('../utils/businessCalendar');
+
+const prisma = new PrismaClient();
+
+// Escalation levels stored on each clock
+const ESCALATION_LEVELS = {
+  WARNING: 1,
+  BREACHED: 2,
+  SENIOR: 3
+};
+
+class SlaService {
+
+  // Policies by status; saved policies replace the built-in ones, inactive ones switch them off
+  async getPolicies() {
+    const saved = await prisma.slaPolicy.findMany();
+    const policies = {};
+
+    DEFAULT_SLA_POLICIES.forEach(policy => {
+      policies[policy.status] = { ...policy, isActive: true, isDefault: true };
+    });
+    saved.forEach(policy => {
+      policies[policy.status] = { ...policy, isDefault: false };
+    });
+
+    Object.keys(policies).forEach(status => {
+      if (!policies[status].isActive) delete policies[status];
+    });
+
+    return policies;
+  }
+
+  // Holiday dates as a Set of YYYY-MM-DD keys
+  async getHolidays() {
+    const holidays = await prisma.holiday.findMany({ select: { date: true } });
+    return new Set(holidays.map(holiday => holiday.date));
+  }
+
+  // Policies and holidays, loaded once per request or job run
+  async getCalendar() {
+    const [policies, holidays] = await Promise.all([this.getPolicies(), this.getHolidays()]);
+    return { policies, holidays };
+  }
+
+  // Business minutes used by a clock up to now
+  elapsedMinutes(clock, holidays, now = new Date()) {
+    const running = clock.startedAt ? businessMinutesBetween(clock.startedAt, now, holidays) : 0;
+    return clock.elapsedMinutes + running;
+  }
+
+  // Task fields for a status change: pause the clock being left, start or resume the one entered
+  async transitionData(task, toStatus, calendar = null, now = new Date()) {
+    const { policies, holidays } = calendar || await this.getCalendar();
+    const clocks = (task.slaClocks || []).map(clock => ({ ...clock }));
+
+    clocks.filter(clock => clock.startedAt).forEach(clock => {
+      clock.elapsedMinutes = this.elapsedMinutes(clock, holidays, now);
+      clock.startedAt = null;
+      if (!clock.breachedAt && clock.elapsedMinutes >= clock.targetMinutes) {
+        clock.breachedAt = now;
+      }
+    });
+
+    let slaDueAt = null;
+    const policy = policies[toStatus];
+
+    if (policy) {
+      let clock = clocks.find(c => c.status === toStatus);
+      if (!clock) {
+        clock = {
+          status: toStatus,
+          targetMinutes: Math.round(policy.targetBusinessDays * BUSINESS_MINUTES_PER_DAY),
+          elapsedMinutes: 0,
+          startedAt: null,
+          escalationLevel: 0,
+          breachedAt: null
+        };
+        clocks.push(clock);
+      }
+      clock.startedAt = now;
+      slaDueAt = addBusinessMinutes(now, Math.max(clock.targetMinutes - clock.elapsedMinutes, 0), holidays);
+    }
+
+    return { slaClocks: clocks, slaDueAt };
+  }
+
+  // State of a single clock at the given time
+  describeClock(clock, policy, holidays, now = new Date()) {
+    const elapsedMinutes = this.elapsedMinutes(clock, holidays, now);
+    const usedPercent = clock.targetMinutes > 0 ? Math.round((elapsedMinutes / clock.targetMinutes) * 100) : 100;
+    const warningPercent = policy ? policy.warningPercent : DEFAULT_SLA_POLICIES[0].warningPercent;
+
+    let state = SLA_STATES.ON_TRACK;
+    if (usedPercent >= 100) {
+      state = SLA_STATES.BREACHED;
+    } else if (usedPercent >= warningPercent) {
+      state = SLA_STATES.AT_RISK;
+    }
+
+    return {
+      status: clock.status,
+      state,
+      running: Boolean(clock.startedAt),
+      targetMinutes: clock.targetMinutes,
+      elapsedMinutes,
+      remainingMinutes: clock.targetMinutes - elapsedMinutes,
+      usedPercent,
+      escalationLevel: clock.escalationLevel,
+      breachedAt: clock.breachedAt
+    };
+  }
+
+  // SLA summary exposed on task responses; null when the task never had a clock
+  describe(task, calendar, now = new Date()) {
+    const clocks = task.slaClocks || [];
+    if (clocks.length === 0) return null;
+
+    const described = clocks.map(clock => this.describeClock(clock, calendar.policies[clock.status], calendar.holidays, now));
+    const current = described.find(clock => clock.running);
+
+    return {
+      state: current ? current.state : null,
+      status: current ? current.status : null,
+      remainingMinutes: current ? current.remainingMinutes : null,
+      dueAt: current ? task.slaDueAt : null,
+      paused: !current,
+      clocks: described
+    };
+  }
+
+  // Admins of the owning team, falling back to every admin of that role
+  async getEscalationAdmins(assigneeType, assigneeIds) {
+    const role = SLA_ESCALATION_ROLES[assigneeType];
+    const admins = await prisma.user.findMany({
+      where: { role, isActive: true },
+      select: { id: true, team: true }
+    });
+
+    const assignees = await prisma.user.findMany({
+      where: { id: { in: assigneeIds } },
+      select: { team: true }
+    });
+    const teams = assignees.map(assignee => assignee.team).filter(Boolean);
+    const teamAdmins = admins.filter(admin => teams.includes(admin.team));
+
+    return (teamAdmins.length > 0 ? teamAdmins : admins).map(admin => admin.id);
+  }
+
+  // Notify the right people for a clock that reached a new escalation level
+  async escalate(task, clock, level) {
+    const assigneeType = SLA_OWNERS[clock.status];
+    const assigneeIds = assigneeType === ASSIGNEE_TYPES.PRODUCT
+      ? task.assignedProductIds
+      : [task.assignedComplianceId].filter(Boolean);
+    const hours = Math.round(Math.abs(clock.remainingMinutes) / 60);
+
+    let recipients;
+    let title;
+    let message;
+    let type = 'SLA_BREACHED';
+
+    if (level === ESCALATION_LEVELS.WARNING) {
+      recipients = [...assigneeIds, ...await this.getEscalationAdmins(assigneeType, assigneeIds)];
+      title = 'SLA Approaching';
+      message = `Task "${task.title}" has ${hours} business hour(s) left in ${clock.status}`;
+      type = 'SLA_WARNING';
+    } else if (level === ESCALATION_LEVELS.BREACHED) {
+      recipients = [...assigneeIds, ...await this.getEscalationAdmins(assigneeType, assigneeIds)];
+      title = 'SLA Breached';
+      message = `Task "${task.title}" has breached its ${clock.status} SLA`;
+    } else {
+      const managers = await prisma.user.findMany({
+        where: { role: USER_ROLES.SENIOR_MANAGER, isActive: true },
+        select: { id: true }
+      });
+      recipients = managers.map(manager => manager.id);
+      title = 'SLA Escalation';
+      message = `Task "${task.title}" is ${hours} business hour(s) past its ${clock.status} SLA`;
+    }
+
+    await notificationService.sendBulkNotification({
+      userIds: [...new Set(recipients)],
+      title,
+      message,
+      type,
+      taskId: task.id,
+      sendEmail: level > ESCALATION_LEVELS.WARNING
+    });
+
+    await auditService.logSlaEscalated(task.id, task.title, clock.status, level, recipients.length);
+  }
+
+  // Raise the escalation level of every running clock that crossed a threshold
+  async escalateOverdue(now = new Date()) {
+    const calendar = await this.getCalendar();
+    const tasks = await prisma.task.findMany({
+      where: { status: { in: Object.keys(calendar.policies) }, ...TASK_VISIBILITY.NOT_DELETED }
+    });
+
+    let escalated = 0;
+    for (const task of tasks) {
+      const clockIndex = task.slaClocks.findIndex(clock => clock.status === task.status && clock.startedAt);
+      if (clockIndex === -1) continue;
+
+      const clock = task.slaClocks[clockIndex];
+      const policy = calendar.policies[clock.status];
+      const described = this.describeClock(clock, policy, calendar.holidays, now);
+
+      let level = 0;
+      if (described.usedPercent >= policy.seniorEscalationPercent) {
+        level = ESCALATION_LEVELS.SENIOR;
+      } else if (described.state === SLA_STATES.BREACHED) {
+        level = ESCALATION_LEVELS.BREACHED;
+      } else if (described.state === SLA_STATES.AT_RISK) {
+        level = ESCALATION_LEVELS.WARNING;
+      }
+
+      if (level <= clock.escalationLevel) continue;
+
+      const slaClocks = task.slaClocks.map((c, index) => (index === clockIndex ? {
+        ...c,
+        escalationLevel: level,
+        breachedAt: c.breachedAt || (level >= ESCALATION_LEVELS.BREACHED ? now : null)
+      } : c));
+
+      await prisma.task.update({
+        where: { id: task.id },
+        data: { slaClocks }
+      });
+
+      // Skipped levels are covered by the higher one
+      await this.escalate(task, described, level);
+      escalated++;
+    }
+
+    return escalated;
+  }
+}
+
+module.exports = new SlaService();
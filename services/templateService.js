@@ -0,0 +1,87 @@
+const { PrismaClient } = require('@prisma/client');
+const { SYSTEM_CONFIG } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+
+class TemplateService {
+
+  // Date tokens available to every pattern, in the system time zone
+  dateVariables(date = new Date()) {
+    const format = (options) => new Intl.DateTimeFormat('en-US', { timeZone: SYSTEM_CONFIG.DEFAULT_TIMEZONE, ...options }).format(date);
+    const monthNumber = Number(format({ month: 'numeric' }));
+
+    return {
+      date: new Intl.DateTimeFormat('en-CA', { timeZone: SYSTEM_CONFIG.DEFAULT_TIMEZONE }).format(date),
+      day: format({ day: '2-digit' }),
+      month: format({ month: 'long' }),
+      monthShort: format({ month: 'short' }),
+      year: format({ year: 'numeric' }),
+      quarter: `Q${Math.ceil(monthNumber / 3)}`
+    };
+  }
+
+  // Names of the tokens used in a pattern
+  tokensIn(pattern) {
+    return [...new Set([...(pattern || '').matchAll(TOKEN_PATTERN)].map(match => match[1]))];
+  }
+
+  // Fill in the tokens of a pattern; unknown tokens are an error
+  render(pattern, variables = {}) {
+    if (!pattern) return pattern;
+
+    const values = { ...this.dateVariables(), ...variables };
+    const missing = this.tokensIn(pattern).filter(token => values[token] === undefined || values[token] === '');
+
+    if (missing.length > 0) {
+      throw createHttpError(400, `Missing template variables: ${missing.join(', ')}`, { missingVariables: missing });
+    }
+
+    return pattern.replace(TOKEN_PATTERN, (match, token) => String(values[token]));
+  }
+
+  // Check the default product users are active product team members
+  async validateProductUsers(userIds) {
+    if (userIds.length === 0) return;
+
+    const count = await prisma.user.count({
+      where: {
+        id: { in: userIds },
+        role: { in: ['PRODUCT_USER', 'PRODUCT_ADMIN'] },
+        isActive: true
+      }
+    });
+
+    if (count !== userIds.length) {
+      throw createHttpError(400, 'Invalid assigned product users');
+    }
+  }
+
+  // Fields for a new task: template defaults, with anything in the request taking precedence
+  buildTaskFields(template, overrides = {}) {
+    const variables = overrides.variables || {};
+
+    let expectedPublishDate = overrides.expectedPublishDate || null;
+    if (!expectedPublishDate && template.publishOffsetDays !== null && template.publishOffsetDays !== undefined) {
+      expectedPublishDate = new Date(Date.now() + template.publishOffsetDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    return {
+      title: overrides.title || this.render(template.titlePattern, variables),
+      description: overrides.description !== undefined ? overrides.description : this.render(template.taskDescription, variables),
+      taskType: template.taskType,
+      category: overrides.category || template.category,
+      platform: overrides.platform || template.platform,
+      remarks: overrides.remarks !== undefined ? overrides.remarks : template.remarks,
+      assignedProductIds: overrides.assignedProductIds || template.assignedProductIds,
+      expectedPublishDate,
+      exchanges: template.taskType === 'EXCHANGE' ? (overrides.exchanges || template.exchanges) : [],
+      checklist: template.checklist,
+      templateId: template.id
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,99 @@
+const { PrismaClient } = require('@prisma/client');
+const { createHttpError } = require('../utils/helpers');
+const { TASK_STATUS, VARIANT_STATUS_PROGRESS, TASK_VISIBILITY } = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+const APPROVED_STATUSES = [TASK_STATUS.APPROVED, TASK_STATUS.PUBLISHED];
+
+// Closed and expired variants no longer hold on to their language
+const INACTIVE_STATUSES = [TASK_STATUS.CLOSED_INTERNAL, TASK_STATUS.CLOSED_EXCHANGE, TASK_STATUS.EXPIRED];
+
+class VariantService {
+
+  // Status the parent rolls up to: the least advanced variant still in progress or live
+  rollupStatus(byStatus) {
+    const active = VARIANT_STATUS_PROGRESS.filter(status => byStatus[status] > 0);
+    return {
+      status: active.length > 0 ? active[0] : null,
+      allApproved: active.length > 0 && active.every(status => APPROVED_STATUSES.includes(status))
+    };
+  }
+
+  // Variant counts by status per parent task
+  async getRollups(parentIds) {
+    if (parentIds.length === 0) return {};
+
+    const groups = await prisma.task.groupBy({
+      by: ['parentTaskId', 'status'],
+      where: { parentTaskId: { in: parentIds }, ...TASK_VISIBILITY.NOT_DELETED },
+      _count: { _all: true }
+    });
+
+    const rollups = {};
+    groups.forEach(group => {
+      if (!rollups[group.parentTaskId]) {
+        rollups[group.parentTaskId] = { total: 0, byStatus: {} };
+      }
+      const rollup = rollups[group.parentTaskId];
+      rollup.total += group._count._all;
+      rollup.byStatus[group.status] = group._count._all;
+    });
+
+    Object.values(rollups).forEach(rollup => Object.assign(rollup, this.rollupStatus(rollup.byStatus)));
+    return rollups;
+  }
+
+  // Variants go under the task with the base content, one live variant per language
+  async assertCanAddVariant(parent, languageCode) {
+    if (parent.parentTaskId) {
+      throw createHttpError(400, 'Variants cannot have variants of their own; add it to the parent task instead');
+    }
+
+    if (parent.languageCode && parent.languageCode.toLowerCase() === languageCode.toLowerCase()) {
+      throw createHttpError(409, `The task itself is in ${parent.languageCode}`);
+    }
+
+    const existing = await prisma.task.findFirst({
+      where: {
+        parentTaskId: parent.id,
+        languageCode,
+        status: { notIn: INACTIVE_STATUSES },
+        ...TASK_VISIBILITY.NOT_DELETED
+      },
+      select: { id: true, uin: true, status: true }
+    });
+
+    if (existing) {
+      throw createHttpError(409, `Task already has a ${languageCode} variant: ${existing.uin}`, { variant: existing });
+    }
+  }
+
+  // Task fields a new variant shares with its parent; the request can override the wording
+  baseFields(parent, overrides = {}) {
+    return {
+      title: overrides.title || `${parent.title} (${overrides.languageCode})`,
+      description: overrides.description !== undefined ? overrides.description : parent.description,
+      taskType: parent.taskType,
+      platform: parent.platform,
+      category: parent.category,
+      remarks: overrides.remarks !== undefined ? overrides.remarks : parent.remarks,
+      assignedProductIds: overrides.assignedProductIds || parent.assignedProductIds,
+      expectedPublishDate: overrides.expectedPublishDate || parent.expectedPublishDate,
+      campaignId: parent.campaignId,
+      tags: parent.tags,
+      // Custom field values carry over as stored; submitted ones are merged on top
+      inheritedCustomFields: parent.customFields,
+      customFields: overrides.customFields,
+      // Each variant is filed with the exchanges separately
+      exchanges: (parent.exchangeApprovals || []).map(approval => ({
+        exchangeName: approval.exchangeName,
+        typeOfContent: approval.typeOfContent
+      })),
+      parentTaskId: parent.id,
+      languageCode: overrides.languageCode
+    };
+  }
+}
+
+module.exports = new VariantService();
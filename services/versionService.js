@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const scanService = require('./scanService');
+const slaService = require('./slaService');
+const priorityService = require('./priorityService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const { extractText } = require('../utils/textExtractor');
+const { diffLines } = require('../utils/textDiff');
+const { createHttpError } = require('../utils/helpers');
+const { VERSION_STATUS, TASK_STATUS } = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Original file name from an upload URL, without the "<timestamp>-<random>-" prefix added on upload
+const fileName = (fileUrl) => {
+  const base = path.basename(decodeURIComponent(new URL(fileUrl).pathname));
+  return base.replace(/^\d+-[0-9a-f]{8}-/i, '');
+};
+
+const fileKey = (fileUrl) => fileName(fileUrl).replace(/\.[^.]+$/, '').toLowerCase();
+
+class VersionService {
+
+  // Version of a task by ID or version number
+  async findVersion(taskId, reference) {
+    return await prisma.version.findFirst({
+      where: isValidObjectId(reference)
+        ? { taskId, id: reference }
+        : { taskId, versionNumber: reference },
+      include: {
+        uploadedBy: { select: { fullName: true, username: true } }
+      }
+    });
+  }
+
+  // Latest version that has not been withdrawn
+  async getCurrentVersion(taskId, { exclude } = {}) {
+    return await prisma.version.findFirst({
+      where: {
+        taskId,
+        status: { not: VERSION_STATUS.WITHDRAWN },
+        ...(exclude && { id: { not: exclude } })
+      },
+      orderBy: { uploadedAt: 'desc' }
+    });
+  }
+
+  // Approved and withdrawn versions are kept exactly as they were
+  assertMutable(version) {
+    if (version.status === VERSION_STATUS.APPROVED) {
+      throw createHttpError(409, `Version ${version.versionNumber} was approved and cannot be changed`);
+    }
+    if (version.status === VERSION_STATUS.WITHDRAWN) {
+      throw createHttpError(400, `Version ${version.versionNumber} has been withdrawn`);
+    }
+  }
+
+  // Whether a reviewer has started on a version: approvals, decisions, checklist answers or compliance comments
+  async hasReviewActivity(task, version) {
+    if ((task.approvals || []).some(approval => approval.versionId === version.id)) return true;
+    if ((task.checklist || []).some(item => item.versionId === version.id)) return true;
+
+    const decisions = await prisma.taskDecision.count({
+      where: { taskId: task.id, versionId: version.id }
+    });
+    if (decisions > 0) return true;
+
+    const reviewerComments = await prisma.comment.count({
+      where: {
+        versionId: version.id,
+        author: { role: { in: ['COMPLIANCE_USER', 'COMPLIANCE_ADMIN'] } }
+      }
+    });
+    return reviewerComments > 0;
+  }
+
+  // Withdraw the latest version before review starts. The task goes back to the
+  // status it had before the upload, and the version before it becomes current again.
+  async withdraw(task, version, { user, reason }) {
+    this.assertMutable(version);
+
+    const current = await this.getCurrentVersion(task.id);
+    if (!current || current.id !== version.id) {
+      throw createHttpError(400, 'Only the latest version can be withdrawn');
+    }
+
+    if (task.status !== TASK_STATUS.COMPLIANCE_REVIEW) {
+      throw createHttpError(400, `Versions can only be withdrawn while the task awaits compliance review (current status: ${task.status})`);
+    }
+
+    if (await this.hasReviewActivity(task, version)) {
+      throw createHttpError(400, `Review of version ${version.versionNumber} has started; ask the reviewer to request changes instead`);
+    }
+
+    const previous = await this.getCurrentVersion(task.id, { exclude: version.id });
+    const restoreStatus = version.previousTaskStatus || (previous ? TASK_STATUS.COMPLIANCE_REVIEW : TASK_STATUS.OPEN);
+
+    const withdrawn = await prisma.version.update({
+      where: { id: version.id },
+      data: {
+        status: VERSION_STATUS.WITHDRAWN,
+        withdrawnAt: new Date(),
+        withdrawnById: user.id,
+        withdrawReason: reason || null
+      }
+    });
+
+    if (previous && previous.status === VERSION_STATUS.SUPERSEDED) {
+      await prisma.version.update({
+        where: { id: previous.id },
+        data: { status: VERSION_STATUS.SUBMITTED }
+      });
+    }
+
+    // Restore the earlier status; back on the approved version, the approval matches again
+    const data = {
+      ...(restoreStatus !== task.status && {
+        status: restoreStatus,
+        ...await slaService.transitionData(task, restoreStatus)
+      }),
+      ...(task.approvalMismatch && previous && previous.id === task.approvedVersionId && {
+        approvalMismatch: false,
+        approvalMismatchAt: null
+      })
+    };
+
+    const updatedTask = Object.keys(data).length > 0
+      ? await prisma.task.update({
+        where: { id: task.id },
+        data: { ...data, ...priorityService.fieldsFor({ ...task, ...data }) }
+      })
+      : task;
+
+    await auditService.logVersionWithdrawn(task.id, task.title, version.versionNumber, reason, user.id);
+
+    if (task.assignedComplianceId) {
+      await notificationService.sendNotification({
+        userId: task.assignedComplianceId,
+        title: 'Version Withdrawn',
+        message: `Version ${version.versionNumber} of task "${task.title}" was withdrawn${reason ? `: ${reason}` : ''}`,
+        type: 'VERSION_UPLOADED',
+        taskId: task.id
+      });
+    }
+
+    await notificationService.notifyWatchers({
+      taskId: task.id,
+      title: 'Version Withdrawn',
+      message: `Version ${version.versionNumber} of task "${task.title}" was withdrawn`,
+      type: 'VERSION_UPLOADED',
+      exclude: [user.id, task.assignedComplianceId]
+    });
+
+    return { version: withdrawn, task: updatedTask };
+  }
+
+  // Versions to compare: both given, or the given/latest version against the one before it
+  async resolvePair(taskId, from, to) {
+    const versions = await prisma.version.findMany({
+      where: { taskId },
+      orderBy: { uploadedAt: 'asc' },
+      select: { id: true, versionNumber: true }
+    });
+
+    if (versions.length < 2) {
+      throw createHttpError(400, 'The task needs at least two versions to compare');
+    }
+
+    const toVersion = to ? await this.findVersion(taskId, to) : await this.findVersion(taskId, versions[versions.length - 1].id);
+    if (!toVersion) {
+      throw createHttpError(404, `Version ${to} not found`);
+    }
+
+    let fromVersion;
+    if (from) {
+      fromVersion = await this.findVersion(taskId, from);
+      if (!fromVersion) {
+        throw createHttpError(404, `Version ${from} not found`);
+      }
+    } else {
+      const index = versions.findIndex(version => version.id === toVersion.id);
+      if (index === 0) {
+        throw createHttpError(400, `Version ${toVersion.versionNumber} is the first version`);
+      }
+      fromVersion = await this.findVersion(taskId, versions[index - 1].id);
+    }
+
+    if (fromVersion.id === toVersion.id) {
+      throw createHttpError(400, 'Choose two different versions to compare');
+    }
+
+    // Always compare older against newer
+    return fromVersion.uploadedAt <= toVersion.uploadedAt
+      ? [fromVersion, toVersion]
+      : [toVersion, fromVersion];
+  }
+
+  // Checksum and text of each file of a version
+  async readFiles(fileUrls) {
+    const files = [];
+
+    for (const fileUrl of fileUrls) {
+      const file = { fileUrl, name: fileName(fileUrl), key: fileKey(fileUrl), checksum: null, format: null, text: null, error: null };
+      try {
+        const { buffer, contentType } = await scanService.download(fileUrl);
+        file.checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+        const extracted = extractText(buffer, { fileName: new URL(fileUrl).pathname, contentType });
+        file.format = extracted.format;
+        file.text = extracted.text;
+      } catch (error) {
+        file.error = error.message;
+      }
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  // Pair up the files of two versions: same URL or content first, then same original name
+  matchFiles(oldFiles, newFiles) {
+    const unmatchedOld = [...oldFiles];
+    const unmatchedNew = [];
+    const pairs = [];
+
+    const take = (predicate) => {
+      const index = unmatchedOld.findIndex(predicate);
+      return index === -1 ? null : unmatchedOld.splice(index, 1)[0];
+    };
+
+    for (const file of newFiles) {
+      const match = take(old => old.fileUrl === file.fileUrl) ||
+        (file.checksum && take(old => old.checksum === file.checksum));
+      if (match) {
+        pairs.push([match, file]);
+      } else {
+        unmatchedNew.push(file);
+      }
+    }
+
+    const added = [];
+    for (const file of unmatchedNew) {
+      const match = take(old => old.key === file.key);
+      if (match) {
+        pairs.push([match, file]);
+      } else {
+        added.push(file);
+      }
+    }
+
+    return { pairs, added, removed: unmatchedOld };
+  }
+
+  describeFile(file) {
+    return { fileUrl: file.fileUrl, name: file.name, checksum: file.checksum, format: file.format, error: file.error };
+  }
+
+  // Comments on the older version and whether a later version, up to the newer one, addressed them
+  async commentStatus(taskId, fromVersion, toVersion) {
+    const comments = await prisma.comment.findMany({
+      where: { taskId, versionId: fromVersion.id, isDeleted: { not: true } },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        author: { select: { fullName: true, username: true, role: true } }
+      }
+    });
+
+    const laterVersions = await prisma.version.findMany({
+      where: {
+        taskId,
+        uploadedAt: { gt: fromVersion.uploadedAt, lte: toVersion.uploadedAt }
+      },
+      orderBy: { uploadedAt: 'asc' },
+      select: { versionNumber: true, addressedCommentIds: true }
+    });
+
+    const addressedIn = (commentId) => {
+      const version = laterVersions.find(v => v.addressedCommentIds.includes(commentId));
+      return version ? version.versionNumber : null;
+    };
+
+    // Replies belong to their thread; a thread counts as addressed once a version addresses it or a reviewer resolves it
+    const described = comments.filter(comment => !comment.parentId).map(comment => ({
+      id: comment.id,
+      content: comment.content,
+      author: comment.author,
+      createdAt: comment.createdAt,
+      addressedInVersion: addressedIn(comment.id),
+      isResolved: comment.isResolved
+    }));
+
+    return {
+      total: described.length,
+      addressed: described.filter(comment => comment.addressedInVersion || comment.isResolved),
+      open: described.filter(comment => !comment.addressedInVersion && !comment.isResolved)
+    };
+  }
+
+  // Files added, removed and changed between two versions, with text diffs of changed documents
+  async compare(task, from, to) {
+    const [fromVersion, toVersion] = await this.resolvePair(task.id, from, to);
+
+    const oldFiles = await this.readFiles(fromVersion.fileUrls);
+    const newFiles = await this.readFiles(toVersion.fileUrls);
+    const { pairs, added, removed } = this.matchFiles(oldFiles, newFiles);
+
+    const changed = [];
+    const unchanged = [];
+    for (const [oldFile, newFile] of pairs) {
+      if (oldFile.checksum && oldFile.checksum === newFile.checksum) {
+        unchanged.push({ from: this.describeFile(oldFile), to: this.describeFile(newFile) });
+        continue;
+      }
+
+      const readable = oldFile.text !== null && newFile.text !== null;
+      changed.push({
+        from: this.describeFile(oldFile),
+        to: this.describeFile(newFile),
+        // Without both checksums the files may or may not differ
+        checksumUnavailable: !oldFile.checksum || !newFile.checksum,
+        textDiff: readable ? diffLines(oldFile.text, newFile.text) : null
+      });
+    }
+
+    const describeVersion = (version) => ({
+      id: version.id,
+      versionNumber: version.versionNumber,
+      uploadedAt: version.uploadedAt,
+      uploadedBy: version.uploadedBy,
+      remarks: version.remarks
+    });
+
+    return {
+      task: { id: task.id, uin: task.uin, title: task.title },
+      from: describeVersion(fromVersion),
+      to: describeVersion(toVersion),
+      files: {
+        added: added.map(file => this.describeFile(file)),
+        removed: removed.map(file => this.describeFile(file)),
+        changed,
+        unchanged
+      },
+      comments: await this.commentStatus(task.id, fromVersion, toVersion)
+    };
+  }
+}
+
+module.exports = new VersionService();
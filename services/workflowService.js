@@ -0,0 +1,389 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const slaService = require('./slaService');
+const priorityService = require('./priorityService');
+const checklistService = require('./checklistService');
+const linkService = require('./linkService');
+const {
+  USER_ROLES,
+  TASK_STATUS,
+  WORKFLOW_ACTIONS,
+  WORKFLOW_HOOKS,
+  WORKFLOW_GUARDS,
+  WORKFLOW_REQUIRED_FIELDS,
+  DEFAULT_WORKFLOW,
+  DEFAULT_FOUR_EYES_POLICY
+} = require('../utils/constants');
+const { createHttpError, applyWorkflowRules } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+class WorkflowService {
+  constructor() {
+    // Hooks that add fields to the task update before it is saved
+    this.preHooks = {
+      [WORKFLOW_HOOKS.SET_CLOSURE_DATE]: (data) => {
+        data.closureDate = new Date();
+      },
+      [WORKFLOW_HOOKS.CLEAR_CLOSURE]: (data) => {
+        data.closureDate = null;
+        data.closureComments = null;
+      }
+    };
+
+    // Checks that must pass before the status changes; each throws when it fails
+    this.guards = {
+      [WORKFLOW_GUARDS.CHECKLIST_PASSED]: async (task) => {
+        await checklistService.assertPassed(task);
+      },
+      [WORKFLOW_GUARDS.DEPENDENCIES_APPROVED]: async (task) => {
+        await linkService.assertDependenciesApproved(task);
+      }
+    };
+
+    // Hooks that run once the new status has been saved
+    this.postHooks = {
+      [WORKFLOW_HOOKS.NOTIFY_PRODUCT_TEAM]: async (task, transition, { context }) => {
+        for (const productId of task.assignedProductIds) {
+          await notificationService.sendNotification({
+            userId: productId,
+            title: 'Task Review Required',
+            message: `Task "${task.title}" requires your review${context.reason ? `: ${context.reason}` : ''}`,
+            type: 'TASK_ASSIGNED',
+            taskId: task.id
+          });
+        }
+      },
+      [WORKFLOW_HOOKS.NOTIFY_COMPLIANCE]: async (task) => {
+        if (task.assignedComplianceId) {
+          await notificationService.sendNotification({
+            userId: task.assignedComplianceId,
+            title: 'Compliance Review Required',
+            message: `Task "${task.title}" is ready for compliance review`,
+            type: 'TASK_ASSIGNED',
+            taskId: task.id
+          });
+        }
+      },
+      [WORKFLOW_HOOKS.NOTIFY_TASK_PUBLISHED]: async (task) => {
+        const userIds = [...new Set([task.createdBy, ...task.assignedProductIds])];
+        await notificationService.sendTaskPublishedNotification(userIds, task.id, task.title);
+      },
+      [WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE]: async (task, transition, { user }) => {
+        await auditService.logTaskStatusChanged(task.id, task.title, transition.from, transition.to, user.id);
+      }
+    };
+  }
+
+  // Get the active workflow, falling back to the built-in one. Stored workflows saved
+  // before a rule existed still follow it.
+  async getDefinition() {
+    const stored = await prisma.workflowDefinition.findUnique({
+      where: { name: DEFAULT_WORKFLOW.name }
+    });
+
+    const definition = stored || { ...DEFAULT_WORKFLOW, version: 0, isBuiltIn: true };
+
+    // Uploading a version always reopens review, so its moves are kept even when a
+    // stored workflow leaves them out
+    const uploadMoves = DEFAULT_WORKFLOW.transitions.filter(builtIn =>
+      builtIn.action === WORKFLOW_ACTIONS.NEW_VERSION &&
+      !definition.transitions.some(t => t.from === builtIn.from && t.to === builtIn.to)
+    );
+
+    return {
+      ...definition,
+      transitions: [...definition.transitions, ...uploadMoves].map(applyWorkflowRules),
+      fourEyes: { ...DEFAULT_FOUR_EYES_POLICY, ...(definition.fourEyes || {}) }
+    };
+  }
+
+  async getFourEyesPolicy() {
+    const definition = await this.getDefinition();
+    return definition.fourEyes;
+  }
+
+  findTransition(definition, fromStatus, toStatus) {
+    return definition.transitions.find(t => t.from === fromStatus && t.to === toStatus) || null;
+  }
+
+  // Check a status change and collect the fields its pre-save hooks set.
+  // Transitions reserved for a dedicated endpoint are only allowed through that action.
+  async prepareTransition(task, toStatus, { user, payload = {}, action = null }) {
+    // Deleted and archived tasks stay as they are until restored
+    if (task.isDeleted || task.isArchived) {
+      throw createHttpError(409, `Task is ${task.isDeleted ? 'deleted' : 'archived'}; restore it first`);
+    }
+
+    const definition = await this.getDefinition();
+    const transition = this.findTransition(definition, task.status, toStatus);
+
+    if (!transition) {
+      throw createHttpError(400, `Invalid status transition from ${task.status} to ${toStatus}`);
+    }
+
+    if (transition.action && transition.action !== action) {
+      throw createHttpError(400, `Use POST /api/tasks/${task.id}/${transition.action} to move a task to ${toStatus}`);
+    }
+
+    if (!transition.allowedRoles.includes(user.role)) {
+      throw createHttpError(403, `Role ${user.role} cannot move a task from ${task.status} to ${toStatus}`, {
+        allowedRoles: transition.allowedRoles
+      });
+    }
+
+    const missingFields = transition.requiredFields.filter(field =>
+      payload[field] === undefined || payload[field] === null || payload[field] === ''
+    );
+
+    if (missingFields.length > 0) {
+      throw createHttpError(400, `Missing required fields for ${toStatus}: ${missingFields.join(', ')}`, {
+        requiredFields: transition.requiredFields
+      });
+    }
+
+    for (const guard of transition.guards || []) {
+      if (this.guards[guard]) {
+        await this.guards[guard](task, { user, payload });
+      }
+    }
+
+    const data = {};
+    transition.hooks.forEach(hook => {
+      if (this.preHooks[hook]) {
+        this.preHooks[hook](data, task, payload);
+      }
+    });
+
+    // Tasks created before any checklist definition existed get theirs as review starts
+    if (toStatus === TASK_STATUS.COMPLIANCE_REVIEW && !(task.checklist && task.checklist.length > 0)) {
+      const checklist = await checklistService.buildItems(task.category);
+      if (checklist.length > 0) data.checklist = checklist;
+    }
+
+    // Pause the SLA clock of the status being left and start the next one
+    Object.assign(data, await slaService.transitionData(task, toStatus));
+
+    return { transition, data };
+  }
+
+  // Run the post-save hooks of a transition
+  async completeTransition(task, transition, { user, context = {} }) {
+    for (const hook of transition.hooks) {
+      if (!this.postHooks[hook]) continue;
+
+      try {
+        await this.postHooks[hook](task, transition, { user, context });
+      } catch (error) {
+        // A failing hook should not roll back a status change that is already saved
+        console.error(`Workflow hook ${hook} failed:`, error);
+      }
+    }
+
+    // Watchers hear about every status change
+    try {
+      await notificationService.notifyWatchers({
+        taskId: task.id,
+        title: 'Task Status Changed',
+        message: `Task "${task.title}" moved from ${transition.from} to ${transition.to}`,
+        type: 'TASK_STATUS_CHANGED',
+        exclude: [user.id]
+      });
+    } catch (error) {
+      console.error('Watcher notification failed:', error);
+    }
+  }
+
+  // Validate, save and finish a status change in one step. With unchanged set, the save only
+  // goes through while the task is still the copy that was checked.
+  async executeTransition(task, toStatus, { user, payload = {}, data = {}, action = null, include, context = {}, unchanged = false }) {
+    const { transition, data: hookData } = await this.prepareTransition(task, toStatus, { user, payload, action });
+
+    // The new status and dates can change the calculated priority
+    const changes = Object.fromEntries(
+      Object.entries({ ...data, ...hookData }).filter(([, value]) => value !== undefined)
+    );
+    const priorityData = priorityService.fieldsFor({ ...task, ...changes, status: toStatus });
+
+    const args = {
+      where: { id: task.id },
+      data: { ...data, ...hookData, ...priorityData, status: toStatus },
+      ...(include && { include })
+    };
+    const updatedTask = unchanged ? await this.updateUnchanged(task, args) : await prisma.task.update(args);
+
+    await this.completeTransition(updatedTask, transition, { user, context });
+    await priorityService.notifyIfUrgent(task.priority, updatedTask);
+
+    return updatedTask;
+  }
+
+  // Update a task only while it is still the copy a decision was based on, so two reviewers
+  // acting at once cannot both count the same state; the later one gets 409
+  async updateUnchanged(task, args) {
+    try {
+      return await prisma.task.update({
+        ...args,
+        where: { ...args.where, updatedAt: task.updatedAt }
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        throw createHttpError(409, 'Task was changed by someone else at the same time; reload it and try again');
+      }
+      throw error;
+    }
+  }
+
+  // Validate transitions submitted by an admin, returning a list of problems
+  validateTransitions(transitions) {
+    const errors = [];
+    const statuses = Object.values(TASK_STATUS);
+    const roles = Object.values(USER_ROLES);
+    const hooks = Object.values(WORKFLOW_HOOKS);
+    const guards = Object.values(WORKFLOW_GUARDS);
+    const actions = Object.values(WORKFLOW_ACTIONS);
+    const seen = new Set();
+
+    if (!Array.isArray(transitions) || transitions.length === 0) {
+      return ['At least one transition is required'];
+    }
+
+    transitions.forEach((transition, index) => {
+      const label = `Transition ${index + 1}`;
+      const {
+        from,
+        to,
+        allowedRoles = [],
+        requiredFields = [],
+        hooks: transitionHooks = [],
+        guards: transitionGuards = [],
+        action
+      } = transition || {};
+
+      if (!statuses.includes(from)) errors.push(`${label}: invalid from status "${from}"`);
+      if (!statuses.includes(to)) errors.push(`${label}: invalid to status "${to}"`);
+      if (from === to) errors.push(`${label}: from and to status must differ`);
+
+      const key = `${from}->${to}`;
+      if (seen.has(key)) errors.push(`${label}: duplicate transition ${key}`);
+      seen.add(key);
+
+      if (!Array.isArray(allowedRoles) || allowedRoles.length === 0) {
+        errors.push(`${label}: at least one allowed role is required`);
+      } else {
+        allowedRoles.filter(role => !roles.includes(role))
+          .forEach(role => errors.push(`${label}: unknown role "${role}"`));
+      }
+
+      if (!Array.isArray(requiredFields)) {
+        errors.push(`${label}: requiredFields must be an array`);
+      } else {
+        requiredFields.filter(field => !WORKFLOW_REQUIRED_FIELDS.includes(field))
+          .forEach(field => errors.push(`${label}: unsupported required field "${field}"`));
+      }
+
+      if (!Array.isArray(transitionHooks)) {
+        errors.push(`${label}: hooks must be an array`);
+      } else {
+        transitionHooks.filter(hook => !hooks.includes(hook))
+          .forEach(hook => errors.push(`${label}: unknown hook "${hook}"`));
+      }
+
+      if (!Array.isArray(transitionGuards)) {
+        errors.push(`${label}: guards must be an array`);
+      } else {
+        transitionGuards.filter(guard => !guards.includes(guard))
+          .forEach(guard => errors.push(`${label}: unknown guard "${guard}"`));
+      }
+
+      if (action && !actions.includes(action)) {
+        errors.push(`${label}: unknown action "${action}"`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Save a new workflow version
+  async saveDefinition({ transitions, description }, userId) {
+    const errors = this.validateTransitions(transitions);
+    if (errors.length > 0) {
+      throw createHttpError(400, 'Invalid workflow definition', { errors });
+    }
+
+    const normalized = transitions.map(t => applyWorkflowRules({
+      from: t.from,
+      to: t.to,
+      allowedRoles: [...new Set(t.allowedRoles)],
+      requiredFields: [...new Set(t.requiredFields || [])],
+      hooks: [...new Set(t.hooks || [])],
+      guards: [...new Set(t.guards || [])],
+      action: t.action || null
+    }));
+
+    const current = await this.getDefinition();
+
+    const definition = await prisma.workflowDefinition.upsert({
+      where: { name: DEFAULT_WORKFLOW.name },
+      update: {
+        transitions: normalized,
+        ...(description !== undefined && { description }),
+        version: { increment: 1 },
+        updatedById: userId
+      },
+      create: {
+        name: DEFAULT_WORKFLOW.name,
+        description: description !== undefined ? description : DEFAULT_WORKFLOW.description,
+        transitions: normalized,
+        version: 1,
+        updatedById: userId
+      }
+    });
+
+    await auditService.logWorkflowUpdated(current.version, definition.version, normalized.length, userId);
+
+    return definition;
+  }
+
+  // Save the four-eyes policy alongside the workflow
+  async saveFourEyesPolicy(policy, userId) {
+    const current = await this.getDefinition();
+    const fourEyes = {
+      ...current.fourEyes,
+      ...policy,
+      dualApprovalCategories: [...new Set(policy.dualApprovalCategories || current.fourEyes.dualApprovalCategories)]
+    };
+
+    const definition = await prisma.workflowDefinition.upsert({
+      where: { name: DEFAULT_WORKFLOW.name },
+      update: {
+        fourEyes,
+        version: { increment: 1 },
+        updatedById: userId
+      },
+      create: {
+        name: DEFAULT_WORKFLOW.name,
+        description: DEFAULT_WORKFLOW.description,
+        transitions: DEFAULT_WORKFLOW.transitions,
+        fourEyes,
+        version: 1,
+        updatedById: userId
+      }
+    });
+
+    await auditService.logFourEyesPolicyUpdated(fourEyes, userId);
+
+    return definition;
+  }
+
+  // Replace the stored workflow with the built-in one
+  async resetDefinition(userId) {
+    return this.saveDefinition({
+      transitions: DEFAULT_WORKFLOW.transitions,
+      description: DEFAULT_WORKFLOW.description
+    }, userId);
+  }
+}
+
+module.exports = new WorkflowService();
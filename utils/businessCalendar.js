@@ -0,0 +1,117 @@
+const { SYSTEM_CONFIG } = require('./constants');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKEND_DAYS = ['Sat', 'Sun'];
+
+// Length of a business day; SLA targets in business days are converted with it
+const BUSINESS_MINUTES_PER_DAY = (SYSTEM_CONFIG.WORKING_HOURS.END - SYSTEM_CONFIG.WORKING_HOURS.START) * 60;
+
+// Local calendar date (YYYY-MM-DD), weekday and time of day of an instant in a time zone
+const getZonedParts = (date, timeZone = SYSTEM_CONFIG.DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: get('weekday'),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second'))
+  };
+};
+
+// Start of the local day an instant falls on
+const startOfDay = (date, timeZone = SYSTEM_CONFIG.DEFAULT_TIMEZONE) => {
+  const { hour, minute, second } = getZonedParts(date, timeZone);
+  const msIntoDay = ((hour * 60 + minute) * 60 + second) * 1000 + date.getMilliseconds();
+  return new Date(date.getTime() - msIntoDay);
+};
+
+// Start of the local day following an instant
+const startOfNextDay = (date, timeZone = SYSTEM_CONFIG.DEFAULT_TIMEZONE) => {
+  return new Date(startOfDay(date, timeZone).getTime() + DAY_MS);
+};
+
+// Opening and closing time of the working day an instant falls on
+const workingHours = (date, timeZone = SYSTEM_CONFIG.DEFAULT_TIMEZONE) => {
+  const dayStart = startOfDay(date, timeZone).getTime();
+  return {
+    opens: new Date(dayStart + SYSTEM_CONFIG.WORKING_HOURS.START * HOUR_MS),
+    closes: new Date(dayStart + SYSTEM_CONFIG.WORKING_HOURS.END * HOUR_MS)
+  };
+};
+
+// Check whether an instant falls on a working day; holidays is a Set of YYYY-MM-DD keys
+const isBusinessDay = (date, holidays = new Set(), timeZone = SYSTEM_CONFIG.DEFAULT_TIMEZONE) => {
+  const { dateKey, weekday } = getZonedParts(date, timeZone);
+  return !WEEKEND_DAYS.includes(weekday) && !holidays.has(dateKey);
+};
+
+// Minutes between two instants that fall within working hours of business days
+const businessMinutesBetween = (start, end, holidays = new Set(), timeZone = SYSTEM_CONFIG.DEFAULT_TIMEZONE) => {
+  let total = 0;
+  let cursor = new Date(start);
+  const stop = new Date(end);
+
+  while (cursor < stop) {
+    const nextDay = startOfNextDay(cursor, timeZone);
+    const segmentEnd = nextDay < stop ? nextDay : stop;
+
+    if (isBusinessDay(cursor, holidays, timeZone)) {
+      const { opens, closes } = workingHours(cursor, timeZone);
+      const from = cursor > opens ? cursor : opens;
+      const to = segmentEnd < closes ? segmentEnd : closes;
+      if (to > from) total += (to - from) / MINUTE_MS;
+    }
+    cursor = segmentEnd;
+  }
+
+  return Math.round(total);
+};
+
+// Instant reached after spending the given business minutes from start, counting working hours only
+const addBusinessMinutes = (start, minutes, holidays = new Set(), timeZone = SYSTEM_CONFIG.DEFAULT_TIMEZONE) => {
+  let remaining = minutes;
+  let cursor = new Date(start);
+
+  if (remaining <= 0) return cursor;
+
+  while (true) {
+    const nextDay = startOfNextDay(cursor, timeZone);
+
+    if (isBusinessDay(cursor, holidays, timeZone)) {
+      const { opens, closes } = workingHours(cursor, timeZone);
+      const from = cursor > opens ? cursor : opens;
+      const available = Math.max((closes - from) / MINUTE_MS, 0);
+      if (remaining <= available) {
+        return new Date(from.getTime() + remaining * MINUTE_MS);
+      }
+      remaining -= available;
+    }
+    cursor = nextDay;
+  }
+};
+
+module.exports = {
+  BUSINESS_MINUTES_PER_DAY,
+  getZonedParts,
+  startOfDay,
+  startOfNextDay,
+  workingHours,
+  isBusinessDay,
+  businessMinutesBetween,
+  addBusinessMinutes
+};
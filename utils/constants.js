@@ -52,7 +52,11 @@ const NOTIFICATION_TYPES = {
   TASK_REJECTED: 'TASK_REJECTED',
   TASK_PUBLISHED: 'TASK_PUBLISHED',
   EXPIRY_WARNING: 'EXPIRY_WARNING',
-  FOLLOW_UP: 'FOLLOW_UP'
+  FOLLOW_UP: 'FOLLOW_UP',
+  SLA_WARNING: 'SLA_WARNING',
+  SLA_BREACHED: 'SLA_BREACHED',
+  TASK_URGENT: 'TASK_URGENT',
+  TASK_STATUS_CHANGED: 'TASK_STATUS_CHANGED'
 };
 
 // Audit Actions
@@ -62,6 +66,10 @@ const AUDIT_ACTIONS = {
   TASK_STATUS_CHANGED: 'TASK_STATUS_CHANGED',
   VERSION_UPLOADED: 'VERSION_UPLOADED',
   COMMENT_ADDED: 'COMMENT_ADDED',
+  COMMENT_UPDATED: 'COMMENT_UPDATED',
+  COMMENT_DELETED: 'COMMENT_DELETED',
+  COMMENT_RESOLVED: 'COMMENT_RESOLVED',
+  COMMENT_REOPENED: 'COMMENT_REOPENED',
   TASK_APPROVED: 'TASK_APPROVED',
   TASK_PUBLISHED: 'TASK_PUBLISHED',
   TASK_CLOSED: 'TASK_CLOSED',
@@ -74,7 +82,57 @@ const AUDIT_ACTIONS = {
   ABSENCE_CREATED: 'ABSENCE_CREATED',
   ABSENCE_DELETED: 'ABSENCE_DELETED',
   USER_LOGIN: 'USER_LOGIN',
-  USER_LOGOUT: 'USER_LOGOUT'
+  USER_LOGOUT: 'USER_LOGOUT',
+  WORKFLOW_UPDATED: 'WORKFLOW_UPDATED',
+  TASK_REJECTED: 'TASK_REJECTED',
+  CHANGES_REQUESTED: 'CHANGES_REQUESTED',
+  REASON_CODE_CREATED: 'REASON_CODE_CREATED',
+  REASON_CODE_UPDATED: 'REASON_CODE_UPDATED',
+  FOUR_EYES_POLICY_UPDATED: 'FOUR_EYES_POLICY_UPDATED',
+  APPROVAL_RULE_CREATED: 'APPROVAL_RULE_CREATED',
+  APPROVAL_RULE_UPDATED: 'APPROVAL_RULE_UPDATED',
+  APPROVAL_RULE_DELETED: 'APPROVAL_RULE_DELETED',
+  TASK_RENEWED: 'TASK_RENEWED',
+  TASK_WATCHER_ADDED: 'TASK_WATCHER_ADDED',
+  TASK_WATCHER_REMOVED: 'TASK_WATCHER_REMOVED',
+  TASK_PRIORITY_CHANGED: 'TASK_PRIORITY_CHANGED',
+  CAMPAIGN_CREATED: 'CAMPAIGN_CREATED',
+  CAMPAIGN_UPDATED: 'CAMPAIGN_UPDATED',
+  CAMPAIGN_DELETED: 'CAMPAIGN_DELETED',
+  TEMPLATE_CREATED: 'TEMPLATE_CREATED',
+  TEMPLATE_UPDATED: 'TEMPLATE_UPDATED',
+  TEMPLATE_DELETED: 'TEMPLATE_DELETED',
+  CHECKLIST_UPDATED: 'CHECKLIST_UPDATED',
+  CHECKLIST_DEFINITION_UPDATED: 'CHECKLIST_DEFINITION_UPDATED',
+  CHECKLIST_DEFINITION_DELETED: 'CHECKLIST_DEFINITION_DELETED',
+  CONTENT_RULE_CREATED: 'CONTENT_RULE_CREATED',
+  CONTENT_RULE_UPDATED: 'CONTENT_RULE_UPDATED',
+  CONTENT_RULE_DELETED: 'CONTENT_RULE_DELETED',
+  CUSTOM_FIELD_CREATED: 'CUSTOM_FIELD_CREATED',
+  CUSTOM_FIELD_UPDATED: 'CUSTOM_FIELD_UPDATED',
+  CUSTOM_FIELD_DELETED: 'CUSTOM_FIELD_DELETED',
+  LOOKUP_VALUE_CREATED: 'LOOKUP_VALUE_CREATED',
+  LOOKUP_VALUE_UPDATED: 'LOOKUP_VALUE_UPDATED',
+  LOOKUP_VALUE_DELETED: 'LOOKUP_VALUE_DELETED',
+  LOOKUP_VALUES_MIGRATED: 'LOOKUP_VALUES_MIGRATED',
+  TASK_LINK_ADDED: 'TASK_LINK_ADDED',
+  TASK_LINK_REMOVED: 'TASK_LINK_REMOVED',
+  TASK_VARIANT_CREATED: 'TASK_VARIANT_CREATED',
+  VERSION_SCANNED: 'VERSION_SCANNED',
+  VERSION_FLAGGED: 'VERSION_FLAGGED',
+  VERSION_UPDATED: 'VERSION_UPDATED',
+  VERSION_WITHDRAWN: 'VERSION_WITHDRAWN',
+  APPROVED_VERSION_MISMATCH: 'APPROVED_VERSION_MISMATCH',
+  ASSIGNMENT_RULE_UPDATED: 'ASSIGNMENT_RULE_UPDATED',
+  ASSIGNMENT_RULE_DELETED: 'ASSIGNMENT_RULE_DELETED',
+  SLA_POLICY_UPDATED: 'SLA_POLICY_UPDATED',
+  SLA_ESCALATED: 'SLA_ESCALATED',
+  HOLIDAY_CREATED: 'HOLIDAY_CREATED',
+  HOLIDAY_DELETED: 'HOLIDAY_DELETED',
+  TASK_REOPENED: 'TASK_REOPENED',
+  TASK_DELETED: 'TASK_DELETED',
+  TASK_ARCHIVED: 'TASK_ARCHIVED',
+  TASK_RESTORED: 'TASK_RESTORED'
 };
 
 // File Upload Constants
@@ -178,12 +236,117 @@ const EMAIL_TEMPLATES = {
 const SYSTEM_CONFIG = {
   UIN_PREFIX: 'ACT',
   DEFAULT_TIMEZONE: 'Asia/Kolkata',
+  // Local hours SLA clocks run on business days
+  WORKING_HOURS: { START: 9, END: 18 },
   EXPIRY_WARNING_DAYS: [15, 7, 1],
   STALE_TASK_DAYS: 7,
   AUDIT_RETENTION_DAYS: 365,
   NOTIFICATION_RETENTION_DAYS: 90
 };
 
+// Content scanning of uploaded versions
+const SCAN_CONFIG = {
+  DOWNLOAD_TIMEOUT_MS: 30000,
+  // Hosts files are fetched from, besides any listed in SCAN_ALLOWED_HOSTS
+  ALLOWED_HOSTS: ['res.cloudinary.com'],
+  // Caps on what one file may make the extractor read
+  MAX_ARCHIVE_ENTRIES: 1000,
+  MAX_PDF_STREAMS: 5000,
+  MAX_MATCHES_PER_FILE: 5,
+  EXCERPT_CHARS: 60,
+  // How long a version may stay PENDING before the sweep scans it again
+  PENDING_RETRY_MINUTES: 30
+};
+
+// Version lifecycle; versions stored before it existed have no status and count as submitted
+const VERSION_STATUS = {
+  SUBMITTED: 'SUBMITTED',
+  SUPERSEDED: 'SUPERSEDED',
+  WITHDRAWN: 'WITHDRAWN',
+  APPROVED: 'APPROVED'
+};
+
+// Comparison of two versions of a task
+const VERSION_COMPARE = {
+  MAX_DIFF_LINES: 3000 // Changed lines per file beyond which the diff is only summarized
+};
+
+const CONTENT_RULE_TYPES = {
+  FORBIDDEN: 'FORBIDDEN',
+  REQUIRED: 'REQUIRED'
+};
+
+const CONTENT_MATCH_TYPES = {
+  KEYWORD: 'KEYWORD',
+  REGEX: 'REGEX'
+};
+
+const FINDING_SEVERITY = {
+  LOW: 'LOW',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH',
+  CRITICAL: 'CRITICAL'
+};
+
+const SCAN_STATUS = {
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+const CUSTOM_FIELD_TYPES = {
+  TEXT: 'TEXT',
+  NUMBER: 'NUMBER',
+  DATE: 'DATE',
+  ENUM: 'ENUM',
+  MULTI_SELECT: 'MULTI_SELECT'
+};
+
+// Ways one task can be linked to another, read as "source <type> target"
+const TASK_LINK_TYPES = {
+  DEPENDS_ON: 'DEPENDS_ON',
+  VARIANT_OF: 'VARIANT_OF',
+  RENEWAL_OF: 'RENEWAL_OF',
+  DUPLICATE_OF: 'DUPLICATE_OF'
+};
+
+// How a link reads from each of its two tasks
+const TASK_LINK_LABELS = {
+  DEPENDS_ON: { outward: 'depends on', inward: 'is required by' },
+  VARIANT_OF: { outward: 'is a variant of', inward: 'has variant' },
+  RENEWAL_OF: { outward: 'renews', inward: 'is renewed by' },
+  DUPLICATE_OF: { outward: 'duplicates', inward: 'is duplicated by' }
+};
+
+// Statuses a task a dependent waits on must have reached
+const DEPENDENCY_SATISFIED_STATUSES = [TASK_STATUS.APPROVED, TASK_STATUS.PUBLISHED];
+
+// Language codes such as "hi" or "en-IN"
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// How far along the workflow a status is; a parent task's variants roll up to the least advanced
+const VARIANT_STATUS_PROGRESS = [
+  TASK_STATUS.OPEN,
+  TASK_STATUS.PRODUCT_REVIEW,
+  TASK_STATUS.COMPLIANCE_REVIEW,
+  TASK_STATUS.APPROVED,
+  TASK_STATUS.PUBLISHED
+];
+
+// Controlled lists for the task fields of the same name
+const LOOKUP_TYPES = {
+  PLATFORM: 'PLATFORM',
+  CATEGORY: 'CATEGORY'
+};
+
+// Limits on task tags and custom field values
+const TASK_METADATA = {
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 50,
+  MAX_TEXT_LENGTH: 500,
+  KEY_PATTERN: /^[a-z][a-z0-9_]{0,49}$/
+};
+
 // Validation Rules
 const VALIDATION_RULES = {
   USERNAME: {
@@ -228,6 +391,345 @@ const PRIORITY_LEVELS = {
   URGENT: 'URGENT'
 };
 
+// Sort order of priorities, higher is more urgent
+const PRIORITY_RANKS = {
+  [PRIORITY_LEVELS.LOW]: 1,
+  [PRIORITY_LEVELS.MEDIUM]: 2,
+  [PRIORITY_LEVELS.HIGH]: 3,
+  [PRIORITY_LEVELS.URGENT]: 4
+};
+
+// Campaign status, rolled up from the statuses of its tasks
+const CAMPAIGN_STATUS = {
+  PLANNED: 'PLANNED',
+  IN_PROGRESS: 'IN_PROGRESS',
+  APPROVED: 'APPROVED',
+  PUBLISHED: 'PUBLISHED',
+  COMPLETED: 'COMPLETED'
+};
+
+// Statuses in which a task waits on its compliance reviewer
+const REVIEW_QUEUE_STATUSES = [
+  TASK_STATUS.OPEN,
+  TASK_STATUS.COMPLIANCE_REVIEW
+];
+
+// Task statuses that still need work from their assignees
+const ACTIVE_TASK_STATUSES = [
+  TASK_STATUS.OPEN,
+  TASK_STATUS.COMPLIANCE_REVIEW,
+  TASK_STATUS.PRODUCT_REVIEW,
+  TASK_STATUS.APPROVED,
+  TASK_STATUS.PUBLISHED
+];
+
+// Assignee slots on a task, the roles that can fill them and the roles that can reassign them
+const ASSIGNEE_TYPES = {
+  COMPLIANCE: 'COMPLIANCE',
+  PRODUCT: 'PRODUCT'
+};
+
+const ASSIGNEE_ROLES = {
+  [ASSIGNEE_TYPES.COMPLIANCE]: [USER_ROLES.COMPLIANCE_USER, USER_ROLES.COMPLIANCE_ADMIN],
+  [ASSIGNEE_TYPES.PRODUCT]: [USER_ROLES.PRODUCT_USER, USER_ROLES.PRODUCT_ADMIN]
+};
+
+const REASSIGN_ROLES = {
+  [ASSIGNEE_TYPES.COMPLIANCE]: [USER_ROLES.COMPLIANCE_ADMIN, USER_ROLES.ADMIN],
+  [ASSIGNEE_TYPES.PRODUCT]: [USER_ROLES.PRODUCT_ADMIN, USER_ROLES.ADMIN]
+};
+
+// Compliance auto-assignment strategies
+const ASSIGNMENT_STRATEGIES = {
+  STICKY: 'STICKY',               // Reviewer of the related prior task
+  SKILL_MATCH: 'SKILL_MATCH',     // Users whose skills match the task
+  LEAST_WORKLOAD: 'LEAST_WORKLOAD',
+  ROUND_ROBIN: 'ROUND_ROBIN'
+};
+
+// Weight of each open task when measuring a reviewer's workload
+const WORKLOAD_WEIGHTS = {
+  [TASK_STATUS.OPEN]: 1,
+  [TASK_STATUS.COMPLIANCE_REVIEW]: 2,
+  [TASK_STATUS.PRODUCT_REVIEW]: 0.5,
+  [TASK_STATUS.APPROVED]: 0.25,
+  [TASK_STATUS.PUBLISHED]: 0
+};
+
+const DEFAULT_ASSIGNMENT_CATEGORY = 'DEFAULT';
+
+const DEFAULT_ASSIGNMENT_RULE = {
+  category: DEFAULT_ASSIGNMENT_CATEGORY,
+  strategies: [ASSIGNMENT_STRATEGIES.STICKY, ASSIGNMENT_STRATEGIES.SKILL_MATCH, ASSIGNMENT_STRATEGIES.LEAST_WORKLOAD],
+  requiredSkills: [],
+  respectCapacity: true
+};
+
+// SLA clocks: which assignee owns the task in each timed status
+const SLA_OWNERS = {
+  [TASK_STATUS.OPEN]: ASSIGNEE_TYPES.COMPLIANCE,
+  [TASK_STATUS.COMPLIANCE_REVIEW]: ASSIGNEE_TYPES.COMPLIANCE,
+  [TASK_STATUS.PRODUCT_REVIEW]: ASSIGNEE_TYPES.PRODUCT
+};
+
+// Admin role each assignee type escalates to before senior management
+const SLA_ESCALATION_ROLES = {
+  [ASSIGNEE_TYPES.COMPLIANCE]: USER_ROLES.COMPLIANCE_ADMIN,
+  [ASSIGNEE_TYPES.PRODUCT]: USER_ROLES.PRODUCT_ADMIN
+};
+
+const SLA_STATES = {
+  ON_TRACK: 'ON_TRACK',
+  AT_RISK: 'AT_RISK',
+  BREACHED: 'BREACHED'
+};
+
+// Built-in SLA targets, used for statuses without a saved policy
+const DEFAULT_SLA_POLICIES = [
+  { status: TASK_STATUS.COMPLIANCE_REVIEW, targetBusinessDays: 2, warningPercent: 75, seniorEscalationPercent: 150 },
+  { status: TASK_STATUS.PRODUCT_REVIEW, targetBusinessDays: 3, warningPercent: 75, seniorEscalationPercent: 150 }
+];
+
+// Review decisions recorded against a task
+const DECISION_ACTIONS = {
+  APPROVE: 'APPROVE',
+  REJECT: 'REJECT',
+  REQUEST_CHANGES: 'REQUEST_CHANGES'
+};
+
+// Dedicated task endpoints a transition can be reserved for
+const WORKFLOW_ACTIONS = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  REQUEST_CHANGES: 'request-changes',
+  REOPEN: 'reopen',
+  NEW_VERSION: 'versions'
+};
+
+// Maker-checker rule applied to approvals, until an admin saves one to the database
+const DEFAULT_FOUR_EYES_POLICY = {
+  enabled: true,
+  excludeUploader: true,
+  excludeCreator: true,
+  requireAssignedApprover: true,
+  dualApprovalCategories: []
+};
+
+// Roles that can give the second approval on a dual-approval task
+const SECOND_APPROVER_ROLES = [USER_ROLES.COMPLIANCE_ADMIN, USER_ROLES.ADMIN];
+
+// Roles that can sign off an approval level asking for the given role
+const APPROVAL_LEVEL_ROLES = {
+  [USER_ROLES.COMPLIANCE_USER]: [USER_ROLES.COMPLIANCE_USER, USER_ROLES.COMPLIANCE_ADMIN, USER_ROLES.ADMIN],
+  [USER_ROLES.COMPLIANCE_ADMIN]: [USER_ROLES.COMPLIANCE_ADMIN, USER_ROLES.ADMIN],
+  [USER_ROLES.SENIOR_MANAGER]: [USER_ROLES.SENIOR_MANAGER, USER_ROLES.ADMIN],
+  [USER_ROLES.ADMIN]: [USER_ROLES.ADMIN]
+};
+
+// Workflow hooks that can be attached to a status transition
+const WORKFLOW_HOOKS = {
+  SET_CLOSURE_DATE: 'SET_CLOSURE_DATE',
+  CLEAR_CLOSURE: 'CLEAR_CLOSURE',
+  NOTIFY_PRODUCT_TEAM: 'NOTIFY_PRODUCT_TEAM',
+  NOTIFY_COMPLIANCE: 'NOTIFY_COMPLIANCE',
+  NOTIFY_TASK_PUBLISHED: 'NOTIFY_TASK_PUBLISHED',
+  AUDIT_STATUS_CHANGE: 'AUDIT_STATUS_CHANGE'
+};
+
+// Conditions checked before a transition is allowed
+const WORKFLOW_GUARDS = {
+  CHECKLIST_PASSED: 'CHECKLIST_PASSED',
+  DEPENDENCIES_APPROVED: 'DEPENDENCIES_APPROVED'
+};
+
+// Answers a reviewer can give a checklist item
+const CHECKLIST_STATUS = {
+  PASS: 'PASS',
+  FAIL: 'FAIL',
+  NOT_APPLICABLE: 'NOT_APPLICABLE'
+};
+
+// Checklist items in this definition apply to every category
+const DEFAULT_CHECKLIST_CATEGORY = 'DEFAULT';
+
+// Task fields a transition may list as mandatory
+const WORKFLOW_REQUIRED_FIELDS = [
+  'approvalDate',
+  'expiryDate',
+  'approvalProofUrl',
+  'publishDate',
+  'publishedCopyUrl',
+  'closureComments'
+];
+
+// Built-in workflow, used until an admin saves one to the database
+const PRODUCT_ROLES = [USER_ROLES.PRODUCT_USER, USER_ROLES.PRODUCT_ADMIN];
+const COMPLIANCE_ROLES = [USER_ROLES.COMPLIANCE_USER, USER_ROLES.COMPLIANCE_ADMIN];
+const CLOSING_ROLES = [USER_ROLES.PRODUCT_ADMIN, ...COMPLIANCE_ROLES, USER_ROLES.ADMIN];
+const CLOSE_HOOKS = [WORKFLOW_HOOKS.SET_CLOSURE_DATE, WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE];
+
+// Statuses a task can be renewed from, and the closed statuses an admin can reopen
+const RENEWABLE_STATUSES = [TASK_STATUS.APPROVED, TASK_STATUS.PUBLISHED, TASK_STATUS.EXPIRED];
+const REOPENABLE_STATUSES = [TASK_STATUS.CLOSED_INTERNAL, TASK_STATUS.CLOSED_EXCHANGE];
+
+// Finished tasks that can be archived out of dashboards
+const ARCHIVABLE_STATUSES = [...REOPENABLE_STATUSES, TASK_STATUS.EXPIRED];
+
+// Where conditions hiding deleted tasks everywhere and archived tasks from dashboards
+const TASK_VISIBILITY = {
+  NOT_DELETED: { isDeleted: { not: true } },
+  ON_DASHBOARDS: { isDeleted: { not: true }, isArchived: { not: true } }
+};
+
+// Fields the update endpoints accept, per resource: the roles that may write each one and,
+// where it matters, the statuses it can still change in. A field that is missing is read-only;
+// an endpoint entry points callers to the route that changes it instead.
+const CONTENT_EDIT_STATUSES = [TASK_STATUS.OPEN, TASK_STATUS.COMPLIANCE_REVIEW, TASK_STATUS.PRODUCT_REVIEW];
+const TASK_OWNER_ROLES = [...PRODUCT_ROLES, USER_ROLES.ADMIN];
+const TASK_REVIEWER_ROLES = [...COMPLIANCE_ROLES, USER_ROLES.ADMIN];
+const USER_ADMIN_ROLES = [USER_ROLES.PRODUCT_ADMIN, USER_ROLES.COMPLIANCE_ADMIN, USER_ROLES.ADMIN];
+
+const FIELD_PERMISSIONS = {
+  TASK: {
+    title: { roles: TASK_REVIEWER_ROLES, statuses: CONTENT_EDIT_STATUSES },
+    description: { roles: [...TASK_OWNER_ROLES, ...COMPLIANCE_ROLES], statuses: CONTENT_EDIT_STATUSES },
+    taskType: { roles: TASK_REVIEWER_ROLES, statuses: CONTENT_EDIT_STATUSES },
+    platform: { roles: TASK_REVIEWER_ROLES, statuses: CONTENT_EDIT_STATUSES },
+    category: { roles: TASK_REVIEWER_ROLES, statuses: CONTENT_EDIT_STATUSES },
+    languageCode: { roles: TASK_REVIEWER_ROLES, statuses: CONTENT_EDIT_STATUSES },
+    customFields: { roles: [...TASK_OWNER_ROLES, ...COMPLIANCE_ROLES], statuses: CONTENT_EDIT_STATUSES },
+    expectedPublishDate: { roles: TASK_REVIEWER_ROLES, statuses: [...CONTENT_EDIT_STATUSES, TASK_STATUS.APPROVED] },
+    remarks: { roles: TASK_REVIEWER_ROLES },
+    tags: { roles: [...PRODUCT_ROLES, ...TASK_REVIEWER_ROLES] },
+    // The workflow decides which moves each role can make
+    status: { roles: Object.values(USER_ROLES) },
+    // Details a status change asks for, sent along with it
+    ...Object.fromEntries(WORKFLOW_REQUIRED_FIELDS.map(field => [field, { roles: Object.values(USER_ROLES), withStatusChange: true }])),
+    priority: { endpoint: 'PUT /api/tasks/:id/priority' },
+    priorityRank: { endpoint: 'PUT /api/tasks/:id/priority' },
+    priorityManual: { endpoint: 'PUT /api/tasks/:id/priority' },
+    assignedComplianceId: { endpoint: 'POST /api/tasks/:id/reassign' },
+    assignedProductIds: { endpoint: 'POST /api/tasks/:id/reassign' },
+    parentTaskId: { endpoint: 'POST /api/tasks/:parentId/variants' },
+    isDeleted: { endpoint: 'DELETE /api/tasks/:id' },
+    isArchived: { endpoint: 'POST /api/tasks/:id/archive' },
+    watcherIds: { endpoint: 'POST /api/tasks/:id/watch' },
+    checklist: { endpoint: 'PUT /api/tasks/:id/checklist' }
+  },
+  EXCHANGE_APPROVAL: {
+    typeOfContent: { roles: TASK_REVIEWER_ROLES },
+    approvalStatus: { roles: TASK_REVIEWER_ROLES },
+    approvalDate: { roles: TASK_REVIEWER_ROLES },
+    expiryDate: { roles: TASK_REVIEWER_ROLES },
+    referenceNumber: { roles: TASK_REVIEWER_ROLES },
+    approvalEmailUrl: { roles: TASK_REVIEWER_ROLES }
+  },
+  USER: {
+    email: { roles: USER_ADMIN_ROLES },
+    fullName: { roles: USER_ADMIN_ROLES },
+    // Team admins can only hand out their own team's roles; the route checks that
+    role: { roles: USER_ADMIN_ROLES },
+    isActive: { roles: USER_ADMIN_ROLES },
+    team: { roles: USER_ADMIN_ROLES },
+    skills: { roles: USER_ADMIN_ROLES },
+    maxOpenTasks: { roles: USER_ADMIN_ROLES },
+    password: { endpoint: 'POST /api/users/:id/reset-password' }
+  }
+};
+
+// Moves only a dedicated endpoint can make, whatever a saved workflow says; the first
+// matching rule wins, so leaving a closed status is always a reopen
+const RESERVED_TRANSITIONS = [
+  { from: REOPENABLE_STATUSES, action: WORKFLOW_ACTIONS.REOPEN },
+  { to: [TASK_STATUS.APPROVED], action: WORKFLOW_ACTIONS.APPROVE },
+  { from: [TASK_STATUS.COMPLIANCE_REVIEW], to: [TASK_STATUS.PRODUCT_REVIEW], action: WORKFLOW_ACTIONS.REQUEST_CHANGES },
+  { from: [TASK_STATUS.APPROVED, TASK_STATUS.PUBLISHED], to: [TASK_STATUS.COMPLIANCE_REVIEW], action: WORKFLOW_ACTIONS.NEW_VERSION }
+];
+
+// Checks that always run before a task reaches a status, whatever a saved workflow says
+const STATUS_GUARDS = {
+  [TASK_STATUS.APPROVED]: [WORKFLOW_GUARDS.CHECKLIST_PASSED],
+  [TASK_STATUS.PUBLISHED]: [WORKFLOW_GUARDS.DEPENDENCIES_APPROVED]
+};
+
+const reopenTransition = (from) => ({
+  from,
+  to: TASK_STATUS.OPEN,
+  allowedRoles: [USER_ROLES.COMPLIANCE_ADMIN, USER_ROLES.ADMIN],
+  requiredFields: [],
+  hooks: [WORKFLOW_HOOKS.CLEAR_CLOSURE, WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE],
+  action: WORKFLOW_ACTIONS.REOPEN
+});
+
+// A version uploaded after approval sends the task back to review
+const newVersionTransition = (from) => ({
+  from,
+  to: TASK_STATUS.COMPLIANCE_REVIEW,
+  allowedRoles: [...PRODUCT_ROLES, USER_ROLES.ADMIN],
+  requiredFields: [],
+  hooks: [WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE],
+  action: WORKFLOW_ACTIONS.NEW_VERSION
+});
+
+const closeTransitions = (from) => [
+  { from, to: TASK_STATUS.CLOSED_INTERNAL, allowedRoles: CLOSING_ROLES, requiredFields: ['closureComments'], hooks: CLOSE_HOOKS },
+  { from, to: TASK_STATUS.CLOSED_EXCHANGE, allowedRoles: CLOSING_ROLES, requiredFields: ['closureComments'], hooks: CLOSE_HOOKS }
+];
+
+const DEFAULT_WORKFLOW = {
+  name: 'default',
+  description: 'Standard advertisement review workflow',
+  transitions: [
+    {
+      from: TASK_STATUS.OPEN,
+      to: TASK_STATUS.COMPLIANCE_REVIEW,
+      allowedRoles: [...PRODUCT_ROLES, ...COMPLIANCE_ROLES, USER_ROLES.ADMIN],
+      requiredFields: [],
+      hooks: [WORKFLOW_HOOKS.NOTIFY_COMPLIANCE, WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE]
+    },
+    ...closeTransitions(TASK_STATUS.OPEN),
+    {
+      from: TASK_STATUS.COMPLIANCE_REVIEW,
+      to: TASK_STATUS.PRODUCT_REVIEW,
+      allowedRoles: [...COMPLIANCE_ROLES, USER_ROLES.ADMIN],
+      requiredFields: [],
+      hooks: [WORKFLOW_HOOKS.NOTIFY_PRODUCT_TEAM, WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE],
+      action: WORKFLOW_ACTIONS.REQUEST_CHANGES
+    },
+    {
+      from: TASK_STATUS.COMPLIANCE_REVIEW,
+      to: TASK_STATUS.APPROVED,
+      allowedRoles: [...COMPLIANCE_ROLES, USER_ROLES.SENIOR_MANAGER, USER_ROLES.ADMIN],
+      requiredFields: ['approvalDate', 'expiryDate'],
+      hooks: [WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE],
+      guards: [WORKFLOW_GUARDS.CHECKLIST_PASSED],
+      action: WORKFLOW_ACTIONS.APPROVE
+    },
+    ...closeTransitions(TASK_STATUS.COMPLIANCE_REVIEW),
+    {
+      from: TASK_STATUS.PRODUCT_REVIEW,
+      to: TASK_STATUS.COMPLIANCE_REVIEW,
+      allowedRoles: [...PRODUCT_ROLES, USER_ROLES.ADMIN],
+      requiredFields: [],
+      hooks: [WORKFLOW_HOOKS.NOTIFY_COMPLIANCE, WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE]
+    },
+    ...closeTransitions(TASK_STATUS.PRODUCT_REVIEW),
+    {
+      from: TASK_STATUS.APPROVED,
+      to: TASK_STATUS.PUBLISHED,
+      allowedRoles: [...PRODUCT_ROLES, USER_ROLES.ADMIN],
+      requiredFields: ['publishDate'],
+      hooks: [WORKFLOW_HOOKS.AUDIT_STATUS_CHANGE],
+      guards: [WORKFLOW_GUARDS.DEPENDENCIES_APPROVED]
+    },
+    ...closeTransitions(TASK_STATUS.APPROVED),
+    ...closeTransitions(TASK_STATUS.PUBLISHED),
+    newVersionTransition(TASK_STATUS.APPROVED),
+    newVersionTransition(TASK_STATUS.PUBLISHED),
+    ...REOPENABLE_STATUSES.map(reopenTransition)
+  ]
+};
+
 module.exports = {
   USER_ROLES,
   TASK_TYPES,
@@ -245,6 +747,54 @@ module.exports = {
   EMAIL_TEMPLATES,
   SYSTEM_CONFIG,
   VALIDATION_RULES,
+  SCAN_CONFIG,
+  VERSION_STATUS,
+  VERSION_COMPARE,
+  CONTENT_RULE_TYPES,
+  CONTENT_MATCH_TYPES,
+  FINDING_SEVERITY,
+  SCAN_STATUS,
+  CUSTOM_FIELD_TYPES,
+  TASK_METADATA,
+  LOOKUP_TYPES,
+  TASK_LINK_TYPES,
+  TASK_LINK_LABELS,
+  DEPENDENCY_SATISFIED_STATUSES,
+  LANGUAGE_CODE_PATTERN,
+  VARIANT_STATUS_PROGRESS,
   STATUS_COLORS,
-  PRIORITY_LEVELS
+  PRIORITY_LEVELS,
+  PRIORITY_RANKS,
+  REVIEW_QUEUE_STATUSES,
+  CAMPAIGN_STATUS,
+  ACTIVE_TASK_STATUSES,
+  ASSIGNEE_TYPES,
+  ASSIGNEE_ROLES,
+  REASSIGN_ROLES,
+  ASSIGNMENT_STRATEGIES,
+  WORKLOAD_WEIGHTS,
+  DEFAULT_ASSIGNMENT_CATEGORY,
+  DEFAULT_ASSIGNMENT_RULE,
+  SLA_OWNERS,
+  SLA_ESCALATION_ROLES,
+  SLA_STATES,
+  DEFAULT_SLA_POLICIES,
+  DECISION_ACTIONS,
+  WORKFLOW_ACTIONS,
+  DEFAULT_FOUR_EYES_POLICY,
+  SECOND_APPROVER_ROLES,
+  APPROVAL_LEVEL_ROLES,
+  WORKFLOW_HOOKS,
+  WORKFLOW_GUARDS,
+  CHECKLIST_STATUS,
+  DEFAULT_CHECKLIST_CATEGORY,
+  WORKFLOW_REQUIRED_FIELDS,
+  RENEWABLE_STATUSES,
+  REOPENABLE_STATUSES,
+  ARCHIVABLE_STATUSES,
+  TASK_VISIBILITY,
+  FIELD_PERMISSIONS,
+  RESERVED_TRANSITIONS,
+  STATUS_GUARDS,
+  DEFAULT_WORKFLOW
 };
\ No newline at end of file
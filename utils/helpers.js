@@ -1,5 +1,6 @@
  
 const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_WORKFLOW, RESERVED_TRANSITIONS, STATUS_GUARDS } = require('./constants');
 
 const prisma = new PrismaClient();
 
@@ -97,20 +98,22 @@ const formatFileSize = (bytes) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
-// Validate task status transition
-const isValidStatusTransition = (currentStatus, newStatus) => {
-  const validTransitions = {
-    'OPEN': ['COMPLIANCE_REVIEW', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-    'COMPLIANCE_REVIEW': ['PRODUCT_REVIEW', 'APPROVED', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-    'PRODUCT_REVIEW': ['COMPLIANCE_REVIEW', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-    'APPROVED': ['PUBLISHED', 'CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-    'PUBLISHED': ['CLOSED_INTERNAL', 'CLOSED_EXCHANGE'],
-    'EXPIRED': [], // Cannot transition from expired
-    'CLOSED_INTERNAL': [], // Cannot transition from closed
-    'CLOSED_EXCHANGE': [] // Cannot transition from closed
-  };
+// Validate task status transition against a list of workflow transitions
+const isValidStatusTransition = (currentStatus, newStatus, transitions = DEFAULT_WORKFLOW.transitions) => {
+  return transitions.some(t => t.from === currentStatus && t.to === newStatus);
+};
 
-  return validTransitions[currentStatus]?.includes(newStatus) || false;
+// Apply the rules every workflow keeps to a transition, whatever an admin saved
+const applyWorkflowRules = (transition) => {
+  const reserved = RESERVED_TRANSITIONS.find(rule =>
+    (!rule.from || rule.from.includes(transition.from)) && (!rule.to || rule.to.includes(transition.to))
+  );
+
+  return {
+    ...transition,
+    guards: [...new Set([...(transition.guards || []), ...(STATUS_GUARDS[transition.to] || [])])],
+    action: reserved ? reserved.action : (transition.action || null)
+  };
 };
 
 // Get next version number
@@ -237,9 +240,13 @@ const isTaskOverdue = (task) => {
 const getTaskPriority = (task) => {
   const now = new Date();
   
+  // Closed and expired tasks need no further work
+  if (['CLOSED_INTERNAL', 'CLOSED_EXCHANGE', 'EXPIRED'].includes(task.status)) return 'LOW';
+  
   // High priority: expiring within 3 days
   if (task.expiryDate) {
     const daysUntilExpiry = daysBetween(now, task.expiryDate);
+    if (new Date(task.expiryDate) <= now || daysUntilExpiry <= 1) return 'URGENT';
     if (daysUntilExpiry <= 3) return 'HIGH';
     if (daysUntilExpiry <= 7) return 'MEDIUM';
   }
@@ -247,6 +254,7 @@ const getTaskPriority = (task) => {
   // Check expected publish date
   if (task.expectedPublishDate && task.status !== 'PUBLISHED') {
     const daysUntilPublish = daysBetween(now, task.expectedPublishDate);
+    if (new Date(task.expectedPublishDate) <= now) return 'URGENT';
     if (daysUntilPublish <= 1) return 'HIGH';
     if (daysUntilPublish <= 3) return 'MEDIUM';
   }
@@ -343,6 +351,14 @@ const getStatusColor = (status) => {
   return colors[status] || '#6c757d';
 };
 
+// Build an error carrying an HTTP status for route handlers to pass through
+const createHttpError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
 // Rate limiting helper
 const createRateLimiter = (windowMs, max) => {
   const requests = new Map();
@@ -383,6 +399,7 @@ module.exports = {
   getFileExtension,
   formatFileSize,
   isValidStatusTransition,
+  applyWorkflowRules,
   getNextVersionNumber,
   hasPermission,
   generateRandomString,
@@ -398,5 +415,6 @@ module.exports = {
   formatDataForCSV,
   isValidFileType,
   getStatusColor,
+  createHttpError,
   createRateLimiter
 };
\ No newline at end of file
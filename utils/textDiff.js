@@ -0,0 +1,94 @@
+const { VERSION_COMPARE } = require('./constants');
+
+const toLines = (text) => (text || '')
+  .split(/\r?\n/)
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+// Append lines to the last change when it has the same type, so runs come out as one block
+const push = (changes, type, line) => {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(line);
+  } else {
+    changes.push({ type, lines: [line] });
+  }
+};
+
+// Line diff of two texts as blocks of equal, added and removed lines.
+// Whitespace inside a line is ignored; very long texts are only summarized.
+const diffLines = (oldText, newText) => {
+  const oldLines = toLines(oldText);
+  const newLines = toLines(newText);
+
+  // The common start and end need no table
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) suffix++;
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  if (a.length > VERSION_COMPARE.MAX_DIFF_LINES || b.length > VERSION_COMPARE.MAX_DIFF_LINES) {
+    return {
+      tooLarge: true,
+      oldLineCount: oldLines.length,
+      newLineCount: newLines.length,
+      added: null,
+      removed: null,
+      changes: []
+    };
+  }
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const width = b.length + 1;
+  const lcs = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  oldLines.slice(0, prefix).forEach(line => push(changes, 'equal', line));
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push(changes, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      push(changes, 'removed', a[i]);
+      i++;
+    } else {
+      push(changes, 'added', b[j]);
+      j++;
+    }
+  }
+
+  oldLines.slice(oldLines.length - suffix).forEach(line => push(changes, 'equal', line));
+
+  const count = (type) => changes.filter(change => change.type === type).reduce((sum, change) => sum + change.lines.length, 0);
+
+  return {
+    tooLarge: false,
+    oldLineCount: oldLines.length,
+    newLineCount: newLines.length,
+    added: count('added'),
+    removed: count('removed'),
+    changes
+  };
+};
+
+module.exports = {
+  diffLines
+};
@@ -0,0 +1,233 @@
+const zlib = require('zlib');
+const { FILE_UPLOAD, SCAN_CONFIG } = require('./constants');
+
+const ZIP_CENTRAL_DIRECTORY_END = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_DEFLATE = 8;
+
+const DOCX_PARTS = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+const PPTX_PARTS = /^ppt\/(slides\/slide|notesSlides\/notesSlide)(\d+)\.xml$/;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Inflate within what is left of a file's budget, so a small compressed bomb cannot
+// expand past the upload size limit
+const inflateWithin = (inflate, data, budget, options = {}) => {
+  try {
+    if (budget.remaining <= 0) throw new RangeError('Output budget used up');
+    const output = inflate(data, { ...options, maxOutputLength: budget.remaining });
+    budget.remaining -= output.length;
+    return output;
+  } catch (error) {
+    if (error instanceof RangeError) {
+      budget.exceeded = true;
+      throw new Error('File expands beyond the size limit for scanning');
+    }
+    throw error;
+  }
+};
+
+// Entries of a ZIP archive whose names match, inflated to UTF-8 strings
+const readZipEntries = (buffer, match) => {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_CENTRAL_DIRECTORY_END) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a valid ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > SCAN_CONFIG.MAX_ARCHIVE_ENTRIES) {
+    throw new Error(`Archive has more than ${SCAN_CONFIG.MAX_ARCHIVE_ENTRIES} entries`);
+  }
+
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  const budget = { remaining: FILE_UPLOAD.MAX_SIZE };
+
+  for (let i = 0; i < count && buffer.readUInt32LE(offset) === ZIP_CENTRAL_DIRECTORY_ENTRY; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!match(name)) continue;
+
+    // Data starts after the local header, whose name and extra field lengths can differ
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    entries.push({
+      name,
+      content: (method === ZIP_DEFLATE ? inflateWithin(zlib.inflateRawSync, data, budget) : data).toString('utf8')
+    });
+  }
+
+  return entries;
+};
+
+// Visible text of an Office XML part, one line per paragraph
+const xmlToText = (xml) => xml
+  .replace(/<\/(w|a):p>/g, '\n')
+  .replace(/<(w|a):(tab|br)\/>/g, ' ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#x?[0-9a-fA-F]+|\w+);/g, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+    }
+    return XML_ENTITIES[code] || entity;
+  });
+
+const extractDocx = (buffer) => {
+  const parts = readZipEntries(buffer, name => DOCX_PARTS.test(name));
+  // Body first, then headers, footers and notes where disclaimers often sit
+  parts.sort((a, b) => (b.name === 'word/document.xml') - (a.name === 'word/document.xml') || a.name.localeCompare(b.name));
+  return parts.map(part => xmlToText(part.content)).join('\n');
+};
+
+const extractPptx = (buffer) => {
+  const slideNumber = (name) => Number(name.match(PPTX_PARTS)[2]);
+  const parts = readZipEntries(buffer, name => PPTX_PARTS.test(name));
+  parts.sort((a, b) => slideNumber(a.name) - slideNumber(b.name) || a.name.localeCompare(b.name));
+  return parts.map(part => xmlToText(part.content)).join('\n');
+};
+
+// Bytes of a PDF literal string, without the enclosing parentheses
+const decodePdfLiteral = (literal) => literal.replace(/\\(\r?\n|[0-7]{1,3}|.)/g, (match, escaped) => {
+  if (/^[0-7]+$/.test(escaped)) return String.fromCharCode(parseInt(escaped, 8));
+  return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[escaped] || (escaped.trim() ? escaped : '');
+});
+
+const decodePdfHex = (hex) => {
+  const digits = hex.replace(/\s/g, '');
+  const bytes = Buffer.from(digits.length % 2 ? `${digits}0` : digits, 'hex');
+  return bytes[0] === 0xfe && bytes[1] === 0xff
+    ? bytes.subarray(2).swap16().toString('utf16le')
+    : bytes.toString('latin1');
+};
+
+const PDF_STRING = /\(((?:\\.|[^\\)])*)\)|<([0-9A-Fa-f\s]*)>/g;
+const PDF_TEXT_OPERATOR = /\[((?:\\.|[^\]\\])*)\]\s*TJ|(\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>)\s*(?:Tj|'|")|\b(T\*|Td|TD|ET)\b/g;
+
+// Text shown by the operators of a page content stream
+const contentStreamText = (content) => {
+  let text = '';
+
+  for (const [, array, single, lineBreak] of content.matchAll(PDF_TEXT_OPERATOR)) {
+    if (lineBreak) {
+      text += '\n';
+      continue;
+    }
+
+    const source = array !== undefined ? array : single;
+    let lastIndex = 0;
+    for (const match of source.matchAll(PDF_STRING)) {
+      // A large negative adjustment between strings in a TJ array is a word gap
+      const gap = source.slice(lastIndex, match.index).trim();
+      if (gap && Number(gap) <= -200) text += ' ';
+      text += match[1] !== undefined ? decodePdfLiteral(match[1]) : decodePdfHex(match[2]);
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  return text;
+};
+
+// Text of a PDF's content streams. Text drawn with embedded font encodings or
+// scanned as images comes out empty or unreadable and needs a manual check.
+const extractPdf = (buffer) => {
+  const source = buffer.toString('latin1');
+  const chunks = [];
+  const budget = { remaining: FILE_UPLOAD.MAX_SIZE };
+  let cursor = 0;
+  let streams = 0;
+
+  for (let index = source.indexOf('stream', cursor); index !== -1; index = source.indexOf('stream', cursor)) {
+    cursor = index + 'stream'.length;
+    if (source.startsWith('end', index - 3)) continue;
+
+    if (++streams > SCAN_CONFIG.MAX_PDF_STREAMS) {
+      throw new Error(`PDF has more than ${SCAN_CONFIG.MAX_PDF_STREAMS} streams`);
+    }
+
+    const dictionary = source.slice(source.lastIndexOf(' obj', index), index);
+    const start = cursor + (source.startsWith('\r\n', cursor) ? 2 : 1);
+    const end = source.indexOf('endstream', start);
+    if (end === -1) break;
+    cursor = end + 'endstream'.length;
+
+    // Skip images, fonts and other binary streams
+    if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/(XObject|XRef|ObjStm)/.test(dictionary)) continue;
+
+    let data = buffer.subarray(start, end);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        data = inflateWithin(zlib.inflateSync, data, budget, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (error) {
+        // A damaged stream is skipped, a bomb ends the scan of the file
+        if (budget.exceeded) throw error;
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+
+    const text = contentStreamText(data.toString('latin1'));
+    if (text.trim()) chunks.push(text);
+  }
+
+  return chunks.join('\n');
+};
+
+// Work out a file's format from its leading bytes, falling back to the name for plain text
+const detectFormat = (buffer, fileName = '', contentType = '') => {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'PDF';
+
+  if (buffer.readUInt32LE(0) === 0x04034b50) {
+    const names = [];
+    readZipEntries(buffer, (name) => {
+      names.push(name);
+      return false;
+    });
+    if (names.includes('word/document.xml')) return 'DOCX';
+    if (names.some(name => PPTX_PARTS.test(name))) return 'PPTX';
+    return 'UNSUPPORTED';
+  }
+
+  if (/\.txt$/i.test(fileName) || contentType.startsWith('text/plain')) return 'TXT';
+  return 'UNSUPPORTED';
+};
+
+const EXTRACTORS = {
+  PDF: extractPdf,
+  DOCX: extractDocx,
+  PPTX: extractPptx,
+  TXT: (buffer) => buffer.toString('utf8')
+};
+
+// Plain text of an uploaded file; text is null for formats that cannot be read
+const extractText = (buffer, { fileName, contentType } = {}) => {
+  if (buffer.length < 5) {
+    return { format: 'UNSUPPORTED', text: null };
+  }
+
+  const format = detectFormat(buffer, fileName, contentType);
+  const extractor = EXTRACTORS[format];
+
+  return {
+    format,
+    text: extractor ? extractor(buffer) : null
+  };
+};
+
+module.exports = {
+  extractText,
+  detectFormat
+};